@@ -15,6 +15,15 @@ esbuild
     fs.writeFileSync("esbuild-meta.json", JSON.stringify(result.metafile));
   });
 
+// Internals are bundled on their own so the tests can reach them without adding them to the package's exports.
+esbuild.build({
+  entryPoints: ["src/internals.ts"],
+  bundle: true,
+  sourcemap: true,
+  outdir: "lib",
+  format: "esm",
+});
+
 esbuild.build({
   entryPoints: ["src/jsx/jsx-runtime.js"],
   bundle: false,
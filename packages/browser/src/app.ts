@@ -14,9 +14,13 @@ import {
   type Route,
 } from "@borf/bedrock";
 import { CrashCollector } from "./classes/CrashCollector.js";
+import { type StyleScope } from "./css.js";
 import { DebugHub, type DebugOptions } from "./classes/DebugHub.js";
-import { DOMHandle, m } from "./markup.js";
-import { observe } from "./state.js";
+import { createEventDelegation, type EventDelegation } from "./events.js";
+import { DOMHandle, m, type Markup } from "./markup.js";
+import { endHydration, startHydration, waitForHydration, type HydrationState } from "./hydrate.js";
+import { type ScrollManager } from "./scroll.js";
+import { getActiveObservers, observe, setObserverTracking } from "./state.js";
 import { initStore, type Store } from "./store.js";
 import { DialogStore } from "./stores/dialog.js";
 import { DocumentStore } from "./stores/document.js";
@@ -25,14 +29,18 @@ import { LanguageStore, type LanguageConfig } from "./stores/language.js";
 import { RenderStore } from "./stores/render.js";
 import {
   RouterStore,
-  type RedirectContext,
+  waitForNavigation,
+  type RedirectFunction,
   type RouteConfig,
   type RouteLayer,
+  type RouteOptions,
   type RouterOptions,
 } from "./stores/router.js";
 import { type BuiltInStores, type StoreExports } from "./types.js";
 import { merge } from "./utils.js";
 import { initView, type View, type ViewContext } from "./view.js";
+import { type ErrorBoundaryContext } from "./views/error-boundary.js";
+import { type SuspenseContext } from "./views/suspense.js";
 
 // ----- Types ----- //
 
@@ -47,6 +55,14 @@ interface AppOptions {
    */
   router?: RouterOptions;
 
+  /**
+   * Handle events with one listener per event type on the document instead of one per element and handler.
+   * Handlers see the same `currentTarget` as they would with their own listeners, and `stopPropagation()` keeps
+   * the event from reaching handlers on outer elements.
+   * Events that don't bubble, and handlers with the `capture` or `passive` modifier, are still attached to their elements.
+   */
+  delegateEvents?: boolean;
+
   /**
    * Configures the app based on the environment it's running in.
    */
@@ -60,6 +76,37 @@ export interface AppContext {
   mode: "development" | "production";
   rootElement?: HTMLElement;
   rootView?: DOMHandle;
+
+  /**
+   * Present while rendering to HTML without a DOM. The router stores the layers matched for the rendered URL here
+   * instead of connecting them.
+   */
+  server?: { layers: RouteLayer[] };
+
+  /**
+   * Present while `connect` is adopting server-rendered markup instead of creating new nodes.
+   */
+  hydration?: HydrationState;
+
+  /**
+   * Present when the app renders into the shadow root of a custom element. Styles are added here instead of the document.
+   */
+  shadowRoot?: ShadowRoot;
+
+  /**
+   * The router's latest navigation, which resolves once its guards and loaders are done and its route is shown.
+   */
+  navigation?: Promise<void>;
+
+  /**
+   * Present while the router manages scrolling. Views that load content hold its scrolls back until they're done.
+   */
+  scroll?: ScrollManager;
+
+  /**
+   * Present when the app was made with `delegateEvents`. Elements register their event handlers here.
+   */
+  eventDelegation?: EventDelegation;
 }
 
 export interface ElementContext {
@@ -67,6 +114,21 @@ export interface ElementContext {
   isSVG?: boolean;
   componentName?: string; // name of the nearest parent component
   parent?: ElementContext;
+
+  /**
+   * The nearest Suspense, which shows its fallback while views inside it are loading.
+   */
+  suspense?: SuspenseContext;
+
+  /**
+   * The nearest ErrorBoundary, which shows its fallback in place of views inside it that throw.
+   */
+  errorBoundary?: ErrorBoundaryContext;
+
+  /**
+   * Attributes that scope the `ctx.css` styles of the view that renders an element. Set on every element it renders.
+   */
+  styleScopes?: StyleScope[];
 }
 
 /**
@@ -89,6 +151,23 @@ interface AppRouter {
    */
   route<I>(pattern: string, view: View<I>, subroutes?: (router: AppRouter) => void): this;
 
+  /**
+   * Adds a new pattern and a view to display while that pattern matches the current URL, with guards and a loader
+   * that run before the view is shown. Guards and loaders of a route with subroutes apply to all of its subroutes.
+   *
+   * @param pattern - A URL pattern to match against the current URL.
+   * @param view - The view to display while `pattern` matches the current URL. Pass null to render subroutes without a parent view.
+   * @param options - A `name` to link to the route by, `beforeEnter` and `beforeLeave` guards
+   *                  and a `load` function whose data is passed to `view`.
+   * @param subroutes - A callback that takes a router object. Use this to append nested routes and redirects.
+   */
+  route<P extends string, I, D = unknown>(
+    pattern: P,
+    view: View<I> | null,
+    options: RouteOptions<D, P>,
+    subroutes?: (router: AppRouter) => void
+  ): this;
+
   /**
    * Adds a new pattern and chains a set of nested routes that are displayed without a layout `view`.
    *
@@ -103,6 +182,7 @@ interface AppRouter {
    *
    * @param pattern - A URL pattern to match against the current URL.
    * @param redirectPath - A path to redirect to when `pattern` matches the current URL.
+   *                       Params matched by `pattern` are filled into `{param}` placeholders with the same name.
    */
   redirect(pattern: string, redirectPath: string): this;
 
@@ -111,9 +191,9 @@ interface AppRouter {
    * Useful when you require more insight into the path that matched the pattern before deciding where to send the user.
    *
    * @param pattern - A URL pattern to match against the current URL.
-   * @param createPath - A function that generates a redirect path from the current URL match.
+   * @param createPath - A function that generates a redirect path from the current URL match. May return a Promise.
    */
-  redirect(pattern: string, createPath: (ctx: RedirectContext) => string): this;
+  redirect(pattern: string, createPath: RedirectFunction): this;
 }
 
 interface ConfigureContext {
@@ -178,8 +258,9 @@ export interface App extends AppRouter {
    * Initializes and connects the app as a child of `element`.
    *
    * @param element - A selector string or a DOM node to attach to. If a string, follows the same format as that taken by `document.querySelector`.
+   * @param options - Pass `hydrate: true` to take over markup rendered by `renderToString` instead of replacing it.
    */
-  connect(selector: string | Node): Promise<void>;
+  connect(selector: string | Node, options?: ConnectOptions): Promise<void>;
 
   /**
    * Disconnects views and tears down globals, removing the app from the page.
@@ -187,6 +268,34 @@ export interface App extends AppRouter {
   disconnect(): Promise<void>;
 }
 
+export interface ConnectOptions {
+  /**
+   * Adopt the server-rendered elements and text already inside the root element instead of creating new ones.
+   * Any server-rendered nodes the app doesn't render are removed. In development mode, each difference between
+   * the server and client output is reported with a warning.
+   */
+  hydrate?: boolean;
+}
+
+/**
+ * App internals needed to render the app outside of `connect`, such as on the server.
+ */
+export interface AppSecrets {
+  mainView: Markup;
+  stores: Map<keyof BuiltInStores | Store<any, any>, StoreRegistration>;
+  routes: Route<RouteConfig["meta"]>[];
+  routeNames: Record<string, string>;
+  settings: AppOptions;
+  languages: Record<string, LanguageConfig>;
+  currentLanguage?: string;
+}
+
+const SECRETS = Symbol("APP_SECRETS");
+
+export function getAppSecrets(app: App): AppSecrets {
+  return (app as any)[SECRETS];
+}
+
 // ----- Code ----- //
 
 /**
@@ -242,6 +351,9 @@ export function makeApp(options?: AppOptions): App {
   let layerId = 0;
   let routes: Route<RouteConfig["meta"]>[] = [];
 
+  // Patterns of the routes registered with a `name`, by name.
+  const routeNames = new Map<string, string>();
+
   /**
    * Parses a route definition object into a set of matchable routes.
    *
@@ -251,11 +363,12 @@ export function makeApp(options?: AppOptions): App {
   function prepareRoute(
     route: {
       pattern: string;
-      redirect?: string | ((ctx: RedirectContext) => void);
+      redirect?: string | RedirectFunction;
       view?: View<unknown> | null;
+      options?: RouteOptions;
       subroutes?: (router: AppRouter) => void;
     },
-    layers = []
+    layers: RouteLayer[] = []
   ) {
     if (!isObject(route) || !isString(route.pattern)) {
       throw new TypeError(`Route configs must be objects with a 'pattern' string property. Got: ${route}`);
@@ -301,15 +414,29 @@ export function makeApp(options?: AppOptions): App {
       throw new TypeError(`Route '${route.pattern}' expected a view function. Got: ${route.view}`);
     }
 
+    const name = route.options?.name;
+
+    if (name != null) {
+      if (!isString(name)) {
+        throw new TypeError(`Expected route name to be a string. Got type: ${typeOf(name)}, value: ${name}`);
+      }
+
+      if (routeNames.has(name)) {
+        throw new Error(`Route name '${name}' is already used by '${routeNames.get(name)}'.`);
+      }
+
+      routeNames.set(name, route.pattern);
+    }
+
     const markup = m(view);
-    const layer: RouteLayer = { id: layerId++, markup };
+    const layer: RouteLayer = { id: layerId++, markup, options: route.options };
 
     // Parse nested routes if they exist.
     if (route.subroutes) {
       const router: AppRouter = {
-        route: (pattern: string, view: View<any> | null, subroutes: (router: AppRouter) => void) => {
+        route: (pattern: string, view: View<any> | null, ...args: RouteArgs) => {
           pattern = joinPath([...parts, pattern]);
-          routes.push(...prepareRoute({ pattern, view, subroutes }));
+          routes.push(...prepareRoute({ pattern, view, ...parseRouteArgs(args) }, [...layers, layer]));
           return router;
         },
         redirect: (pattern, redirect) => {
@@ -342,6 +469,11 @@ export function makeApp(options?: AppOptions): App {
   const debugHub = new DebugHub({ ...settings.debug, crashCollector, mode: settings.mode! });
   const debugChannel = debugHub.channel({ name: "borf/App" });
 
+  // Record observers and where they were created so leaks can be reported.
+  if (settings.mode === "development") {
+    setObserverTracking(true);
+  }
+
   // When an error of "crash" severity is reported by a component,
   // the app is disconnected and a crash page is connected.
   crashCollector.onError(async ({ error, severity, componentName }) => {
@@ -411,7 +543,7 @@ export function makeApp(options?: AppOptions): App {
 
   // let stopCallbacks: StopFunction[] = [];
 
-  async function connect(selector: string | Node) {
+  async function connect(selector: string | Node, options?: ConnectOptions) {
     return new Promise<void>(async (resolve) => {
       let element: HTMLElement | null = null;
 
@@ -424,6 +556,10 @@ export function makeApp(options?: AppOptions): App {
 
       appContext.rootElement = element!;
 
+      if (settings.delegateEvents && !appContext.eventDelegation) {
+        appContext.eventDelegation = createEventDelegation(document);
+      }
+
       // Sort routes by specificity for correct matching.
       routes = sortRoutes(routes);
 
@@ -442,8 +578,9 @@ export function makeApp(options?: AppOptions): App {
       stores.set("router", {
         ...router,
         options: {
-          options: settings.router,
+          ...settings.router,
           routes: routes,
+          names: Object.fromEntries(routeNames),
         },
       });
 
@@ -496,9 +633,27 @@ export function makeApp(options?: AppOptions): App {
       const { $isLoaded } = stores.get("language")!.instance!.exports as StoreExports<typeof LanguageStore>;
 
       const done = () => {
+        if (options?.hydrate) {
+          appContext.hydration = startHydration(appContext);
+        }
+
         // Then connect the root view.
         appContext.rootView!.connect(appContext.rootElement!);
 
+        if (appContext.hydration) {
+          // The router connects the initial route layers on the frame after its first navigation is done.
+          // Finish once those and any lazy or async views inside them have adopted their nodes.
+          // Hydration still ends if something goes wrong along the way, so the page isn't left half server-rendered.
+          waitForNavigation(appContext)
+            .then(() => new Promise((resolve) => requestAnimationFrame(resolve)))
+            .then(() => waitForHydration(appContext))
+            .catch((error) => {
+              debugChannel.error(error);
+              appContext.crashCollector.error({ error, componentName: "App" });
+            })
+            .then(() => endHydration(appContext));
+        }
+
         // The app is now connected.
         isConnected = true;
 
@@ -536,6 +691,17 @@ export function makeApp(options?: AppOptions): App {
       for (const { instance } of stores.values()) {
         instance!.disconnect();
       }
+
+      if (appContext.mode === "development") {
+        const leaked = getActiveObservers().filter((observer) => observer.owner && !observer.owner.isConnected);
+
+        if (leaked.length > 0) {
+          debugChannel.warn(
+            `${leaked.length} observer(s) are still active after the app disconnected. They were created by views or stores that are no longer connected.`,
+            leaked
+          );
+        }
+      }
     }
   }
 
@@ -657,14 +823,16 @@ export function makeApp(options?: AppOptions): App {
       return app;
     },
 
-    route(pattern: string, view: View<unknown> | null, subroutes?: (sub: AppRouter) => void) {
+    route(pattern: string, view: View<unknown> | null, ...args: RouteArgs) {
       assertString(pattern, "Pattern must be a string. Got type: %t, value: %v");
 
+      const { options, subroutes } = parseRouteArgs(args);
+
       if (view == null) {
         assertFunction(subroutes, "Sub routes must be defined when `view` is null.");
       }
 
-      prepareRoute({ pattern, view, subroutes }).forEach((route) => {
+      prepareRoute({ pattern, view, options, subroutes }).forEach((route) => {
         routes.push({
           pattern: route.pattern,
           meta: route.meta,
@@ -675,7 +843,7 @@ export function makeApp(options?: AppOptions): App {
       return app;
     },
 
-    redirect(pattern: string, redirect: string | ((ctx: RedirectContext) => string)) {
+    redirect(pattern: string, redirect: string | RedirectFunction) {
       if (!isFunction(redirect) && !isString(redirect)) {
         throw new TypeError(`Expected a redirect path or function. Got type: ${typeOf(redirect)}, value: ${redirect}`);
       }
@@ -702,9 +870,52 @@ export function makeApp(options?: AppOptions): App {
     },
   };
 
+  Object.defineProperty(app, SECRETS, {
+    enumerable: false,
+    configurable: false,
+    value: {
+      get mainView() {
+        return mainView;
+      },
+      get routes() {
+        return sortRoutes(routes);
+      },
+      get routeNames() {
+        return Object.fromEntries(routeNames);
+      },
+      get languages() {
+        return Object.fromEntries(languages.entries());
+      },
+      get currentLanguage() {
+        return currentLanguage;
+      },
+      stores,
+      settings,
+    } as AppSecrets,
+  });
+
   return app;
 }
 
+type RouteArgs =
+  | [subroutes?: (router: AppRouter) => void]
+  | [options: RouteOptions, subroutes?: (router: AppRouter) => void];
+
+/**
+ * Sorts out the arguments after `view` in a call to `route`, which takes options before subroutes if it has them.
+ */
+function parseRouteArgs(args: RouteArgs) {
+  if (args[0] == null || isFunction(args[0])) {
+    return { subroutes: args[0] as ((router: AppRouter) => void) | undefined };
+  }
+
+  if (!isObject(args[0])) {
+    throw new TypeError(`Expected route options to be an object. Got type: ${typeOf(args[0])}, value: ${args[0]}`);
+  }
+
+  return { options: args[0], subroutes: args[1] };
+}
+
 type CrashPageProps = {
   message: string;
   error: Error;
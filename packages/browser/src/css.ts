@@ -0,0 +1,333 @@
+import { type AppContext } from "./app.js";
+import { isReadable, OBSERVE, type Readable, type StopFunction } from "./state.js";
+
+/*==================================*\
+||              Compiling             ||
+\*==================================*/
+
+/**
+ * A stylesheet written with `ctx.css`, scoped to the elements of the view that wrote it.
+ */
+export interface ScopedStyles {
+  /**
+   * Hash of the stylesheet's contents, shared by every view instance that writes the same styles.
+   */
+  id: string;
+
+  /**
+   * Attribute set on each element the styles apply to. Its value identifies the view instance.
+   */
+  attribute: string;
+
+  /**
+   * The stylesheet with each selector scoped to elements with `attribute`.
+   */
+  css: string;
+
+  /**
+   * Interpolated Readables, in the order of the custom properties that stand in for them.
+   */
+  readables: Readable<any>[];
+}
+
+/**
+ * The attribute and value an element needs to be matched by a view instance's scoped styles.
+ */
+export interface StyleScope {
+  attribute: string;
+  value: string;
+}
+
+/**
+ * Compiles the arguments of a `css` tagged template into a scoped stylesheet.
+ * Readables become CSS custom properties so their values can change without touching the stylesheet.
+ * Other values are inserted as text.
+ */
+export function compileStyles(strings: TemplateStringsArray, values: unknown[]): ScopedStyles {
+  const pieces: (string | number)[] = [];
+  const readables: Readable<any>[] = [];
+
+  for (let i = 0; i < strings.length; i++) {
+    pieces.push(strings[i]);
+
+    if (i < values.length) {
+      const value = values[i];
+
+      if (isReadable(value)) {
+        pieces.push(readables.length);
+        readables.push(value);
+      } else if (value != null && value !== false) {
+        pieces.push(String(value));
+      }
+    }
+  }
+
+  const id = hash(pieces.map((piece) => (typeof piece === "number" ? `var(--${piece})` : piece)).join(""));
+  const attribute = `data-style-${id}`;
+  const source = pieces.map((piece) => (typeof piece === "number" ? `var(${getPropertyName(id, piece)})` : piece));
+
+  return {
+    id,
+    attribute,
+    css: scopeRules(stripComments(source.join("")), attribute),
+    readables,
+  };
+}
+
+/**
+ * Returns the name of the custom property that holds the value of the readable at `index`.
+ */
+export function getPropertyName(id: string, index: number) {
+  return `--style-${id}-${index}`;
+}
+
+/**
+ * Returns the rule that sets the custom properties of one view instance.
+ */
+export function getPropertiesRule(styles: ScopedStyles, value: string, values: unknown[]) {
+  const declarations = values
+    .map((current, index) => (current == null ? "" : `${getPropertyName(styles.id, index)}: ${current};`))
+    .join(" ");
+
+  return `[${styles.attribute}="${value}"] { ${declarations} }`;
+}
+
+function hash(value: string) {
+  let result = 5381;
+
+  for (let i = 0; i < value.length; i++) {
+    result = (result * 33) ^ value.charCodeAt(i);
+  }
+
+  return (result >>> 0).toString(36);
+}
+
+function stripComments(css: string) {
+  return css.replace(/\/\*[\s\S]*?\*\//g, "");
+}
+
+// At-rules whose blocks contain more rules to scope. Any other at-rule is left as written.
+const groupingRules = ["@media", "@supports", "@container", "@layer", "@document"];
+
+/**
+ * Scopes each selector in `css` to elements with `attribute`.
+ */
+function scopeRules(css: string, attribute: string): string {
+  let result = "";
+  let index = 0;
+
+  while (index < css.length) {
+    const open = css.indexOf("{", index);
+
+    if (open === -1) {
+      result += css.slice(index);
+      break;
+    }
+
+    const close = findClosingBrace(css, open);
+    const prelude = css.slice(index, open);
+    const body = css.slice(open + 1, close);
+
+    // Statements like `@import` end with a semicolon before the next rule starts.
+    const statementEnd = prelude.lastIndexOf(";") + 1;
+    const selector = prelude.slice(statementEnd).trim();
+
+    result += prelude.slice(0, statementEnd);
+
+    if (groupingRules.some((name) => selector.startsWith(name))) {
+      result += `${selector} {${scopeRules(body, attribute)}}`;
+    } else if (selector.startsWith("@")) {
+      result += `${selector} {${body}}`;
+    } else {
+      result += `${splitTopLevel(selector, ",")
+        .map((part) => scopeSelector(part.trim(), attribute))
+        .join(", ")} {${body}}`;
+    }
+
+    index = close + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Adds the scope attribute to the last compound selector in `selector`, before any pseudo-element.
+ * `:scope` can be used to refer to the view's own elements anywhere in the selector instead.
+ */
+function scopeSelector(selector: string, attribute: string) {
+  if (selector.includes(":scope")) {
+    return selector.replaceAll(":scope", `[${attribute}]`);
+  }
+
+  let start = 0;
+  let depth = 0;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (depth === 0 && /[\s>+~]/.test(char)) {
+      start = i + 1;
+    }
+  }
+
+  const pseudoElement = selector.indexOf("::", start);
+  const end = pseudoElement === -1 ? selector.length : pseudoElement;
+
+  return selector.slice(0, end) + `[${attribute}]` + selector.slice(end);
+}
+
+function findClosingBrace(css: string, open: number) {
+  let depth = 0;
+
+  for (let i = open; i < css.length; i++) {
+    if (css[i] === "{") {
+      depth++;
+    } else if (css[i] === "}" && --depth === 0) {
+      return i;
+    }
+  }
+
+  return css.length;
+}
+
+function splitTopLevel(value: string, separator: string) {
+  const parts: string[] = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (depth === 0 && char === separator) {
+      parts.push(value.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(value.slice(start));
+
+  return parts;
+}
+
+/*==================================*\
+||            Browser Styles          ||
+\*==================================*/
+
+interface MountedStyles {
+  element: HTMLStyleElement;
+  count: number;
+}
+
+// Stylesheets in the document and each shadow root, shared by every view instance there that writes the same styles.
+const mountedByRoot = new WeakMap<Node, Map<string, MountedStyles>>();
+
+/**
+ * Adds `styles` to the document for one view instance, whose elements are marked with `value`.
+ * Returns a function that removes them again. The stylesheet stays until the last instance using it removes it.
+ */
+export function mountStyles(appContext: AppContext, styles: ScopedStyles, value: string): StopFunction {
+  // Styles in the document don't reach into shadow roots, so elements rendering into one get their own copy.
+  const root = appContext.shadowRoot ?? document.head;
+
+  let mounted = mountedByRoot.get(root);
+  if (!mounted) {
+    mounted = new Map();
+    mountedByRoot.set(root, mounted);
+  }
+
+  let entry = mounted.get(styles.id);
+
+  if (!entry) {
+    const element = document.createElement("style");
+    element.dataset.style = styles.id;
+    element.textContent = styles.css;
+
+    // Server-rendered copies are replaced by this one so they don't end up as hydration leftovers.
+    // They're rendered with the app's content, so other apps on the page keep theirs.
+    const serverRoot = appContext.shadowRoot ?? appContext.rootElement;
+    for (const node of Array.from(serverRoot?.querySelectorAll(`style[data-style="${styles.id}"]`) ?? [])) {
+      appContext.hydration?.pending.delete(node);
+      appContext.hydration?.pending.delete(node.firstChild!);
+      node.remove();
+    }
+
+    root.appendChild(element);
+    entry = { element, count: 0 };
+    mounted.set(styles.id, entry);
+  }
+
+  entry.count++;
+
+  const stopCallbacks: StopFunction[] = [];
+  let rule: CSSStyleRule | undefined;
+  let propertiesElement: HTMLStyleElement | undefined;
+
+  if (styles.readables.length > 0) {
+    const sheet = entry.element.sheet;
+    let setProperty: (index: number, current: unknown) => void;
+
+    if (sheet) {
+      const index = sheet.insertRule(`[${styles.attribute}="${value}"] {}`, sheet.cssRules.length);
+      rule = sheet.cssRules[index] as CSSStyleRule;
+
+      setProperty = (index, current) => {
+        const name = getPropertyName(styles.id, index);
+
+        if (current == null) {
+          rule!.style.removeProperty(name);
+        } else {
+          rule!.style.setProperty(name, String(current));
+        }
+      };
+    } else {
+      // Style elements have no sheet until they're in a document, which the shadow root of a custom element
+      // isn't before the element is added to the page. This instance's values go in a style element of its own then.
+      const element = document.createElement("style");
+      const values: unknown[] = [];
+
+      root.appendChild(element);
+      propertiesElement = element;
+
+      setProperty = (index, current) => {
+        values[index] = current;
+        element.textContent = getPropertiesRule(styles, value, values);
+      };
+    }
+
+    styles.readables.forEach((readable, index) => {
+      // Stopped when the styles are unmounted.
+      const stop = readable[OBSERVE]((current) => {
+        setProperty(index, current);
+      });
+
+      stopCallbacks.push(stop);
+    });
+  }
+
+  return function unmount() {
+    for (const stop of stopCallbacks) {
+      stop();
+    }
+
+    const sheet = entry!.element.sheet;
+    const index = rule && sheet ? Array.from(sheet.cssRules).indexOf(rule) : -1;
+    if (index > -1) {
+      sheet!.deleteRule(index);
+    }
+
+    propertiesElement?.remove();
+
+    if (--entry!.count === 0) {
+      entry!.element.remove();
+      mounted!.delete(styles.id);
+    }
+  };
+}
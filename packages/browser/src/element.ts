@@ -0,0 +1,314 @@
+import { isArray, isString, typeOf } from "@borf/bedrock";
+import { type AppContext, type ElementContext, type StoreRegistration } from "./app.js";
+import { CrashCollector } from "./classes/CrashCollector.js";
+import { DebugHub, type DebugOptions } from "./classes/DebugHub.js";
+import { m, type DOMHandle, type Markup } from "./markup.js";
+import { observe, readable, writable, type StopFunction, type Writable } from "./state.js";
+import { initStore, type Store } from "./store.js";
+import { DialogStore } from "./stores/dialog.js";
+import { DocumentStore } from "./stores/document.js";
+import { HTTPStore } from "./stores/http.js";
+import { LanguageStore, type LanguageConfig } from "./stores/language.js";
+import { RenderStore } from "./stores/render.js";
+import { type BuiltInStores } from "./types.js";
+import { initView, type View } from "./view.js";
+
+/*=====================================*\
+||                Types                ||
+\*=====================================*/
+
+/**
+ * Parses an attribute value into a prop value. `Boolean` props are true when the attribute is present.
+ */
+export type ElementPropType = StringConstructor | NumberConstructor | BooleanConstructor | ((value: string) => unknown);
+
+export interface DefineElementOptions {
+  /**
+   * Props the element takes, with the type each one's attribute is parsed as.
+   * Each prop is set by a kebab-case attribute (`userId` by `user-id`) or by setting the element property of the same name.
+   * The view receives each prop as a Readable with a `$` in front of its name (`userId` as `$userId`).
+   */
+  props?: Record<string, ElementPropType>;
+
+  /**
+   * Callback props to pass to the view, with the name of the event each one dispatches on the element.
+   * The first argument the view calls it with becomes the event's `detail`.
+   *
+   * @example
+   * events: { onSelect: "select" } // calling props.onSelect(user) dispatches a "select" event with user as its detail
+   */
+  events?: Record<string, string>;
+
+  /**
+   * Render the view into a shadow root. Children of the element are shown in the view's outlet through a `<slot>`.
+   * Otherwise the view renders into the element itself and the element's original children are moved into the outlet.
+   */
+  shadow?: boolean;
+
+  /**
+   * Stores to make available to the view, as store functions or `[store, options]` pairs.
+   * The built-in `dialog`, `document`, `http`, `language` and `render` stores are always available. `router` is not.
+   */
+  stores?: (Store<any, any> | [Store<any, any>, any])[];
+
+  /**
+   * Translations for the `language` store, by language tag.
+   */
+  languages?: Record<string, LanguageConfig>;
+
+  /**
+   * The language to start with. Defaults to the first of `languages`.
+   */
+  currentLanguage?: string;
+
+  /**
+   * Options for the debug system.
+   */
+  debug?: DebugOptions;
+
+  /**
+   * Configures the element based on the environment it's running in.
+   */
+  mode?: "development" | "production";
+}
+
+/*=====================================*\
+||           Custom Elements           ||
+\*=====================================*/
+
+/**
+ * Registers a custom element that renders `view`, so it can be used from plain HTML and other frameworks.
+ * Each element runs as its own small app with its own instances of the built-in stores.
+ *
+ * @example
+ * defineElement("x-user-card", UserCard, {
+ *   props: { userId: Number, compact: Boolean },
+ *   events: { onSelect: "select" },
+ *   shadow: true,
+ * });
+ *
+ * // <x-user-card user-id="5" compact></x-user-card>
+ *
+ * @param tagName - Name of the element. Must contain a hyphen.
+ * @param view - The view to render inside each element.
+ * @param options - Props, events, stores and rendering options.
+ */
+export function defineElement(tagName: string, view: View<any>, options: DefineElementOptions = {}) {
+  if (!isString(tagName) || !tagName.includes("-")) {
+    throw new TypeError(
+      `Expected a custom element name containing a hyphen. Got type: ${typeOf(tagName)}, value: ${tagName}`
+    );
+  }
+
+  const props = options.props ?? {};
+  const attributes = new Map(Object.keys(props).map((name) => [toKebabCase(name), name]));
+
+  class BorfElement extends HTMLElement {
+    static get observedAttributes() {
+      return [...attributes.keys()];
+    }
+
+    #values = new Map<string, Writable<any>>();
+    #originalChildren?: Node[];
+    #unmount?: StopFunction;
+
+    constructor() {
+      super();
+
+      for (const name in props) {
+        const $$value = writable<any>(undefined);
+        this.#values.set(name, $$value);
+
+        // Properties set before the element was defined shadow the accessors, so they're moved into the prop.
+        if (Object.prototype.hasOwnProperty.call(this, name)) {
+          $$value.set((this as any)[name]);
+          delete (this as any)[name];
+        }
+
+        Object.defineProperty(this, name, {
+          get: () => $$value.get(),
+          set: (value) => $$value.set(value),
+          configurable: true,
+          enumerable: true,
+        });
+      }
+
+      if (options.shadow) {
+        this.attachShadow({ mode: "open" });
+      }
+    }
+
+    attributeChangedCallback(attribute: string, _: string | null, value: string | null) {
+      const name = attributes.get(attribute)!;
+      this.#values.get(name)!.set(parseAttribute(props[name], value));
+    }
+
+    connectedCallback() {
+      if (!this.#unmount) {
+        this.#unmount = mountElement(this, view, options, this.#getViewProps(), this.#getChildren());
+      }
+    }
+
+    disconnectedCallback() {
+      if (this.#unmount) {
+        this.#unmount();
+        this.#unmount = undefined;
+      }
+    }
+
+    #getViewProps() {
+      const viewProps: Record<string, any> = {};
+
+      for (const [name, $$value] of this.#values) {
+        viewProps["$" + name] = readable($$value);
+      }
+
+      for (const name in options.events) {
+        const type = options.events[name];
+
+        viewProps[name] = (detail?: unknown) => {
+          this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+        };
+      }
+
+      return viewProps;
+    }
+
+    #getChildren(): Markup[] {
+      if (options.shadow) {
+        return [m("slot", {})];
+      }
+
+      // The original children are kept so they can be shown again if the element is moved.
+      if (!this.#originalChildren) {
+        this.#originalChildren = Array.from(this.childNodes);
+      }
+
+      return this.#originalChildren.map((node) => m("$node", { value: node }));
+    }
+  }
+
+  customElements.define(tagName, BorfElement);
+
+  return BorfElement;
+}
+
+/**
+ * Sets up the stores for one element and connects its view once its language is loaded.
+ * Returns a function that disconnects them again.
+ */
+function mountElement(
+  element: HTMLElement,
+  view: View<any>,
+  options: DefineElementOptions,
+  props: Record<string, any>,
+  children: Markup[]
+): StopFunction {
+  const mode = options.mode ?? "production";
+  const crashCollector = new CrashCollector();
+  const debugHub = new DebugHub({ ...options.debug, crashCollector, mode });
+
+  const appContext: AppContext = {
+    crashCollector,
+    debugHub,
+    stores: new Map(),
+    mode,
+    rootElement: element,
+    shadowRoot: element.shadowRoot ?? undefined,
+  };
+  const elementContext: ElementContext = {
+    stores: new Map(),
+  };
+
+  const registrations: [keyof BuiltInStores | Store<any, any>, StoreRegistration][] = [
+    ["dialog", { store: DialogStore }],
+    ["document", { store: DocumentStore }],
+    ["http", { store: HTTPStore }],
+    [
+      "language",
+      {
+        store: LanguageStore,
+        options: { languages: options.languages ?? {}, currentLanguage: options.currentLanguage },
+      },
+    ],
+    ["render", { store: RenderStore }],
+  ];
+
+  for (const item of options.stores ?? []) {
+    const [store, storeOptions] = isArray(item) ? item : [item, undefined];
+    registrations.push([store, { store, options: storeOptions }]);
+  }
+
+  for (const [key, registration] of registrations) {
+    const instance = initStore({
+      store: registration.store,
+      appContext,
+      elementContext,
+      options: registration.options ?? {},
+    });
+
+    instance.setup();
+    appContext.stores.set(key, { ...registration, instance });
+  }
+
+  for (const { instance } of appContext.stores.values()) {
+    instance!.connect();
+  }
+
+  let handle: DOMHandle | undefined;
+  let isConnected = true;
+  let stop: StopFunction | undefined;
+
+  const unmount = () => {
+    if (!isConnected) return;
+    isConnected = false;
+
+    stop?.();
+    handle?.disconnect();
+
+    for (const { instance } of appContext.stores.values()) {
+      instance!.disconnect();
+    }
+  };
+
+  // A crash only takes down this element.
+  crashCollector.onError(({ severity }) => {
+    if (severity === "crash") {
+      unmount();
+    }
+  });
+
+  const { $isLoaded } = appContext.stores.get("language")!.instance!.exports as BuiltInStores["language"];
+
+  stop = observe($isLoaded, (isLoaded) => {
+    if (isLoaded && !handle) {
+      handle = initView({ view, props, children, appContext, elementContext });
+      handle.connect(element.shadowRoot ?? element);
+    }
+  });
+
+  // The view can crash while it connects, which unmounts the element before `observe` has returned.
+  if (!isConnected) {
+    stop();
+  }
+
+  return unmount;
+}
+
+/**
+ * Parses the value of a prop's attribute, which is null when the attribute is removed.
+ */
+export function parseAttribute(type: ElementPropType, value: string | null) {
+  if (type === Boolean) {
+    return value != null && value !== "false";
+  }
+
+  return value == null ? undefined : type(value);
+}
+
+/**
+ * Returns the attribute name for a prop name (`userId` to `user-id`).
+ */
+export function toKebabCase(name: string) {
+  return name.replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase());
+}
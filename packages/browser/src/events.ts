@@ -0,0 +1,226 @@
+import { isFunction, typeOf } from "@borf/bedrock";
+import { type StopFunction } from "./state.js";
+
+/*==================================*\
+||             Modifiers              ||
+\*==================================*/
+
+export interface EventModifiers {
+  /**
+   * Remove the listener after it runs once.
+   */
+  once?: boolean;
+
+  /**
+   * Promise the browser the listener won't call `preventDefault()`, so scrolling doesn't wait for it.
+   */
+  passive?: boolean;
+
+  /**
+   * Listen during the capture phase, before listeners on elements inside this one.
+   */
+  capture?: boolean;
+
+  /**
+   * Call `preventDefault()` before the handler runs.
+   */
+  prevent?: boolean;
+
+  /**
+   * Call `stopPropagation()` before the handler runs.
+   */
+  stop?: boolean;
+
+  /**
+   * Only run the handler for keyboard events with one of these keys, as named by `KeyboardEvent.key`.
+   */
+  key?: string | string[];
+}
+
+const MODIFIERS = Symbol("MODIFIERS");
+
+/**
+ * Wraps an event handler with modifiers. Use it as the value of any `on*` prop.
+ * The result is still a plain function, so it works anywhere a handler does.
+ * `once`, `passive` and `capture` only take effect when an element attaches it.
+ *
+ * @example
+ * <input onKeyDown={on(submit, { key: "Enter", prevent: true })} />
+ *
+ * @param handler - Function to call with the event.
+ * @param modifiers - Filters and listener options for the handler.
+ */
+export function on<E extends Event>(handler: (e: E) => void, modifiers: EventModifiers = {}): (e: E) => void {
+  if (!isFunction(handler)) {
+    throw new TypeError(`Expected an event handler function. Got type: ${typeOf(handler)}, value: ${handler}`);
+  }
+
+  const keys = modifiers.key == null ? undefined : [modifiers.key].flat();
+
+  const listener = (e: E) => {
+    if (keys && !keys.includes((e as unknown as KeyboardEvent).key)) return;
+
+    if (modifiers.prevent) e.preventDefault();
+    if (modifiers.stop) e.stopPropagation();
+
+    handler(e);
+  };
+
+  return Object.assign(listener, { [MODIFIERS]: modifiers });
+}
+
+/**
+ * Returns the `addEventListener` options for a handler created by `on()`.
+ */
+export function getListenerOptions(listener: unknown): AddEventListenerOptions {
+  const modifiers: EventModifiers = (isFunction(listener) && (listener as any)[MODIFIERS]) || {};
+
+  return {
+    once: modifiers.once ?? false,
+    passive: modifiers.passive ?? false,
+    capture: modifiers.capture ?? false,
+  };
+}
+
+/*==================================*\
+||             Delegation             ||
+\*==================================*/
+
+/**
+ * Dispatches events from one listener per event type to the handlers of the elements they pass through.
+ */
+export interface EventDelegation {
+  /**
+   * Registers `listener` for `type` events on `element`. Returns a function that removes it.
+   */
+  add(element: Element, type: string, listener: (e: Event) => void, once?: boolean): StopFunction;
+}
+
+// Common events that always bubble, so a listener on the document sees them. Anything else, including events that
+// don't bubble (`focus`, `play`, `invalid` and many more) and custom events, is listened for on its element.
+// `touchstart`, `touchmove` and `wheel` bubble too, but browsers make document listeners for them passive.
+const delegatedEvents = new Set([
+  "auxclick",
+  "beforeinput",
+  "change",
+  "click",
+  "contextmenu",
+  "copy",
+  "cut",
+  "dblclick",
+  "drag",
+  "dragend",
+  "dragenter",
+  "dragleave",
+  "dragover",
+  "dragstart",
+  "drop",
+  "focusin",
+  "focusout",
+  "input",
+  "keydown",
+  "keyup",
+  "mousedown",
+  "mousemove",
+  "mouseout",
+  "mouseover",
+  "mouseup",
+  "paste",
+  "pointercancel",
+  "pointerdown",
+  "pointermove",
+  "pointerout",
+  "pointerover",
+  "pointerup",
+  "reset",
+  "submit",
+  "touchcancel",
+  "touchend",
+]);
+
+/**
+ * Returns true if a listener for `type` with `options` can go through event delegation.
+ * Capturing and passive listeners need their own options, so they are attached directly.
+ */
+export function canDelegate(type: string, options: AddEventListenerOptions) {
+  return !options.capture && !options.passive && delegatedEvents.has(type);
+}
+
+/**
+ * Creates an event delegation that listens on `root`. A listener for each event type is added when the first
+ * element registers a handler for it and removed again when the last one is gone.
+ */
+export function createEventDelegation(root: Node): EventDelegation {
+  const handlers = new Map<string, WeakMap<EventTarget, Set<(e: Event) => void>>>();
+  const counts = new Map<string, number>();
+
+  const dispatch = (e: Event) => {
+    const byElement = handlers.get(e.type);
+    if (!byElement) return;
+
+    // The composed path includes elements in shadow roots and portals rendered outside the app's root element.
+    for (const target of e.composedPath()) {
+      const listeners = byElement.get(target);
+      if (!listeners) continue;
+
+      // Handlers see the element they were registered on, as they would with their own listener.
+      Object.defineProperty(e, "currentTarget", { value: target, configurable: true });
+
+      for (const listener of [...listeners]) {
+        listener(e);
+      }
+
+      delete (e as any).currentTarget;
+
+      if (e.cancelBubble) break;
+    }
+  };
+
+  return {
+    add(element, type, listener, once = false) {
+      let byElement = handlers.get(type);
+      if (!byElement) {
+        byElement = new WeakMap();
+        handlers.set(type, byElement);
+      }
+
+      let listeners = byElement.get(element);
+      if (!listeners) {
+        listeners = new Set();
+        byElement.set(element, listeners);
+      }
+
+      const count = counts.get(type) ?? 0;
+      if (count === 0) {
+        root.addEventListener(type, dispatch);
+      }
+      counts.set(type, count + 1);
+
+      let isRemoved = false;
+
+      const remove = () => {
+        if (isRemoved) return;
+        isRemoved = true;
+
+        listeners!.delete(registered);
+
+        const count = counts.get(type)! - 1;
+        counts.set(type, count);
+        if (count === 0) {
+          root.removeEventListener(type, dispatch);
+        }
+      };
+
+      const registered = once
+        ? (e: Event) => {
+            remove();
+            listener(e);
+          }
+        : listener;
+
+      listeners.add(registered);
+
+      return remove;
+    },
+  };
+}
@@ -0,0 +1,163 @@
+import { typeOf } from "@borf/bedrock";
+import {
+  OBSERVE,
+  batch,
+  computed,
+  isWritable,
+  withWritableHelpers,
+  writable,
+  type Readable,
+  type Writable,
+} from "./state.js";
+
+export interface HistoryOptions {
+  /**
+   * Maximum number of changes that can be undone, at least 1. Older changes are forgotten. Defaults to 100.
+   */
+  limit?: number;
+
+  /**
+   * Changes made within this many milliseconds of the previous change are combined into one history entry.
+   * Useful for text inputs where each keystroke would otherwise be undone separately. Defaults to 0.
+   */
+  coalesceMs?: number;
+}
+
+export interface History<T> extends Writable<T> {
+  /**
+   * True when there is a change that can be undone.
+   */
+  $canUndo: Readable<boolean>;
+
+  /**
+   * True when there is an undone change that can be redone.
+   */
+  $canRedo: Readable<boolean>;
+
+  /**
+   * Restores the value from before the last change.
+   */
+  undo(): void;
+
+  /**
+   * Reapplies the last undone change.
+   */
+  redo(): void;
+
+  /**
+   * Runs `callback` and records every change made inside it as a single history entry.
+   */
+  transaction(callback: () => void): void;
+
+  /**
+   * Forgets all recorded changes without changing the current value.
+   */
+  clear(): void;
+}
+
+/**
+ * Records changes to `$$value` so they can be undone and redone.
+ *
+ * Changes are recorded by observing `$$value`, so sets that its equality check treats as unchanged are not recorded,
+ * and changes made inside a `batch()` or `transaction()` are recorded as one entry.
+ *
+ * @param $$value - Writable to record changes to.
+ * @param options - Limit and coalescing options.
+ */
+export function history<T>($$value: Writable<T>, options?: HistoryOptions): History<T> {
+  if (!isWritable($$value)) {
+    throw new TypeError(`Expected a Writable. Got type: ${typeOf($$value)}, value: ${$$value}`);
+  }
+
+  const limit = options?.limit ?? 100;
+
+  if (typeof limit !== "number" || !(limit >= 1)) {
+    throw new TypeError(`Expected limit to be a number of at least 1. Got type: ${typeOf(limit)}, value: ${limit}`);
+  }
+  const coalesceMs = options?.coalesceMs ?? 0;
+
+  const $$past = writable<any>([], { equals: "identity" }) as Writable<T[]>;
+  const $$future = writable<any>([], { equals: "identity" }) as Writable<T[]>;
+
+  let lastChangeTime = -Infinity;
+
+  // Set while undoing or redoing so the resulting change isn't recorded as a new entry.
+  let travelingTo: { value: T } | undefined;
+
+  let isInitial = true;
+
+  // Observed for as long as the history exists.
+  $$value[OBSERVE]((currentValue: T, previousValue?: T) => {
+    // Skip the immediate call with the current value.
+    if (isInitial) return;
+
+    if (travelingTo && travelingTo.value === currentValue) {
+      return;
+    }
+
+    const now = Date.now();
+    const isCoalesced = now - lastChangeTime < coalesceMs && $$past.get().length > 0;
+    lastChangeTime = now;
+
+    batch(() => {
+      if (!isCoalesced) {
+        $$past.update((past) => [...past, previousValue as T].slice(-limit));
+      }
+      $$future.set([]);
+    });
+  });
+
+  isInitial = false;
+
+  function travel(from: Writable<T[]>, to: Writable<T[]>) {
+    const entries = from.get();
+
+    if (entries.length === 0) return;
+
+    const value = entries[entries.length - 1];
+    const currentValue = $$value.get();
+
+    // The next change starts a new entry even if it comes quickly.
+    lastChangeTime = -Infinity;
+    travelingTo = { value };
+
+    batch(() => {
+      from.set(entries.slice(0, -1));
+      to.update((entries) => [...entries, currentValue]);
+      $$value.set(value);
+    });
+
+    // Cleared here rather than when the change is observed, since a value equal to the current one isn't.
+    travelingTo = undefined;
+  }
+
+  const $$history = withWritableHelpers<T>({
+    get: $$value.get,
+    set: $$value.set,
+    update: $$value.update,
+
+    [OBSERVE]: $$value[OBSERVE],
+  });
+
+  return Object.assign($$history, {
+    $canUndo: computed($$past, (past) => past.length > 0),
+    $canRedo: computed($$future, (future) => future.length > 0),
+
+    undo: () => travel($$past, $$future),
+    redo: () => travel($$future, $$past),
+
+    transaction: (callback: () => void) => {
+      // Transactions are always their own entry; never coalesced with changes before or after.
+      lastChangeTime = -Infinity;
+      batch(callback);
+      lastChangeTime = -Infinity;
+    },
+
+    clear: () => {
+      batch(() => {
+        $$past.set([]);
+        $$future.set([]);
+      });
+    },
+  });
+}
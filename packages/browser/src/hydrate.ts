@@ -0,0 +1,173 @@
+import { type AppContext } from "./app.js";
+import { type DebugChannel } from "./classes/DebugHub.js";
+
+/**
+ * Tracks server-rendered nodes that haven't been adopted by a DOMHandle yet.
+ */
+export interface HydrationState {
+  pending: Set<Node>;
+
+  /**
+   * Promises of async views and suspended values whose content hasn't been rendered yet.
+   */
+  loading: Set<Promise<unknown>>;
+
+  debugChannel: DebugChannel;
+}
+
+/**
+ * Collects the server-rendered nodes inside the app's root element so DOMHandles can adopt them as they connect.
+ */
+export function startHydration(appContext: AppContext): HydrationState {
+  const pending = new Set<Node>();
+
+  const collect = (node: Node) => {
+    for (const child of Array.from(node.childNodes)) {
+      pending.add(child);
+      collect(child);
+    }
+  };
+  collect(appContext.rootElement!);
+
+  return {
+    pending,
+    loading: new Set(),
+    debugChannel: appContext.debugHub.channel({ name: "borf/hydrate" }),
+  };
+}
+
+/**
+ * Keeps hydration going until `promise` settles, so the content rendered from it can still adopt
+ * the server's nodes instead of having them removed as leftovers.
+ */
+export function deferHydration(appContext: AppContext, promise: Promise<unknown>) {
+  appContext.hydration?.loading.add(promise);
+}
+
+/**
+ * Resolves once every promise passed to `deferHydration` has settled, including those of content that
+ * only started loading once earlier promises were done.
+ */
+export async function waitForHydration(appContext: AppContext) {
+  const loading = appContext.hydration?.loading;
+
+  while (loading && loading.size > 0) {
+    const promises = Array.from(loading);
+    await Promise.allSettled(promises);
+
+    for (const promise of promises) {
+      loading.delete(promise);
+    }
+  }
+}
+
+/**
+ * Ends hydration, removing any server-rendered nodes the client didn't adopt.
+ */
+export function endHydration(appContext: AppContext) {
+  const hydration = appContext.hydration;
+
+  if (!hydration) return;
+
+  appContext.hydration = undefined;
+
+  // Only the outermost leftovers still in the page are worth reporting; their children go with them.
+  const leftovers = Array.from(hydration.pending).filter(
+    (node) => node.isConnected && !hydration.pending.has(node.parentNode!) && !isWhitespace(node)
+  );
+
+  for (const node of hydration.pending) {
+    node.parentNode?.removeChild(node);
+  }
+
+  if (leftovers.length > 0) {
+    hydration.debugChannel.warn(
+      `Hydration mismatch: removed ${leftovers.length} server-rendered node(s) that weren't rendered on the client.`,
+      leftovers
+    );
+  }
+}
+
+/**
+ * Inserts `node` into `parent` before `before`, like `parent.insertBefore`.
+ *
+ * While the app is hydrating, the server-rendered node at this position is adopted instead if it matches `node`
+ * (an element with the same tag, or text that begins with the same content) and that node is returned.
+ * Anything else, such as the comment nodes that mark where dynamic content goes, is inserted in front of it.
+ */
+export function insertNode(appContext: AppContext, parent: Node, node: Node, before: Node | null): Node {
+  const hydration = appContext.hydration;
+
+  if (!hydration) {
+    parent.insertBefore(node, before);
+    return node;
+  }
+
+  let existing = before ?? parent.firstChild;
+  while (existing && !hydration.pending.has(existing)) {
+    existing = existing.nextSibling;
+  }
+
+  if (existing && isMatch(node, existing)) {
+    hydration.pending.delete(existing);
+
+    // The server's text may have been merged with neighboring text by the HTML parser.
+    // Split off the rest so the next Text handle can adopt it.
+    const text = (node as Text).data;
+    if (existing.nodeType === Node.TEXT_NODE && (existing as Text).data.length > text.length) {
+      hydration.pending.add((existing as Text).splitText(text.length));
+    }
+
+    return existing;
+  }
+
+  if (isContent(node)) {
+    if (existing) {
+      hydration.debugChannel.warn(
+        `Hydration mismatch: expected ${describeNode(node)} but the server rendered ${describeNode(existing)}.`,
+        existing
+      );
+    } else {
+      hydration.debugChannel.warn(
+        `Hydration mismatch: expected ${describeNode(node)} but the server rendered nothing here.`,
+        parent
+      );
+    }
+  }
+
+  parent.insertBefore(node, existing ?? before);
+  return node;
+}
+
+function isMatch(node: Node, existing: Node) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    return existing.nodeType === Node.ELEMENT_NODE && existing.nodeName.toLowerCase() === node.nodeName.toLowerCase();
+  }
+
+  if (node.nodeType === Node.TEXT_NODE && isContent(node)) {
+    return existing.nodeType === Node.TEXT_NODE && (existing as Text).data.startsWith((node as Text).data);
+  }
+
+  return false;
+}
+
+/**
+ * Elements and non-empty text are content. Empty text and comments are markers the server doesn't render.
+ */
+function isContent(node: Node) {
+  return node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.textContent !== "");
+}
+
+function isWhitespace(node: Node) {
+  return node.nodeType === Node.TEXT_NODE && node.textContent!.trim() === "";
+}
+
+function describeNode(node: Node) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    return `<${node.nodeName.toLowerCase()}>`;
+  } else if (node.nodeType === Node.TEXT_NODE) {
+    return `text "${node.textContent}"`;
+  } else {
+    return node.nodeName;
+  }
+}
@@ -3,23 +3,100 @@ export { makeApp } from "./app.js";
 
 // State
 export { spring } from "./spring.js";
-export { readable, writable, computed, proxy, observe, unwrap, isReadable, isWritable } from "./state.js";
+export { history } from "./history.js";
+export { cssTransition, springTransition } from "./transitions.js";
+export { lazy } from "./lazy.js";
+export { defineElement } from "./element.js";
+export { on } from "./events.js";
+export { parseQuery, stringifyQuery } from "./query.js";
+export {
+  readable,
+  writable,
+  computed,
+  proxy,
+  observe,
+  batch,
+  resource,
+  debounced,
+  throttled,
+  delayed,
+  sampledPerFrame,
+  previous,
+  fromObservable,
+  fromAsyncIterable,
+  fromEvent,
+  fromPromise,
+  toObservable,
+  toAsyncIterable,
+  getStateGraph,
+  getActiveObservers,
+  persisted,
+  indexedDBStorage,
+  unwrap,
+  isReadable,
+  isWritable,
+} from "./state.js";
 
 // Markup
-export { m, cond, repeat, portal } from "./markup.js";
+export { m, cond, repeat, virtualRepeat, portal, virtual } from "./markup.js";
+
+// Server Rendering
+export { renderToString, renderToStream } from "./ssr.js";
 
 // Views
 export { Fragment } from "./views/fragment.js";
 export { StoreScope } from "./views/store-scope.js";
+export { Suspense } from "./views/suspense.js";
+export { ErrorBoundary } from "./views/error-boundary.js";
+export { Link } from "./views/link.js";
 
 // Types
 export type { DialogProps } from "./stores/dialog.js";
 export type { StoreScopeProps } from "./views/store-scope.js";
+export type { SuspenseProps } from "./views/suspense.js";
+export type { ErrorBoundaryProps } from "./views/error-boundary.js";
+export type { LinkProps } from "./views/link.js";
 export type { Spring } from "./spring.js";
-export type { Readable, Writable } from "./state.js";
+export type { History, HistoryOptions } from "./history.js";
+export type { Transition, SpringTransitionOptions } from "./transitions.js";
+export type { LazyView, LazyOptions } from "./lazy.js";
+export type { DefineElementOptions, ElementPropType } from "./element.js";
+export type { EventModifiers } from "./events.js";
+export type { ParsedQuery, QueryValue, QueryOptions, QuerySchema, QueryParamType } from "./query.js";
+export type { RouterScrollOptions } from "./scroll.js";
+export type { RenderToStringOptions } from "./ssr.js";
+export type {
+  RouteOptions,
+  GuardResult,
+  NavigationContext,
+  NavigationEvent,
+  RedirectContext,
+  RedirectFunction,
+  PatternParams,
+  RouteNames,
+  RouteName,
+  RouteParams,
+  HrefOptions,
+} from "./stores/router.js";
+export type {
+  Readable,
+  Writable,
+  Equality,
+  StateOptions,
+  Resource,
+  ResourceOptions,
+  Subscribable,
+  ReadableObservable,
+  StateGraph,
+  ActiveObserver,
+  Persisted,
+  PersistedOptions,
+  PersistedStorage,
+} from "./state.js";
 export type { ViewContext } from "./view.js";
 export type { StoreContext } from "./store.js";
-export type { Markup } from "./markup.js";
+export type { Markup, VirtualRepeatMarkup } from "./markup.js";
+export type { VirtualRepeatOptions, ScrollToItemOptions } from "./nodes/virtual-repeat.js";
 export type { HTTPMiddleware } from "./stores/http.js";
 export type { InputType } from "./types.js";
 // export "./types.js";
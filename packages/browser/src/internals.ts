@@ -0,0 +1,15 @@
+/**
+ * Internal modules bundled separately for the tests. Not part of the package's exports.
+ * Everything the package exports is included too, so tests share one copy of the state module.
+ */
+
+export * from "./index.js";
+
+export { CrashCollector } from "./classes/CrashCollector.js";
+export { DebugHub } from "./classes/DebugHub.js";
+export { compileStyles, mountStyles } from "./css.js";
+export { parseAttribute, toKebabCase } from "./element.js";
+export { canDelegate, createEventDelegation } from "./events.js";
+export { deferHydration, endHydration, insertNode, startHydration, waitForHydration } from "./hydrate.js";
+export { renderMarkupToDOM } from "./markup.js";
+export { createScrollManager } from "./scroll.js";
@@ -0,0 +1,90 @@
+import { isFunction, typeOf } from "@borf/bedrock";
+import { m } from "./markup.js";
+import { computed } from "./state.js";
+import { type Renderable } from "./types.js";
+import { type View, type ViewContext } from "./view.js";
+
+export interface LazyOptions {
+  /**
+   * Content to show while the view is loading. Nothing is shown by default.
+   */
+  placeholder?: Renderable;
+}
+
+/**
+ * A view that loads its implementation the first time it's rendered.
+ */
+export interface LazyView<P> extends View<P> {
+  /**
+   * Starts loading the view if it hasn't been loaded yet. Resolves to the loaded view.
+   */
+  preload(): Promise<View<P>>;
+}
+
+type LazyModule<P> = { default: View<P> } | View<P>;
+
+const LAZY = Symbol("LAZY");
+
+/**
+ * Returns true if `value` is a view created by `lazy()`.
+ */
+export function isLazyView(value: unknown): value is LazyView<any> {
+  return isFunction(value) && (value as any)[LAZY] === true;
+}
+
+/**
+ * Creates a view that calls `load` the first time it's rendered and then renders the view it loads.
+ * Pass a dynamic import so bundlers can split the view into its own chunk.
+ * The loaded view is cached, so `load` is only called again if it fails.
+ *
+ * Loading is tracked by a surrounding Suspense and load errors are passed to the nearest ErrorBoundary,
+ * like any async view.
+ *
+ * @example
+ * app.route("/settings", lazy(() => import("./views/Settings.js"), { placeholder: <p>Loading...</p> }));
+ *
+ * @param load - Returns a promise that resolves to a module with the view as its default export, or the view itself.
+ * @param options - Set a `placeholder` to show while loading.
+ */
+export function lazy<P>(load: () => Promise<LazyModule<P>>, options: LazyOptions = {}): LazyView<P> {
+  let loaded: View<P> | undefined;
+  let loading: Promise<View<P>> | undefined;
+
+  const preload = () => {
+    if (!loading) {
+      loading = load().then((module) => {
+        const view = isFunction(module) ? module : (module as { default: View<P> })?.default;
+
+        if (!isFunction(view)) {
+          throw new TypeError(
+            `Expected lazy() to load a view function or a module that exports one as default. Got type: ${typeOf(
+              view
+            )}, value: ${view}`
+          );
+        }
+
+        loaded = view as View<P>;
+        return loaded;
+      });
+
+      // Forget failed loads so the next render tries again.
+      loading.catch(() => {
+        loading = undefined;
+      });
+    }
+
+    return loading;
+  };
+
+  function Lazy(props: P, ctx: ViewContext) {
+    if (loaded) {
+      return m(loaded, props, ctx.outlet());
+    }
+
+    const $view = ctx.suspend(preload());
+
+    return computed($view, (view) => (view ? m(view, props, ctx.outlet()) : options.placeholder ?? null));
+  }
+
+  return Object.assign(Lazy, { preload, [LAZY]: true });
+}
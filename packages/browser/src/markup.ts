@@ -7,7 +7,15 @@ import { Outlet } from "./nodes/outlet.js";
 import { Portal } from "./nodes/portal.js";
 import { Repeat } from "./nodes/repeat.js";
 import { Text } from "./nodes/text.js";
+import { Virtual } from "./nodes/virtual.js";
+import {
+  VirtualRepeat,
+  type ScrollToItemOptions,
+  type VirtualRepeatControls,
+  type VirtualRepeatOptions,
+} from "./nodes/virtual-repeat.js";
 import { isReadable, readable, type Readable } from "./state.js";
+import { type Transition } from "./transitions.js";
 import type { Renderable, Stringable } from "./types.js";
 import { initView, type View, type ViewContext, type ViewResult } from "./view.js";
 
@@ -57,7 +65,7 @@ export function toMarkup(renderables: Renderable | Renderable[]): Markup[] {
     .flat(Infinity)
     .filter((x) => x !== null && x !== undefined && x !== false)
     .map((x) => {
-      if (x instanceof Node) {
+      if (typeof Node !== "undefined" && x instanceof Node) {
         return m("$node", { value: x });
       }
 
@@ -83,11 +91,12 @@ export function toMarkup(renderables: Renderable | Renderable[]): Markup[] {
 
 export interface MarkupAttributes {
   $text: { value: Stringable | Readable<Stringable> };
-  $cond: { $predicate: Readable<any>; thenContent?: Renderable; elseContent?: Renderable };
+  $cond: { $predicate: Readable<any>; thenContent?: Renderable; elseContent?: Renderable; transition?: Transition };
   $repeat: {
     $items: Readable<any[]>;
     keyFn: (value: any, index: number) => string | number | symbol;
     renderFn: ($item: Readable<any>, $index: Readable<number>, c: ViewContext) => ViewResult;
+    transition?: Transition;
   };
   $observer: {
     readables: Readable<any>[];
@@ -95,6 +104,7 @@ export interface MarkupAttributes {
   };
   $outlet: {
     $children: Readable<DOMHandle[]>;
+    transition?: Transition;
   };
   $node: {
     value: Node;
@@ -103,6 +113,17 @@ export interface MarkupAttributes {
     content: Renderable;
     parent: Node;
   };
+  $virtual: {
+    $state: Readable<any>;
+    render: (state: any) => Renderable;
+  };
+  $virtualRepeat: {
+    $items: Readable<any[]>;
+    keyFn: (value: any, index: number) => string | number | symbol;
+    renderFn: ($item: Readable<any>, $index: Readable<number>, c: ViewContext) => ViewResult;
+    options: VirtualRepeatOptions<any>;
+    controls: VirtualRepeatControls;
+  };
 
   [tag: string]: Record<string, any>;
 }
@@ -128,19 +149,39 @@ export function m<P>(type: string | View<P>, props?: P, ...children: Renderable[
 ||        Markup Utils       ||
 \*===========================*/
 
+export interface CondOptions {
+  /**
+   * Animates content as it's swapped.
+   */
+  transition?: Transition;
+}
+
 /**
  * Displays content conditionally. When `predicate` holds a truthy value, `thenContent` is displayed; when `predicate` holds a falsy value, `elseContent` is displayed.
  */
-export function cond(predicate: any | Readable<any>, thenContent?: Renderable, elseContent?: Renderable): Markup {
+export function cond(
+  predicate: any | Readable<any>,
+  thenContent?: Renderable,
+  elseContent?: Renderable,
+  options?: CondOptions
+): Markup {
   const $predicate = readable(predicate);
 
   return m("$cond", {
     $predicate,
     thenContent,
     elseContent,
+    transition: options?.transition,
   });
 }
 
+export interface RepeatOptions {
+  /**
+   * Animates items as they're added, removed and reordered.
+   */
+  transition?: Transition;
+}
+
 /**
  * Calls `renderFn` for each item in `items`. Dynamically adds and removes views as items change.
  * The result of `keyFn` is used to compare items and decide if item was added, removed or updated.
@@ -148,11 +189,48 @@ export function cond(predicate: any | Readable<any>, thenContent?: Renderable, e
 export function repeat<T>(
   items: Readable<T[]> | T[],
   keyFn: (value: T, index: number) => string | number | symbol,
-  renderFn: ($value: Readable<T>, $index: Readable<number>, ctx: ViewContext) => ViewResult
+  renderFn: ($value: Readable<T>, $index: Readable<number>, ctx: ViewContext) => ViewResult,
+  options?: RepeatOptions
 ): Markup {
   const $items = readable(items);
 
-  return m("$repeat", { $items, keyFn, renderFn });
+  return m("$repeat", { $items, keyFn, renderFn, transition: options?.transition });
+}
+
+export interface VirtualRepeatMarkup extends Markup {
+  /**
+   * Scrolls the list so the item at `index` is in view.
+   */
+  scrollToIndex(index: number, options?: ScrollToItemOptions): void;
+
+  /**
+   * Scrolls the list so the item with `key` is in view.
+   */
+  scrollToKey(key: string | number | symbol, options?: ScrollToItemOptions): void;
+}
+
+/**
+ * Like `repeat`, but only renders the items scrolled into view (plus `overscan` items on either side) for lists
+ * too long to render in full. Items are rendered in a scroll container that fills its parent's height.
+ * As the list scrolls, the views of items leaving the view are reused for items coming into view.
+ */
+export function virtualRepeat<T>(
+  items: Readable<T[]> | T[],
+  keyFn: (value: T, index: number) => string | number | symbol,
+  renderFn: ($value: Readable<T>, $index: Readable<number>, ctx: ViewContext) => ViewResult,
+  options: VirtualRepeatOptions<T> = {}
+): VirtualRepeatMarkup {
+  const $items = readable(items);
+  const controls: VirtualRepeatControls = {};
+
+  return Object.assign(m("$virtualRepeat", { $items, keyFn, renderFn, options, controls }), {
+    scrollToIndex: (index: number, options?: ScrollToItemOptions) => {
+      controls.handle?.scrollToIndex(index, options);
+    },
+    scrollToKey: (key: string | number | symbol, options?: ScrollToItemOptions) => {
+      controls.handle?.scrollToKey(key, options);
+    },
+  });
 }
 
 /**
@@ -162,6 +240,20 @@ export function portal(content: Renderable, parent: Node) {
   return m("$portal", { content, parent });
 }
 
+/**
+ * Calls `render` with the value of `state` each time it changes. Instead of replacing everything, the new markup
+ * is compared to the last and the DOM is updated in place where possible. Elements and views with the same type
+ * and `key` prop (or position, if there's no key) are reused. Elements take on their new props, while views
+ * are only reused if their props are unchanged.
+ *
+ * Use this for markup built from complex data that doesn't break down well into `cond` and `repeat`.
+ */
+export function virtual<T>(state: Readable<T> | T, render: (state: T) => Renderable): Markup {
+  const $state = readable(state);
+
+  return m("$virtual", { $state, render });
+}
+
 /*===========================*\
 ||           Render          ||
 \*===========================*/
@@ -220,6 +312,7 @@ export function renderMarkupToDOM(markup: Markup | Markup[], ctx: RenderContext)
           const attrs = item.props! as MarkupAttributes["$text"];
           return new Text({
             value: attrs.value,
+            appContext: ctx.appContext,
           });
         }
         case "$cond": {
@@ -228,6 +321,7 @@ export function renderMarkupToDOM(markup: Markup | Markup[], ctx: RenderContext)
             $predicate: attrs.$predicate,
             thenContent: attrs.thenContent,
             elseContent: attrs.elseContent,
+            transition: attrs.transition,
             appContext: ctx.appContext,
             elementContext: ctx.elementContext,
           });
@@ -238,6 +332,7 @@ export function renderMarkupToDOM(markup: Markup | Markup[], ctx: RenderContext)
             $items: attrs.$items,
             keyFn: attrs.keyFn,
             renderFn: attrs.renderFn,
+            transition: attrs.transition,
             appContext: ctx.appContext,
             elementContext: ctx.elementContext,
           });
@@ -255,6 +350,7 @@ export function renderMarkupToDOM(markup: Markup | Markup[], ctx: RenderContext)
           const attrs = item.props! as MarkupAttributes["$outlet"];
           return new Outlet({
             $children: attrs.$children,
+            transition: attrs.transition,
             appContext: ctx.appContext,
             elementContext: ctx.elementContext,
           });
@@ -268,6 +364,27 @@ export function renderMarkupToDOM(markup: Markup | Markup[], ctx: RenderContext)
             elementContext: ctx.elementContext,
           });
         }
+        case "$virtualRepeat": {
+          const attrs = item.props! as MarkupAttributes["$virtualRepeat"];
+          return new VirtualRepeat({
+            $items: attrs.$items,
+            keyFn: attrs.keyFn,
+            renderFn: attrs.renderFn,
+            options: attrs.options,
+            controls: attrs.controls,
+            appContext: ctx.appContext,
+            elementContext: ctx.elementContext,
+          });
+        }
+        case "$virtual": {
+          const attrs = item.props! as MarkupAttributes["$virtual"];
+          return new Virtual({
+            $state: attrs.$state,
+            render: attrs.render,
+            appContext: ctx.appContext,
+            elementContext: ctx.elementContext,
+          });
+        }
         default:
           if (item.type.startsWith("$")) {
             throw new Error(`Unknown markup type: ${item.type}`);
@@ -1,12 +1,15 @@
 import { type AppContext, type ElementContext } from "../app.js";
+import { insertNode } from "../hydrate.js";
 import { renderMarkupToDOM, toMarkup, type DOMHandle, type Markup } from "../markup.js";
 import { observe, type Readable, type StopFunction } from "../state.js";
+import { playEnter, playLeave, stopLeaving, type Transition } from "../transitions.js";
 import { type Renderable } from "../types.js";
 
 export interface ConditionalConfig {
   $predicate: Readable<any>;
   thenContent?: Renderable;
   elseContent?: Renderable;
+  transition?: Transition;
   appContext: AppContext;
   elementContext: ElementContext;
 }
@@ -19,6 +22,9 @@ export class Conditional implements DOMHandle {
   thenContent?: Markup[];
   elseContent?: Markup[];
   connectedContent: DOMHandle[] = [];
+  leaving = new Set<DOMHandle>();
+  transition?: Transition;
+  hasUpdated = false;
   appContext: AppContext;
   elementContext: ElementContext;
 
@@ -26,6 +32,7 @@ export class Conditional implements DOMHandle {
     this.$predicate = config.$predicate;
     this.thenContent = config.thenContent ? toMarkup(config.thenContent) : undefined;
     this.elseContent = config.elseContent ? toMarkup(config.elseContent) : undefined;
+    this.transition = config.transition;
     this.appContext = config.appContext;
     this.elementContext = config.elementContext;
 
@@ -44,7 +51,7 @@ export class Conditional implements DOMHandle {
 
   connect(parent: Node, after?: Node | undefined): void {
     if (!this.connected) {
-      parent.insertBefore(this.node, after?.nextSibling ?? null);
+      insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null);
       if (this.appContext.mode === "development") {
         parent.insertBefore(this.endNode, this.node.nextSibling);
       }
@@ -65,6 +72,9 @@ export class Conditional implements DOMHandle {
       handle.disconnect();
     }
     this.connectedContent = [];
+    this.hasUpdated = false;
+
+    stopLeaving(this.leaving);
 
     if (this.connected) {
       this.node.parentNode?.removeChild(this.node);
@@ -74,7 +84,7 @@ export class Conditional implements DOMHandle {
 
   update(value: any) {
     for (const handle of this.connectedContent) {
-      handle.disconnect();
+      playLeave(this.appContext, this.transition, handle, this.leaving);
     }
     this.connectedContent = [];
 
@@ -90,8 +100,19 @@ export class Conditional implements DOMHandle {
       handle.connect(this.node.parentNode!, previous);
     }
 
+    if (this.hasUpdated || this.transition?.appear) {
+      playEnter(this.appContext, this.transition, this.connectedContent);
+    }
+    this.hasUpdated = true;
+
     if (this.appContext.mode === "development") {
       this.node.textContent = `Conditional (${value ? "truthy" : "falsy"})`;
+
+      // Content adopted while hydrating stays where the server put it, which can be past the end marker.
+      const lastNode = this.connectedContent.at(-1)?.node ?? this.node;
+      if (this.endNode.previousSibling !== lastNode) {
+        this.node.parentNode?.insertBefore(this.endNode, lastNode.nextSibling);
+      }
     }
   }
 
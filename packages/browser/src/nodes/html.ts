@@ -1,6 +1,8 @@
 import { isFunction, isNumber, isObject, isString } from "@borf/bedrock";
 import { nanoid } from "nanoid";
 import { type AppContext, type ElementContext } from "../app.js";
+import { canDelegate, getListenerOptions } from "../events.js";
+import { insertNode } from "../hydrate.js";
 import { renderMarkupToDOM, type DOMHandle, type Markup } from "../markup.js";
 import { isReadable, isWritable, observe, type Readable, type StopFunction } from "../state.js";
 import { BuiltInStores } from "../types.js";
@@ -20,6 +22,7 @@ type HTMLOptions = {
 export class HTML implements DOMHandle {
   node;
   props: Record<string, any>;
+  ref?: any;
   children: DOMHandle[];
   stopCallbacks: StopFunction[] = [];
   appContext;
@@ -48,30 +51,43 @@ export class HTML implements DOMHandle {
       this.node = document.createElement(tag);
     }
 
-    // Add unique ID to attributes for debugging purposes.
-    if (appContext.mode === "development") {
-      this.node.dataset.uniqueId = this.uniqueId;
-    }
+    this.appContext = appContext;
+    this.elementContext = elementContext;
+    this.ref = props.ref;
 
-    // Set ref if present. Refs can be a Ref object or a function that receives the node.
-    if (props.ref) {
-      if (isWritable(props.ref)) {
-        props.ref.set(this.node);
-      } else if (isFunction(props.ref)) {
-        props.ref(this.node);
-      } else {
-        throw new Error("Expected an instance of Ref. Got: " + props.ref);
-      }
-    }
+    this.applyNode();
 
     this.props = {
       ...omit(["ref", "class", "className"], props),
       class: props.className ?? props.class,
     };
     this.children = children ? renderMarkupToDOM(children, { appContext, elementContext }) : [];
+  }
 
-    this.appContext = appContext;
-    this.elementContext = elementContext;
+  /**
+   * Marks `this.node` for debugging and passes it to the ref. Runs again if hydration swaps in a server-rendered node.
+   */
+  applyNode() {
+    // Add unique ID to attributes for debugging purposes.
+    if (this.appContext.mode === "development") {
+      this.node.dataset.uniqueId = this.uniqueId;
+    }
+
+    // Mark the element so the styles of the view that rendered it apply.
+    for (const scope of this.elementContext.styleScopes ?? []) {
+      this.node.setAttribute(scope.attribute, scope.value);
+    }
+
+    // Set ref if present. Refs can be a Ref object or a function that receives the node.
+    if (this.ref) {
+      if (isWritable(this.ref)) {
+        this.ref.set(this.node);
+      } else if (isFunction(this.ref)) {
+        this.ref(this.node);
+      } else {
+        throw new Error("Expected an instance of Ref. Got: " + this.ref);
+      }
+    }
   }
 
   connect(parent: Node, after?: Node) {
@@ -79,7 +95,19 @@ export class HTML implements DOMHandle {
       throw new Error(`HTML element requires a parent element as the first argument to connect. Got: ${parent}`);
     }
 
+    let isHydrated = false;
+
     if (!this.connected) {
+      // Adopt the server-rendered element before connecting children so they can adopt its contents in turn.
+      if (this.appContext.hydration) {
+        const node = insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null);
+        if (node !== this.node) {
+          this.node = node as HTMLElement | SVGElement;
+          this.applyNode();
+        }
+        isHydrated = true;
+      }
+
       for (const child of this.children) {
         child.connect(this.node);
       }
@@ -89,7 +117,9 @@ export class HTML implements DOMHandle {
       if (this.props.class) this.applyClasses(this.node, this.props.class, this.stopCallbacks);
     }
 
-    parent.insertBefore(this.node, after?.nextSibling ?? null);
+    if (!isHydrated) {
+      parent.insertBefore(this.node, after?.nextSibling ?? null);
+    }
 
     setTimeout(() => {
       this.canClickAway = true;
@@ -141,6 +171,48 @@ export class HTML implements DOMHandle {
     return `${this.uniqueId}:${type}:${value}`;
   }
 
+  /**
+   * Calls `value` for each `name` event on `element`. Takes a handler, a Readable that holds one, or a handler with
+   * modifiers from `on()`. Goes through the app's event delegation when it's turned on and the event bubbles.
+   */
+  listen(element: HTMLElement | SVGElement, name: string, value: unknown) {
+    if (!isReadable(value)) {
+      this.stopCallbacks.push(this.addListener(element, name, value as (e: Event) => void));
+      return;
+    }
+
+    // Each handler is added with its own modifiers, so the listener is replaced whenever the handler changes.
+    let removeListener: StopFunction | undefined;
+
+    this.stopCallbacks.push(
+      observe(value, (handler) => {
+        removeListener?.();
+        removeListener = isFunction(handler)
+          ? this.addListener(element, name, handler as (e: Event) => void)
+          : undefined;
+      }),
+      () => removeListener?.()
+    );
+  }
+
+  /**
+   * Adds `listener` with the options of its modifiers. Returns a function that removes it.
+   */
+  addListener(element: HTMLElement | SVGElement, name: string, listener: (e: Event) => void): StopFunction {
+    const options = getListenerOptions(listener);
+    const delegation = this.appContext.eventDelegation;
+
+    if (delegation && canDelegate(name, options)) {
+      return delegation.add(element, name, listener, options.once);
+    }
+
+    element.addEventListener(name, listener, options);
+
+    return () => {
+      element.removeEventListener(name, listener, options);
+    };
+  }
+
   applyProps(element: HTMLElement | SVGElement, props: Record<string, unknown>) {
     const render = this.appContext.stores.get("render")!.instance?.exports as BuiltInStores["render"];
 
@@ -183,15 +255,7 @@ export class HTML implements DOMHandle {
         const values = value as Record<string, any>;
 
         for (const name in values) {
-          const listener: (e: Event) => void = isReadable<(e: Event) => void>(value)
-            ? (e: Event) => value.get()(e)
-            : (value as (e: Event) => void);
-
-          element.addEventListener(name, listener);
-
-          this.stopCallbacks.push(() => {
-            element.removeEventListener(name, listener);
-          });
+          this.listen(element, name, values[name]);
         }
       } else if (key === "$$value") {
         if (!isWritable(value)) {
@@ -235,17 +299,7 @@ export class HTML implements DOMHandle {
           window.removeEventListener("click", listener, options);
         });
       } else if (isCamelCaseEventName(key)) {
-        const eventName = key.slice(2).toLowerCase();
-
-        const listener: (e: Event) => void = isReadable<(e: Event) => void>(value)
-          ? (e: Event) => value.get()(e)
-          : (value as (e: Event) => void);
-
-        element.addEventListener(eventName, listener);
-
-        this.stopCallbacks.push(() => {
-          element.removeEventListener(eventName, listener);
-        });
+        this.listen(element, key.slice(2).toLowerCase(), value);
       } else if (key.includes("-")) {
         // Names with dashes in them are not valid prop names, so they are treated as attributes.
         attachProp(
@@ -265,7 +319,7 @@ export class HTML implements DOMHandle {
             value,
             (current) => {
               if (current != null) {
-                element.setAttribute(key, String(props[key]));
+                element.setAttribute(key, String(current));
               } else {
                 element.removeAttribute(key);
               }
@@ -484,7 +538,7 @@ export class HTML implements DOMHandle {
   }
 }
 
-function getClassMap(classes: unknown) {
+export function getClassMap(classes: unknown) {
   let mapped: Record<string, boolean> = {};
 
   if (isString(classes)) {
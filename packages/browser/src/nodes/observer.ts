@@ -1,5 +1,6 @@
 import { typeOf } from "@borf/bedrock";
 import { type AppContext, type ElementContext } from "../app.js";
+import { insertNode } from "../hydrate.js";
 import type { Renderable } from "../types.js";
 import {
   getRenderHandle,
@@ -77,7 +78,7 @@ export class Observer implements DOMHandle {
 
   connect(parent: Node, after?: Node) {
     if (!this.connected) {
-      parent.insertBefore(this.node, after?.nextSibling ?? null);
+      insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null);
       this.observerControls.start();
     }
   }
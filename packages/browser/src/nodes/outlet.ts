@@ -1,9 +1,12 @@
 import { type ElementContext, type AppContext } from "../app.js";
+import { insertNode } from "../hydrate.js";
 import { type DOMHandle } from "../markup.js";
 import { observe, type Readable, type StopFunction } from "../state.js";
+import { playEnter, playLeave, stopLeaving, type Transition } from "../transitions.js";
 
 export interface OutletConfig {
   $children: Readable<DOMHandle[]>;
+  transition?: Transition;
   appContext: AppContext;
   elementContext: ElementContext;
 }
@@ -17,11 +20,15 @@ export class Outlet implements DOMHandle {
   $children: Readable<DOMHandle[]>;
   stopCallback?: StopFunction;
   connectedChildren: DOMHandle[] = [];
+  leaving = new Set<DOMHandle>();
+  transition?: Transition;
+  hasUpdated = false;
   appContext: AppContext;
   elementContext: ElementContext;
 
   constructor(config: OutletConfig) {
     this.$children = config.$children;
+    this.transition = config.transition;
     this.appContext = config.appContext;
     this.elementContext = config.elementContext;
 
@@ -40,7 +47,7 @@ export class Outlet implements DOMHandle {
 
   connect(parent: Node, after?: Node | undefined) {
     if (!this.connected) {
-      parent.insertBefore(this.node, after?.nextSibling ?? null);
+      insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null);
 
       this.stopCallback = observe(this.$children, (children) => {
         this.update(children);
@@ -61,11 +68,19 @@ export class Outlet implements DOMHandle {
       this.connectedChildren = [];
       this.endNode.parentNode?.removeChild(this.endNode);
     }
+
+    this.hasUpdated = false;
+    stopLeaving(this.leaving);
   }
 
   update(newChildren: DOMHandle[]) {
-    for (const child of this.connectedChildren) {
-      child.disconnect();
+    const oldChildren = this.connectedChildren;
+
+    for (const child of oldChildren) {
+      // Children that are still shown (such as an unchanged route layer) aren't removed.
+      if (!newChildren.includes(child)) {
+        playLeave(this.appContext, this.transition, child, this.leaving);
+      }
     }
 
     this.connectedChildren = newChildren;
@@ -76,6 +91,15 @@ export class Outlet implements DOMHandle {
       child.connect(this.node.parentElement!, previous?.node);
     }
 
+    if (this.hasUpdated || this.transition?.appear) {
+      playEnter(
+        this.appContext,
+        this.transition,
+        newChildren.filter((child) => !oldChildren.includes(child))
+      );
+    }
+    this.hasUpdated = true;
+
     if (this.appContext.mode === "development") {
       this.node.textContent = `Outlet (${newChildren.length} ${newChildren.length === 1 ? "child" : "children"})`;
       this.node.parentElement?.insertBefore(
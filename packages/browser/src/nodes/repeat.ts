@@ -1,6 +1,8 @@
 import { type AppContext, type ElementContext } from "../app.js";
+import { insertNode } from "../hydrate.js";
 import { type DOMHandle } from "../markup.js";
 import { observe, readable, writable, type Readable, type StopFunction, type Writable } from "../state.js";
+import { getPositions, playEnter, playLeave, playMove, stopLeaving, type Transition } from "../transitions.js";
 import { initView, type ViewContext, type ViewResult } from "../view.js";
 
 // ----- Types ----- //
@@ -11,6 +13,7 @@ interface RepeatOptions<T> {
   $items: Readable<T[]>;
   keyFn: (value: T, index: number) => string | number | symbol;
   renderFn: ($value: Readable<T>, $index: Readable<number>, ctx: ViewContext) => ViewResult;
+  transition?: Transition;
 }
 
 type ConnectedItem<T> = {
@@ -28,6 +31,9 @@ export class Repeat<T> implements DOMHandle {
   $items: Readable<T[]>;
   stopCallback?: StopFunction;
   connectedItems: ConnectedItem<T>[] = [];
+  leaving = new Set<DOMHandle>();
+  transition?: Transition;
+  hasUpdated = false;
   appContext;
   elementContext;
   renderFn: ($value: Readable<T>, $index: Readable<number>, ctx: ViewContext) => ViewResult;
@@ -37,13 +43,14 @@ export class Repeat<T> implements DOMHandle {
     return this.node.parentNode != null;
   }
 
-  constructor({ appContext, elementContext, $items, renderFn, keyFn }: RepeatOptions<T>) {
+  constructor({ appContext, elementContext, $items, renderFn, keyFn, transition }: RepeatOptions<T>) {
     this.appContext = appContext;
     this.elementContext = elementContext;
 
     this.$items = $items;
     this.renderFn = renderFn;
     this.keyFn = keyFn;
+    this.transition = transition;
 
     if (appContext.mode === "development") {
       this.node = document.createComment("Repeat");
@@ -56,7 +63,7 @@ export class Repeat<T> implements DOMHandle {
 
   connect(parent: Node, after?: Node) {
     if (!this.connected) {
-      parent.insertBefore(this.node, after?.nextSibling ?? null);
+      insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null);
 
       this.stopCallback = observe(this.$items, (value) => {
         this._update(Array.from(value));
@@ -87,10 +94,13 @@ export class Repeat<T> implements DOMHandle {
       item.handle.disconnect();
     }
     this.connectedItems = [];
+    this.hasUpdated = false;
+
+    stopLeaving(this.leaving);
   }
 
   _update(value: T[]) {
-    if (value.length === 0 || !this.connected) {
+    if (!this.connected || (value.length === 0 && !this.transition)) {
       return this._cleanup();
     }
 
@@ -114,10 +124,17 @@ export class Repeat<T> implements DOMHandle {
       const potentialItem = potentialItems.find((p) => p.key === connected.key);
 
       if (!potentialItem) {
-        connected.handle.disconnect();
+        playLeave(this.appContext, this.transition, connected.handle, this.leaving);
       }
     }
 
+    // Positions of items before they're rearranged, for animating moves.
+    const positions = getPositions(
+      this.transition,
+      this.connectedItems.map((item) => item.handle)
+    );
+    const added: DOMHandle[] = [];
+
     // Add new views and update state for existing ones.
     for (const potential of potentialItems) {
       const connected = this.connectedItems.find((item) => item.key === potential.key);
@@ -141,6 +158,8 @@ export class Repeat<T> implements DOMHandle {
             props: { $value: readable($$value), $index: readable($$index), renderFn: this.renderFn },
           }),
         };
+
+        added.push(newItems[potential.index].handle);
       }
     }
 
@@ -153,6 +172,17 @@ export class Repeat<T> implements DOMHandle {
 
     this.connectedItems = newItems;
 
+    if (this.hasUpdated || this.transition?.appear) {
+      playEnter(this.appContext, this.transition, added);
+    }
+    playMove(
+      this.appContext,
+      this.transition,
+      newItems.map((item) => item.handle),
+      positions
+    );
+    this.hasUpdated = true;
+
     if (this.appContext.mode === "development") {
       this.node.textContent = `Repeat (${newItems.length} item${newItems.length === 1 ? "" : "s"})`;
 
@@ -168,6 +198,6 @@ interface RepeatItemProps {
   renderFn: ($value: Readable<any>, $index: Readable<number>, ctx: ViewContext) => ViewResult;
 }
 
-function RepeatItemView({ $value, $index, renderFn }: RepeatItemProps, ctx: ViewContext) {
+export function RepeatItemView({ $value, $index, renderFn }: RepeatItemProps, ctx: ViewContext) {
   return renderFn($value, $index, ctx);
 }
@@ -1,3 +1,5 @@
+import { type AppContext } from "../app.js";
+import { insertNode } from "../hydrate.js";
 import { isReadable, observe, type Readable, type StopFunction } from "../state.js";
 import { type DOMHandle } from "../markup.js";
 
@@ -7,19 +9,22 @@ interface Stringable {
 
 interface TextOptions {
   value: Stringable | Readable<Stringable>;
+  appContext: AppContext;
 }
 
 export class Text implements DOMHandle {
   node = document.createTextNode("");
   value: Stringable | Readable<Stringable> = "";
   stopCallback?: StopFunction;
+  appContext: AppContext;
 
   get connected() {
     return this.node.parentNode != null;
   }
 
-  constructor({ value }: TextOptions) {
+  constructor({ value, appContext }: TextOptions) {
     this.value = value;
+    this.appContext = appContext;
   }
 
   async connect(parent: Node, after: Node | null = null) {
@@ -31,6 +36,12 @@ export class Text implements DOMHandle {
       } else {
         this.update(this.value);
       }
+
+      // Adopt the server-rendered text while hydrating. Later updates go to the adopted node.
+      if (this.appContext.hydration) {
+        this.node = insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null) as typeof this.node;
+        return;
+      }
     }
 
     parent.insertBefore(this.node, after?.nextSibling ?? null);
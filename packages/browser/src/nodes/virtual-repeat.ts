@@ -0,0 +1,477 @@
+import { type AppContext, type ElementContext } from "../app.js";
+import { insertNode } from "../hydrate.js";
+import { type DOMHandle } from "../markup.js";
+import { batch, observe, readable, writable, type Readable, type StopFunction, type Writable } from "../state.js";
+import { initView, type ViewContext, type ViewResult } from "../view.js";
+import { RepeatItemView } from "./repeat.js";
+
+// ----- Types ----- //
+
+export interface VirtualRepeatOptions<T> {
+  /**
+   * Height of every item in pixels. Items aren't measured when this is set.
+   */
+  itemHeight?: number;
+
+  /**
+   * Height in pixels to assume for items that haven't been rendered yet. Items are measured once they're rendered.
+   * Defaults to 40.
+   */
+  estimateHeight?: number | ((value: T, index: number) => number);
+
+  /**
+   * Number of items to render above and below the visible ones. Defaults to 3.
+   */
+  overscan?: number;
+
+  /**
+   * Returns true for items that stick to the top of the list while the items after them scroll past.
+   */
+  isHeader?: (value: T, index: number) => boolean;
+}
+
+export interface ScrollToItemOptions {
+  /**
+   * Where the item ends up in the list's viewport. Defaults to "start".
+   */
+  align?: "start" | "center" | "end";
+}
+
+/**
+ * Shared between the markup returned by `virtualRepeat` and the handle rendered from it.
+ */
+export interface VirtualRepeatControls {
+  handle?: VirtualRepeat<any>;
+}
+
+interface VirtualRepeatConfig<T> {
+  appContext: AppContext;
+  elementContext: ElementContext;
+  $items: Readable<T[]>;
+  keyFn: (value: T, index: number) => string | number | symbol;
+  renderFn: ($value: Readable<T>, $index: Readable<number>, ctx: ViewContext) => ViewResult;
+  options: VirtualRepeatOptions<T>;
+  controls: VirtualRepeatControls;
+}
+
+type Slot<T> = {
+  key: any;
+  element: HTMLElement;
+  $$value: Writable<T>;
+  $$index: Writable<number>;
+  handle: DOMHandle;
+};
+
+// ----- Code ----- //
+
+/**
+ * Renders only the items of a list that are scrolled into view. Items are rendered into a scroll container,
+ * between two spacers that stand in for the items above and below.
+ */
+export class VirtualRepeat<T> implements DOMHandle {
+  node: HTMLElement;
+  topSpacer: HTMLElement;
+  bottomSpacer: HTMLElement;
+  appContext;
+  elementContext;
+  $items: Readable<T[]>;
+  keyFn: (value: T, index: number) => string | number | symbol;
+  renderFn: ($value: Readable<T>, $index: Readable<number>, ctx: ViewContext) => ViewResult;
+  options: VirtualRepeatOptions<T>;
+  controls: VirtualRepeatControls;
+
+  items: T[] = [];
+  keys: any[] = [];
+  keyIndexes = new Map<any, number>();
+  headers: number[] = [];
+
+  // Measured heights by key, so they follow items when the list is reordered.
+  heights = new Map<any, number>();
+
+  // Top offset of each item, plus the total height at the end.
+  offsets: number[] = [0];
+
+  slots = new Map<any, Slot<T>>();
+  stopCallbacks: StopFunction[] = [];
+  resizeObserver?: ResizeObserver;
+  frame?: number;
+
+  get connected() {
+    return this.node.parentNode != null;
+  }
+
+  constructor({ appContext, elementContext, $items, keyFn, renderFn, options, controls }: VirtualRepeatConfig<T>) {
+    this.appContext = appContext;
+    this.elementContext = elementContext;
+    this.$items = $items;
+    this.keyFn = keyFn;
+    this.renderFn = renderFn;
+    this.options = options;
+    this.controls = controls;
+
+    this.node = document.createElement("div");
+    this.node.style.overflowY = "auto";
+    this.node.style.height = "100%";
+
+    this.topSpacer = document.createElement("div");
+    this.bottomSpacer = document.createElement("div");
+    this.node.append(this.topSpacer, this.bottomSpacer);
+  }
+
+  connect(parent: Node, after?: Node) {
+    if (!this.connected) {
+      const node = insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null);
+
+      // The server renders an empty container. Swap in this one, which holds the spacers.
+      if (node !== this.node) {
+        parent.replaceChild(this.node, node);
+      }
+
+      this.controls.handle = this;
+
+      const onScroll = () => this.scheduleUpdate();
+      this.node.addEventListener("scroll", onScroll, { passive: true });
+      this.stopCallbacks.push(() => {
+        this.node.removeEventListener("scroll", onScroll);
+      });
+
+      // Watches the container for size changes, and items for changes to their measured heights.
+      if (typeof ResizeObserver !== "undefined") {
+        this.resizeObserver = new ResizeObserver(() => this.scheduleUpdate());
+        this.resizeObserver.observe(this.node);
+      }
+
+      this.stopCallbacks.push(
+        observe(this.$items, (items) => {
+          this.setItems(Array.from(items));
+        })
+      );
+
+      // The container usually has no size until its parent is in the page.
+      this.scheduleUpdate();
+    }
+  }
+
+  disconnect() {
+    if (this.frame != null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = undefined;
+    }
+
+    for (const stop of this.stopCallbacks) {
+      stop();
+    }
+    this.stopCallbacks = [];
+
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = undefined;
+
+    for (const slot of this.slots.values()) {
+      this.destroySlot(slot);
+    }
+    this.slots.clear();
+
+    if (this.controls.handle === this) {
+      this.controls.handle = undefined;
+    }
+
+    this.node.parentNode?.removeChild(this.node);
+  }
+
+  setChildren() {
+    console.warn("setChildren is not implemented for virtualRepeat()");
+  }
+
+  /**
+   * Scrolls the list so the item at `index` is in view.
+   */
+  scrollToIndex(index: number, options?: ScrollToItemOptions) {
+    if (!this.connected || index < 0 || index >= this.items.length) {
+      return;
+    }
+
+    const align = options?.align ?? "start";
+
+    const getScrollTop = () => {
+      const top = this.offsets[index];
+      const height = this.getHeight(index);
+      const viewport = this.node.clientHeight;
+
+      if (align === "center") {
+        return top - (viewport - height) / 2;
+      } else if (align === "end") {
+        return top - viewport + height;
+      } else {
+        return top;
+      }
+    };
+
+    this.node.scrollTop = getScrollTop();
+    this.update();
+
+    // Items measured along the way may have moved the target. Scroll again to land on it.
+    this.node.scrollTop = getScrollTop();
+    this.update();
+  }
+
+  /**
+   * Scrolls the list so the item with `key` is in view.
+   */
+  scrollToKey(key: string | number | symbol, options?: ScrollToItemOptions) {
+    const index = this.keyIndexes.get(key);
+
+    if (index != null) {
+      this.scrollToIndex(index, options);
+    }
+  }
+
+  setItems(items: T[]) {
+    const { isHeader } = this.options;
+
+    this.items = items;
+    this.keys = items.map((item, index) => this.keyFn(item, index));
+    this.keyIndexes = new Map(this.keys.map((key, index) => [key, index]));
+    this.headers = [];
+
+    if (isHeader) {
+      for (let i = 0; i < items.length; i++) {
+        if (isHeader(items[i], i)) {
+          this.headers.push(i);
+        }
+      }
+    }
+
+    // Forget heights of items that are gone.
+    for (const key of this.heights.keys()) {
+      if (!this.keyIndexes.has(key)) {
+        this.heights.delete(key);
+      }
+    }
+
+    this.computeOffsets();
+    this.update();
+  }
+
+  scheduleUpdate() {
+    if (this.frame == null) {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = undefined;
+        this.update();
+      });
+    }
+  }
+
+  update() {
+    if (!this.connected) return;
+
+    // Measuring newly rendered items can change which items are in view. One extra pass settles it.
+    if (this.render()) {
+      this.render();
+    }
+  }
+
+  getHeight(index: number) {
+    const { itemHeight, estimateHeight = 40 } = this.options;
+
+    if (itemHeight != null) {
+      return itemHeight;
+    }
+
+    const measured = this.heights.get(this.keys[index]);
+
+    if (measured != null) {
+      return measured;
+    }
+
+    return typeof estimateHeight === "function" ? estimateHeight(this.items[index], index) : estimateHeight;
+  }
+
+  computeOffsets() {
+    const offsets = new Array<number>(this.items.length + 1);
+    offsets[0] = 0;
+
+    for (let i = 0; i < this.items.length; i++) {
+      offsets[i + 1] = offsets[i] + this.getHeight(i);
+    }
+
+    this.offsets = offsets;
+  }
+
+  /**
+   * Returns the index of the item at `offset` pixels from the top of the list.
+   */
+  getIndexAt(offset: number) {
+    let low = 0;
+    let high = this.items.length - 1;
+
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+
+      if (this.offsets[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Returns the index of the last header at or before `index`, or -1 if there isn't one.
+   */
+  getHeaderFor(index: number) {
+    let result = -1;
+    let low = 0;
+    let high = this.headers.length - 1;
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (this.headers[middle] <= index) {
+        result = this.headers[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Renders the items in view and sizes the spacers around them. Returns true if measuring the items changed the layout.
+   */
+  render() {
+    const count = this.items.length;
+    const overscan = this.options.overscan ?? 3;
+    const { scrollTop, clientHeight } = this.node;
+
+    const indexes: number[] = [];
+    let start = 0;
+    let end = -1;
+    let stuckHeader = -1;
+
+    if (count > 0) {
+      const first = this.getIndexAt(scrollTop);
+      const last = this.getIndexAt(scrollTop + clientHeight);
+
+      start = Math.max(0, first - overscan);
+      end = Math.min(count - 1, last + overscan);
+
+      // The header of the first visible item stays rendered above the others so it can stick to the top.
+      const header = this.getHeaderFor(first);
+      if (header > -1 && header < start) {
+        stuckHeader = header;
+        indexes.push(header);
+      }
+
+      for (let i = start; i <= end; i++) {
+        indexes.push(i);
+      }
+    }
+
+    // Recycle the slots of items leaving the view for items coming into view.
+    const visible = new Set(indexes.map((index) => this.keys[index]));
+    const free: Slot<T>[] = [];
+
+    for (const [key, slot] of this.slots) {
+      if (!visible.has(key)) {
+        free.push(slot);
+        this.slots.delete(key);
+      }
+    }
+
+    const headers = new Set(this.headers);
+
+    const ordered = indexes.map((index) => {
+      const key = this.keys[index];
+      let slot = this.slots.get(key);
+
+      if (!slot) {
+        slot = free.pop() ?? this.createSlot(index);
+        slot.key = key;
+        this.slots.set(key, slot);
+      }
+
+      batch(() => {
+        slot!.$$value.set(this.items[index]);
+        slot!.$$index.set(index);
+      });
+
+      const isHeader = headers.has(index);
+      slot.element.style.position = isHeader ? "sticky" : "";
+      slot.element.style.top = isHeader ? "0" : "";
+      slot.element.style.zIndex = isHeader ? "1" : "";
+
+      return slot;
+    });
+
+    for (const slot of free) {
+      this.destroySlot(slot);
+    }
+
+    // Put item elements in order between the spacers, leaving the ones already in place alone.
+    let cursor = this.topSpacer.nextSibling;
+    for (const slot of ordered) {
+      if (slot.element === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        this.node.insertBefore(slot.element, cursor);
+      }
+    }
+
+    let changed = false;
+
+    if (this.options.itemHeight == null) {
+      for (const slot of ordered) {
+        const height = slot.element.offsetHeight;
+
+        if (height !== this.heights.get(slot.key)) {
+          this.heights.set(slot.key, height);
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        this.computeOffsets();
+      }
+    }
+
+    const stuckHeight = stuckHeader > -1 ? this.getHeight(stuckHeader) : 0;
+    const top = count > 0 ? this.offsets[start] - stuckHeight : 0;
+    const bottom = count > 0 ? this.offsets[count] - this.offsets[end + 1] : 0;
+
+    this.topSpacer.style.height = `${top}px`;
+    this.bottomSpacer.style.height = `${bottom}px`;
+
+    return changed;
+  }
+
+  createSlot(index: number): Slot<T> {
+    const element = document.createElement("div");
+    const $$value = writable<any>(this.items[index]) as Writable<T>;
+    const $$index = writable(index);
+
+    const handle = initView({
+      view: RepeatItemView,
+      appContext: this.appContext,
+      elementContext: this.elementContext,
+      props: { $value: readable($$value), $index: readable($$index), renderFn: this.renderFn },
+    });
+
+    handle.connect(element);
+
+    if (this.options.itemHeight == null) {
+      this.resizeObserver?.observe(element);
+    }
+
+    return { key: this.keys[index], element, $$value, $$index, handle };
+  }
+
+  destroySlot(slot: Slot<T>) {
+    this.resizeObserver?.unobserve(slot.element);
+    slot.handle.disconnect();
+    slot.element.remove();
+  }
+}
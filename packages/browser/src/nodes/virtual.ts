@@ -0,0 +1,344 @@
+import { isFunction, isString } from "@borf/bedrock";
+import { type AppContext, type ElementContext } from "../app.js";
+import { insertNode } from "../hydrate.js";
+import { renderMarkupToDOM, toMarkup, type DOMHandle, type Markup } from "../markup.js";
+import { batch, isReadable, observe, readable, writable, type Readable, type StopFunction } from "../state.js";
+import { type Renderable } from "../types.js";
+import { isPlainObject, omit } from "../utils.js";
+import { initView, type View } from "../view.js";
+import { HTML } from "./html.js";
+import { Text } from "./text.js";
+
+interface VirtualOptions {
+  $state: Readable<any>;
+  render: (state: any) => Renderable;
+  appContext: AppContext;
+  elementContext: ElementContext;
+}
+
+/**
+ * A handle rendered from a piece of markup, kept so the next render can be compared against it.
+ */
+interface VNode {
+  markup: Markup;
+  key?: unknown;
+  handle: DOMHandle;
+
+  /**
+   * For elements, the Writables that feed each prop to the element. For views, the latest props.
+   */
+  props: Record<string, any>;
+
+  /**
+   * Element children, diffed along with the element.
+   */
+  children: VNode[];
+}
+
+// Element props that are passed to the element as they are. Changing one of these recreates the element.
+const fixedProps = ["ref", "$$value", "attributes", "eventListeners", "children", "data"];
+
+/**
+ * Re-renders markup whenever `$state` changes, updating the previous render in place where it can.
+ */
+export class Virtual implements DOMHandle {
+  node: Node;
+  endNode: Node;
+  $state: Readable<any>;
+  render: (state: any) => Renderable;
+  stopCallback?: StopFunction;
+  vnodes: VNode[] = [];
+  appContext;
+  elementContext;
+
+  get connected() {
+    return this.node.parentNode != null;
+  }
+
+  constructor({ $state, render, appContext, elementContext }: VirtualOptions) {
+    this.$state = $state;
+    this.render = render;
+    this.appContext = appContext;
+    this.elementContext = elementContext;
+
+    if (appContext.mode === "development") {
+      this.node = document.createComment("Virtual");
+      this.endNode = document.createComment("/Virtual");
+    } else {
+      this.node = document.createTextNode("");
+      this.endNode = document.createTextNode("");
+    }
+  }
+
+  connect(parent: Node, after?: Node) {
+    if (!this.connected) {
+      insertNode(this.appContext, parent, this.node, after?.nextSibling ?? null);
+      parent.insertBefore(this.endNode, this.node.nextSibling);
+
+      this.stopCallback = observe(this.$state, (state) => {
+        this.update(state);
+      });
+    }
+  }
+
+  disconnect() {
+    if (this.stopCallback) {
+      this.stopCallback();
+      this.stopCallback = undefined;
+    }
+
+    for (const vnode of this.vnodes) {
+      vnode.handle.disconnect();
+    }
+    this.vnodes = [];
+
+    if (this.connected) {
+      this.node.parentNode?.removeChild(this.node);
+      this.endNode.parentNode?.removeChild(this.endNode);
+    }
+  }
+
+  setChildren() {
+    console.warn("setChildren is not implemented for virtual()");
+  }
+
+  update(state: any) {
+    const markup = toMarkup(this.render(state));
+
+    this.vnodes = this.patchChildren(
+      this.node.parentNode!,
+      this.node,
+      this.endNode,
+      this.vnodes,
+      markup,
+      this.elementContext
+    );
+  }
+
+  /**
+   * Diffs `markup` against the vnodes currently rendered between `start` and `end` and arranges the DOM to match.
+   * Vnodes are matched by type and `key` prop, or by order among vnodes of the same type when there is no key.
+   */
+  patchChildren(
+    parent: Node,
+    start: Node | null,
+    end: Node | null,
+    current: VNode[],
+    markup: Markup[],
+    elementContext: ElementContext
+  ): VNode[] {
+    // Group the DOM nodes by the vnode they belong to before anything moves.
+    // Each vnode owns the nodes from its handle's node up to the next vnode's node, which covers dynamic content.
+    const owners = new Map<Node, VNode>();
+    for (const vnode of current) {
+      if (vnode.handle.node) {
+        owners.set(vnode.handle.node, vnode);
+      }
+    }
+
+    const ranges = new Map<VNode, Node[]>();
+    let owner: VNode | undefined;
+    for (let node = start ? start.nextSibling : parent.firstChild; node && node !== end; node = node.nextSibling) {
+      owner = owners.get(node) ?? owner;
+      if (owner) {
+        const range = ranges.get(owner);
+
+        if (range) {
+          range.push(node);
+        } else {
+          ranges.set(owner, [node]);
+        }
+      }
+    }
+
+    const unmatched = [...current];
+    const removed: VNode[] = [];
+
+    const next = markup.map((item) => {
+      const key = item.props?.key;
+      const index = unmatched.findIndex((vnode) => vnode.markup.type === item.type && vnode.key === key);
+
+      if (index > -1) {
+        const [vnode] = unmatched.splice(index, 1);
+
+        if (this.patch(vnode, item)) {
+          return vnode;
+        }
+
+        removed.push(vnode);
+      }
+
+      return this.create(item, elementContext);
+    });
+
+    for (const vnode of [...unmatched, ...removed]) {
+      vnode.handle.disconnect();
+    }
+
+    // Move reused nodes into order and insert new ones, leaving nodes that are already in place alone.
+    let cursor = start ? start.nextSibling : parent.firstChild;
+
+    for (const vnode of next) {
+      const nodes = ranges.get(vnode);
+
+      if (nodes) {
+        if (nodes[0] === cursor) {
+          cursor = nodes[nodes.length - 1].nextSibling;
+        } else {
+          for (const node of nodes) {
+            parent.insertBefore(node, cursor);
+          }
+        }
+      } else if (!vnode.handle.connected) {
+        const fragment = document.createDocumentFragment();
+        vnode.handle.connect(fragment);
+        parent.insertBefore(fragment, cursor);
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Renders a new vnode for `item`.
+   */
+  create(item: Markup, elementContext: ElementContext): VNode {
+    const { appContext } = this;
+    const key = item.props?.key;
+    const props = omit(["key"], item.props ?? {});
+
+    if (isFunction(item.type)) {
+      const vnode = { markup: item, key, props, children: [] } as unknown as VNode;
+
+      // Functions are forwarded to the latest props so a reused view never calls a stale callback.
+      const forwarded: Record<string, any> = {};
+      for (const name in props) {
+        forwarded[name] = isFunction(props[name]) ? (...args: any[]) => vnode.props[name](...args) : props[name];
+      }
+
+      vnode.handle = initView({
+        view: item.type as View<any>,
+        props: forwarded,
+        children: item.children,
+        appContext,
+        elementContext,
+      });
+
+      return vnode;
+    }
+
+    if (isString(item.type) && !item.type.startsWith("$")) {
+      const writables: Record<string, any> = {};
+      const elementProps: Record<string, any> = {};
+
+      // Props are passed as Readables so the element can be updated in place by setting them.
+      for (const name in props) {
+        if (fixedProps.includes(name) || isReadable(props[name])) {
+          elementProps[name] = props[name];
+        } else {
+          writables[name] = writable<any>(props[name]);
+          elementProps[name] = readable(writables[name]);
+        }
+      }
+
+      const handle = new HTML({ tag: item.type, props: elementProps, appContext, elementContext });
+      const children = (item.children ?? []).map((child) => this.create(child, handle.elementContext));
+
+      handle.children = children.map((child) => child.handle);
+
+      return { markup: item, key, handle, props: writables, children };
+    }
+
+    const [handle] = renderMarkupToDOM(item, { appContext, elementContext });
+
+    return { markup: item, key, handle, props: {}, children: [] };
+  }
+
+  /**
+   * Updates `vnode` to render `item`. Returns false if it can't be updated and needs to be recreated.
+   */
+  patch(vnode: VNode, item: Markup): boolean {
+    const previous = omit(["key"], vnode.markup.props ?? {});
+    const props = omit(["key"], item.props ?? {});
+
+    if (isFunction(item.type)) {
+      // Views are kept when their props are the same, not counting which functions are passed.
+      if (!isSame(previous, props, true) || !isSame(vnode.markup.children, item.children, false)) {
+        return false;
+      }
+
+      vnode.props = props;
+    } else if (isString(item.type) && !item.type.startsWith("$")) {
+      const names = Object.keys(props);
+
+      if (names.length !== Object.keys(previous).length || names.some((name) => !(name in previous))) {
+        return false;
+      }
+
+      for (const name of names) {
+        if (vnode.props[name] ? isReadable(props[name]) : !isSame(previous[name], props[name], false)) {
+          return false;
+        }
+      }
+
+      batch(() => {
+        for (const name in vnode.props) {
+          vnode.props[name].set(props[name]);
+        }
+      });
+
+      const handle = vnode.handle as HTML;
+
+      vnode.children = this.patchChildren(
+        handle.node,
+        null,
+        null,
+        vnode.children,
+        item.children ?? [],
+        handle.elementContext
+      );
+      handle.children = vnode.children.map((child) => child.handle);
+    } else if (item.type === "$text" && !isReadable(previous.value) && !isReadable(props.value)) {
+      (vnode.handle as Text).update(props.value);
+    } else if (!isSame(vnode.markup, item, false)) {
+      return false;
+    }
+
+    vnode.markup = item;
+
+    return true;
+  }
+}
+
+/**
+ * Compares plain objects and arrays by their contents. Readables and anything else are compared by identity.
+ * Functions are considered the same when `ignoreFunctions` is true.
+ */
+function isSame(one: unknown, two: unknown, ignoreFunctions: boolean): boolean {
+  if (one === two) {
+    return true;
+  }
+
+  if (isReadable(one) || isReadable(two)) {
+    return false;
+  }
+
+  if (isFunction(one) && isFunction(two)) {
+    return ignoreFunctions;
+  }
+
+  if (Array.isArray(one) && Array.isArray(two)) {
+    return one.length === two.length && one.every((value, i) => isSame(value, two[i], ignoreFunctions));
+  }
+
+  if (isPlainObject(one) && isPlainObject(two)) {
+    const keys = Object.keys(one);
+
+    return (
+      keys.length === Object.keys(two).length &&
+      keys.every((key) => key in two && isSame((one as any)[key], (two as any)[key], ignoreFunctions))
+    );
+  }
+
+  return false;
+}
@@ -0,0 +1,195 @@
+import { isArray, isObject, typeOf } from "@borf/bedrock";
+
+/*==================================*\
+||               Types                ||
+\*==================================*/
+
+export type QueryValue = string | number | boolean;
+
+/**
+ * Query params parsed from a URL. Keys that appear more than once become arrays, and keys in brackets
+ * like `filter[color]` become nested objects.
+ */
+export interface ParsedQuery {
+  [key: string]: QueryValue | QueryValue[] | ParsedQuery | undefined;
+}
+
+/**
+ * Parses a query param from its text. `Boolean` params are true unless their value is `false` or `0`.
+ */
+export type QueryParamType = StringConstructor | NumberConstructor | BooleanConstructor | ((value: string) => unknown);
+
+/**
+ * Types to parse query params with, by key. Wrap a type in an array to always get an array for that key,
+ * even if it appears only once.
+ *
+ * @example
+ * { page: Number, tags: [String], zip: String }
+ */
+export type QuerySchema = Record<string, QueryParamType | [QueryParamType]>;
+
+export interface QueryOptions {
+  /**
+   * Convert values that look like numbers and booleans into numbers and booleans. Values whose text would change,
+   * like `007`, stay strings either way. Defaults to true.
+   */
+  coerce?: boolean;
+
+  /**
+   * Types for specific keys. Keys in the schema are parsed with their type and never coerced.
+   */
+  schema?: QuerySchema;
+}
+
+/*==================================*\
+||              Parsing               ||
+\*==================================*/
+
+// Keys that would reach into the prototypes of the parsed objects. Params with these in their path are ignored.
+const unsafeKeys = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * Parses a query string, with or without its leading `?`. Keys and values are percent-decoded.
+ * The parsed objects have no prototype, so keys like `toString` are read as they appear in the URL.
+ *
+ * @example
+ * parseQuery("?tag=a&tag=b&zip=02134&page=2&filter[color]=red");
+ * // { tag: ["a", "b"], zip: "02134", page: 2, filter: { color: "red" } }
+ */
+export function parseQuery(search: string, options: QueryOptions = {}): ParsedQuery {
+  const { coerce = true, schema = {} } = options;
+  const query: ParsedQuery = Object.create(null);
+
+  for (const [key, text] of new URLSearchParams(search.replace(/^\?/, ""))) {
+    const path = parseKey(key);
+
+    if (path.some((segment) => unsafeKeys.has(segment))) {
+      continue;
+    }
+
+    const name = path[0];
+    const type = Object.hasOwn(schema, name) ? schema[name] : undefined;
+
+    let value: unknown;
+
+    if (type != null) {
+      value = parseValue(isArray(type) ? type[0] : type, text);
+    } else {
+      value = coerce ? coerceValue(text) : text;
+    }
+
+    // Keys ending in `[]` and keys with an array type in the schema always hold arrays.
+    const forceArray = path[path.length - 1] === "" || (path.length === 1 && isArray(type));
+    if (path[path.length - 1] === "") {
+      path.pop();
+    }
+
+    assign(query, path, value, forceArray);
+  }
+
+  return query;
+}
+
+/**
+ * Splits a key like `filter[color][]` into its path: `["filter", "color", ""]`.
+ */
+function parseKey(key: string) {
+  const match = key.match(/^([^[]+)((?:\[[^\]]*\])*)$/);
+
+  if (!match || !match[2]) {
+    return [key];
+  }
+
+  return [match[1], ...Array.from(match[2].matchAll(/\[([^\]]*)\]/g), (part) => part[1])];
+}
+
+function assign(target: ParsedQuery, path: string[], value: unknown, forceArray: boolean) {
+  let current = target;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const next = Object.hasOwn(current, path[i]) ? current[path[i]] : undefined;
+
+    if (!isObject(next)) {
+      current[path[i]] = Object.create(null);
+    }
+
+    current = current[path[i]] as ParsedQuery;
+  }
+
+  const key = path[path.length - 1];
+  const existing = Object.hasOwn(current, key) ? current[key] : undefined;
+
+  if (existing === undefined) {
+    current[key] = (forceArray ? [value] : value) as QueryValue;
+  } else if (isArray(existing)) {
+    existing.push(value as QueryValue);
+  } else {
+    current[key] = [existing, value] as QueryValue[];
+  }
+}
+
+function parseValue(type: QueryParamType, text: string) {
+  if (type === Boolean) {
+    return text !== "false" && text !== "0";
+  }
+
+  return type(text);
+}
+
+function coerceValue(text: string): QueryValue {
+  if (text === "true") return true;
+  if (text === "false") return false;
+
+  // Only convert finite numbers that turn back into the same text, so IDs and codes with leading zeros stay intact.
+  const number = Number(text);
+  if (Number.isFinite(number) && String(number) === text) {
+    return number;
+  }
+
+  return text;
+}
+
+/*==================================*\
+||            Serializing             ||
+\*==================================*/
+
+/**
+ * Turns query params into a query string without a leading `?`. Arrays repeat their key for each item,
+ * nested objects use bracketed keys and null or undefined values are left out.
+ *
+ * @example
+ * stringifyQuery({ tag: ["a", "b"], filter: { color: "red" } }); // "tag=a&tag=b&filter[color]=red"
+ */
+export function stringifyQuery(query: Record<string, unknown>): string {
+  const pairs: string[] = [];
+
+  const add = (key: string, value: unknown) => {
+    if (value == null) {
+      return;
+    }
+
+    if (isArray(value)) {
+      for (const item of value) {
+        add(key, item);
+      }
+    } else if (isObject(value)) {
+      for (const name in value) {
+        add(`${key}[${encodeURIComponent(name)}]`, (value as Record<string, unknown>)[name]);
+      }
+    } else if (typeof value === "string" || typeof value === "number" || typeof value === "boolean") {
+      pairs.push(`${key}=${encodeURIComponent(value)}`);
+    } else {
+      throw new TypeError(
+        `Expected a string, number, boolean, array or object as a query value. Got type: ${typeOf(
+          value
+        )}, value: ${value}`
+      );
+    }
+  };
+
+  for (const key in query) {
+    add(encodeURIComponent(key), query[key]);
+  }
+
+  return pairs.join("&");
+}
@@ -0,0 +1,282 @@
+import { type StopFunction } from "./state.js";
+
+/*==================================*\
+||               Types                ||
+\*==================================*/
+
+export interface RouterScrollOptions {
+  /**
+   * How to scroll to the top of the page and to anchors. Smooth scrolling is skipped for users who prefer
+   * reduced motion. Positions restored by the back and forward buttons are always jumped to. Defaults to "auto".
+   */
+  behavior?: "auto" | "smooth";
+}
+
+interface ScrollPosition {
+  x: number;
+  y: number;
+}
+
+/**
+ * The scroll positions of the window and each registered container while a history entry was shown.
+ */
+interface ScrollSnapshot {
+  window: ScrollPosition;
+  containers: Record<string, ScrollPosition>;
+}
+
+export interface ScrollManager {
+  /**
+   * Remembers the current scroll positions as those of the history entry with `key`.
+   */
+  save(key: string): void;
+
+  /**
+   * Scrolls back to the positions saved for `key`. Returns false if none were saved.
+   */
+  restore(key: string): boolean;
+
+  /**
+   * Scrolls to the element a URL's `hash` points to. Returns false if there is no such element.
+   */
+  scrollToHash(hash: string): boolean;
+
+  /**
+   * Scrolls the window and every registered container to the top.
+   */
+  scrollToTop(): void;
+
+  /**
+   * Runs `scroll` on the next frame, once content that starts loading before then has loaded.
+   * Replaces a scroll that is still waiting.
+   */
+  schedule(scroll: () => void): void;
+
+  /**
+   * Holds a scheduled scroll back until `promise` settles, so positions aren't cut short by content that isn't there yet.
+   */
+  defer(promise: Promise<unknown>): void;
+
+  /**
+   * Saves and restores the scroll position of `element` along with the window's. Returns a function that stops.
+   */
+  register(id: string, element: Element): StopFunction;
+
+  /**
+   * Stops saving positions and puts the browser's own scroll restoration back.
+   */
+  disconnect(): void;
+}
+
+/*==================================*\
+||            Restoration             ||
+\*==================================*/
+
+const storageKey = "borf:scroll";
+
+// Only the most recent entries are kept in session storage.
+const maxSnapshots = 50;
+
+// Scheduled scrolls wait at most this long for content to load, so a request that never finishes doesn't hold them back.
+const maxLoadingTime = 3000;
+
+/**
+ * Creates a scroll manager for the router. Saved positions are kept in session storage when the page is hidden,
+ * so they survive a reload.
+ */
+export function createScrollManager(options: RouterScrollOptions = {}, _window = window): ScrollManager {
+  const snapshots = readSnapshots(_window);
+  const containers = new Map<string, Element>();
+
+  // Positions of the entry that was restored last, for containers that register after it was shown.
+  let restored: ScrollSnapshot | undefined;
+
+  // Content a scheduled scroll is waiting for. Only collected while there is one.
+  let loading: Set<Promise<unknown>> | undefined;
+  let scheduleId = 0;
+
+  const previousRestoration = _window.history.scrollRestoration;
+  _window.history.scrollRestoration = "manual";
+
+  const onPageHide = () => {
+    writeSnapshots(_window, snapshots);
+  };
+
+  _window.addEventListener("pagehide", onPageHide);
+
+  const getBehavior = (): ScrollBehavior => {
+    if (options.behavior !== "smooth") {
+      return "auto";
+    }
+
+    const reducedMotion = _window.matchMedia?.("(prefers-reduced-motion: reduce)");
+    return reducedMotion?.matches ? "auto" : "smooth";
+  };
+
+  const scrollToTop = () => {
+    const behavior = getBehavior();
+
+    restored = undefined;
+    _window.scrollTo({ left: 0, top: 0, behavior });
+
+    for (const element of containers.values()) {
+      element.scrollTo({ left: 0, top: 0, behavior });
+    }
+  };
+
+  return {
+    save(key) {
+      const snapshot: ScrollSnapshot = {
+        window: { x: _window.scrollX, y: _window.scrollY },
+        containers: {},
+      };
+
+      for (const [id, element] of containers) {
+        snapshot.containers[id] = { x: element.scrollLeft, y: element.scrollTop };
+      }
+
+      // Re-inserted so the map stays ordered from least to most recently saved.
+      snapshots.delete(key);
+      snapshots.set(key, snapshot);
+      restored = undefined;
+    },
+
+    restore(key) {
+      const snapshot = snapshots.get(key);
+
+      if (!snapshot) {
+        return false;
+      }
+
+      restored = snapshot;
+      _window.scrollTo({ left: snapshot.window.x, top: snapshot.window.y, behavior: "auto" });
+
+      for (const [id, element] of containers) {
+        const position = snapshot.containers[id];
+
+        if (position) {
+          element.scrollTo({ left: position.x, top: position.y, behavior: "auto" });
+        }
+      }
+
+      return true;
+    },
+
+    scrollToHash(hash) {
+      const id = decodeURIComponent(hash.replace(/^#/, ""));
+
+      if (!id) {
+        return false;
+      }
+
+      const element = _window.document.getElementById(id) ?? _window.document.getElementsByName(id)[0];
+
+      // Browsers treat `#top` as the top of the page when there's no element with that ID.
+      if (!element && id.toLowerCase() === "top") {
+        scrollToTop();
+        return true;
+      }
+
+      if (!element) {
+        return false;
+      }
+
+      restored = undefined;
+      element.scrollIntoView({ behavior: getBehavior() });
+      return true;
+    },
+
+    scrollToTop,
+
+    schedule(scroll) {
+      const id = ++scheduleId;
+      const pending = new Set<Promise<unknown>>();
+      loading = pending;
+
+      // Frame callbacks run in the order they were requested, so the router's layers are connected
+      // and their views have started loading by the time this one runs.
+      _window.requestAnimationFrame(async () => {
+        if (pending.size > 0) {
+          await waitForContent(pending);
+
+          // Rendering what loaded is batched into the frame after, so this waits for that too.
+          await new Promise((resolve) => _window.requestAnimationFrame(resolve));
+        }
+
+        if (id !== scheduleId) return;
+
+        loading = undefined;
+        scroll();
+      });
+    },
+
+    defer(promise) {
+      loading?.add(promise);
+    },
+
+    register(id, element) {
+      containers.set(id, element);
+
+      const position = restored?.containers[id];
+      if (position) {
+        element.scrollTo({ left: position.x, top: position.y, behavior: "auto" });
+      }
+
+      return function stop() {
+        if (containers.get(id) === element) {
+          containers.delete(id);
+        }
+      };
+    },
+
+    disconnect() {
+      scheduleId++;
+      loading = undefined;
+      _window.removeEventListener("pagehide", onPageHide);
+      _window.history.scrollRestoration = previousRestoration;
+    },
+  };
+}
+
+/**
+ * Resolves once every promise in `pending` has settled, including those added while waiting, or when waiting takes too long.
+ */
+async function waitForContent(pending: Set<Promise<unknown>>) {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const timeout = new Promise<void>((resolve) => {
+    timer = setTimeout(resolve, maxLoadingTime);
+  });
+
+  // Content can start loading more content once it's done, so this goes until nothing is left.
+  const loaded = (async () => {
+    while (pending.size > 0) {
+      const promises = Array.from(pending);
+      await Promise.allSettled(promises);
+
+      for (const promise of promises) {
+        pending.delete(promise);
+      }
+    }
+  })();
+
+  await Promise.race([loaded, timeout]);
+  clearTimeout(timer);
+}
+
+function readSnapshots(_window: Window): Map<string, ScrollSnapshot> {
+  try {
+    return new Map(JSON.parse(_window.sessionStorage.getItem(storageKey) ?? "[]"));
+  } catch {
+    // Storage can be unavailable or hold something else. Positions just start out empty then.
+    return new Map();
+  }
+}
+
+function writeSnapshots(_window: Window, snapshots: Map<string, ScrollSnapshot>) {
+  try {
+    _window.sessionStorage.setItem(storageKey, JSON.stringify([...snapshots].slice(-maxSnapshots)));
+  } catch {
+    // Positions are still restored for as long as the page stays open.
+  }
+}
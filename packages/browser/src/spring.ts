@@ -1,4 +1,4 @@
-import { OBSERVE, readable, unwrap, writable, type Readable, type Writable } from "./state.js";
+import { OBSERVE, readable, unwrap, withWritableHelpers, writable, type Readable, type Writable } from "./state.js";
 
 export interface SpringParameters {
   /**
@@ -22,7 +22,7 @@ export interface SpringParameters {
   velocity: number | Readable<number>;
 }
 
-interface SpringOptions extends Partial<SpringParameters> {
+export interface SpringOptions extends Partial<SpringParameters> {
   /**
    * Difference in average amplitude across the last several frames before the animation is considered done.
    * The exact number of frames to average is specified by `endWindow`.
@@ -111,7 +111,7 @@ export function spring(initialValue: number, options?: SpringOptions): Spring {
     });
   };
 
-  return {
+  const $$spring = withWritableHelpers<number>({
     get: $$currentValue.get,
     set: snapTo,
     update: (callback) => {
@@ -120,9 +120,9 @@ export function spring(initialValue: number, options?: SpringOptions): Spring {
     },
 
     [OBSERVE]: $$currentValue[OBSERVE],
+  });
 
-    animateTo,
-  };
+  return Object.assign($$spring, { animateTo });
 }
 
 function solve(parameters: SpringParameters, elapsedSeconds: number) {
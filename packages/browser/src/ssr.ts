@@ -0,0 +1,658 @@
+import { isArray, isFunction, isNumber, isObject, isString, typeOf } from "@borf/bedrock";
+import { createMemoryHistory } from "history";
+import { nanoid } from "nanoid";
+import { getAppSecrets, type App, type AppContext, type ElementContext, type StoreRegistration } from "./app.js";
+import { CrashCollector } from "./classes/CrashCollector.js";
+import { compileStyles, getPropertiesRule } from "./css.js";
+import { DebugHub, type DebugChannel } from "./classes/DebugHub.js";
+import { isMarkup, m, toMarkup, type Markup, type MarkupAttributes } from "./markup.js";
+import { getClassMap } from "./nodes/html.js";
+import { isReadable, observe, readable, resource, unwrap, writable, type Readable } from "./state.js";
+import { initStore, type Store } from "./store.js";
+import { HTTPStore } from "./stores/http.js";
+import { LanguageStore, type LanguageConfig } from "./stores/language.js";
+import { RenderStore } from "./stores/render.js";
+import { RouterStore, waitForNavigation } from "./stores/router.js";
+import type { BuiltInStores, Renderable } from "./types.js";
+import { type View, type ViewContext } from "./view.js";
+import { ErrorBoundary, type ErrorBoundaryProps } from "./views/error-boundary.js";
+import { Suspense } from "./views/suspense.js";
+
+/*=====================================*\
+||                Types                ||
+\*=====================================*/
+
+export interface RenderToStringOptions {
+  /**
+   * URL to match routes against. Only the path and query are used. Defaults to "/".
+   */
+  url?: string;
+
+  /**
+   * Stores to make available to views, as store functions or `[store, options]` pairs.
+   * Stores registered on an app passed as content are included automatically.
+   */
+  stores?: (Store<any, any> | [Store<any, any>, any])[];
+
+  /**
+   * Configures debug output. Defaults to the app's mode when rendering an app, otherwise "production".
+   */
+  mode?: "development" | "production";
+}
+
+/**
+ * Per-render state shared by every element in the tree.
+ */
+interface ServerRenderContext {
+  appContext: AppContext;
+  elementContext: ElementContext;
+
+  // Children to display in the outlet of each route layer's view.
+  routeChildren: Map<Markup, Markup[]>;
+
+  // IDs of the `ctx.css` stylesheets already rendered, so each is only included once.
+  renderedStyles: Set<string>;
+}
+
+/*=====================================*\
+||              Rendering              ||
+\*=====================================*/
+
+/**
+ * Renders markup to an HTML string without a DOM. Readables are rendered with their current values
+ * and lifecycle hooks are not called. Async views and `ctx.suspend()` calls are awaited before their view is rendered. Pass an app to render its main view and the routes matching `options.url`.
+ *
+ * @example
+ * const html = await renderToString(app, { url: "/users/215" });
+ */
+export async function renderToString(content: Renderable | App, options?: RenderToStringOptions): Promise<string> {
+  let html = "";
+
+  for await (const chunk of renderToChunks(content, options)) {
+    html += chunk;
+  }
+
+  return html;
+}
+
+/**
+ * Renders markup to a stream of HTML strings without a DOM. Chunks are emitted as elements are rendered
+ * so the browser can begin parsing the page before the whole tree has been rendered.
+ *
+ * Pipe through a `TextEncoderStream` to get bytes.
+ */
+export function renderToStream(content: Renderable | App, options?: RenderToStringOptions): ReadableStream<string> {
+  const chunks = renderToChunks(content, options);
+
+  return new ReadableStream<string>({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await chunks.return(undefined);
+    },
+  });
+}
+
+async function* renderToChunks(content: Renderable | App, options: RenderToStringOptions = {}) {
+  const app = isApp(content) ? getAppSecrets(content) : undefined;
+  const mode = options.mode ?? app?.settings.mode ?? "production";
+
+  const crashCollector = new CrashCollector();
+  const debugHub = new DebugHub({
+    filter: app?.settings.debug?.filter,
+    log: "development",
+    warn: "development",
+    error: true,
+    crashCollector,
+    mode,
+  });
+
+  const appContext: AppContext = {
+    crashCollector,
+    debugHub,
+    stores: new Map(),
+    mode,
+    server: { layers: [] },
+  };
+  const elementContext: ElementContext = {
+    stores: new Map(),
+  };
+
+  const url = new URL(options.url ?? "/", "http://localhost");
+
+  // Stores that depend on the DOM (dialog, document) are not available on the server.
+  const registrations: [keyof BuiltInStores | Store<any, any>, StoreRegistration][] = [
+    [
+      "router",
+      {
+        store: RouterStore,
+        options: {
+          history: createMemoryHistory({ initialEntries: [url.pathname + url.search] }),
+          coerceQuery: app?.settings.router?.coerceQuery,
+          routes: app?.routes ?? [],
+          names: app?.routeNames ?? {},
+        },
+      },
+    ],
+    ["http", { store: HTTPStore }],
+    [
+      "language",
+      {
+        store: LanguageStore,
+        options: {
+          languages: app?.languages ?? ({} as Record<string, LanguageConfig>),
+          currentLanguage: app?.currentLanguage,
+        },
+      },
+    ],
+    ["render", { store: RenderStore }],
+  ];
+
+  if (app) {
+    for (const [key, registration] of app.stores) {
+      if (!isString(key)) {
+        registrations.push([key, { store: registration.store, options: registration.options }]);
+      }
+    }
+  }
+
+  for (const item of options.stores ?? []) {
+    const [store, storeOptions] = isArray(item) ? item : [item, undefined];
+    registrations.push([store, { store, options: storeOptions }]);
+  }
+
+  for (const [key, registration] of registrations) {
+    const instance = initStore({
+      store: registration.store,
+      appContext,
+      elementContext,
+      options: registration.options ?? {},
+    });
+
+    instance.setup();
+    appContext.stores.set(key, { ...registration, instance });
+  }
+
+  // Connecting the router matches the URL and records the matched route layers.
+  for (const { instance } of appContext.stores.values()) {
+    instance!.connect();
+  }
+
+  try {
+    await waitForLanguage(appContext);
+    await waitForNavigation(appContext);
+
+    const routeChildren = new Map<Markup, Markup[]>();
+    let markup: Markup[];
+
+    if (app) {
+      const layers = appContext.server!.layers;
+      const main = m(app.mainView.type as View<any>, app.mainView.props);
+
+      routeChildren.set(main, layers.length > 0 ? [layers[0].markup] : []);
+
+      for (let i = 0; i < layers.length - 1; i++) {
+        routeChildren.set(layers[i].markup, [layers[i + 1].markup]);
+      }
+
+      markup = [main];
+    } else {
+      markup = toMarkup(content as Renderable);
+    }
+
+    yield* renderMarkup(markup, { appContext, elementContext, routeChildren, renderedStyles: new Set() });
+  } finally {
+    for (const { instance } of appContext.stores.values()) {
+      instance!.disconnect();
+    }
+  }
+}
+
+async function* renderMarkup(markup: Markup[], ctx: ServerRenderContext): AsyncGenerator<string> {
+  for (const item of markup) {
+    if (item.type === Suspense) {
+      // Async views are awaited on the server, so the fallback is never shown.
+      yield* renderElement(m("div", { style: { display: "contents" } }, ...(item.children ?? [])), ctx);
+    } else if (item.type === ErrorBoundary) {
+      yield* renderErrorBoundary(item, ctx);
+    } else if (isFunction(item.type)) {
+      yield* renderView(item, ctx);
+    } else if (isString(item.type)) {
+      switch (item.type) {
+        case "$node": {
+          throw new TypeError(`DOM nodes can't be rendered on the server. Return markup from the view instead.`);
+        }
+        case "$text": {
+          const attrs = item.props! as MarkupAttributes["$text"];
+          const value = unwrap(attrs.value);
+          yield escapeHTML(value == null ? "" : String(value));
+          break;
+        }
+        case "$cond": {
+          const attrs = item.props! as MarkupAttributes["$cond"];
+          const content = attrs.$predicate.get() ? attrs.thenContent : attrs.elseContent;
+          if (content != null) {
+            yield* renderMarkup(toMarkup(content), ctx);
+          }
+          break;
+        }
+        case "$repeat": {
+          const attrs = item.props! as MarkupAttributes["$repeat"];
+          const items = attrs.$items.get();
+
+          for (let index = 0; index < items.length; index++) {
+            const renderItem: View<{}> = (_, viewCtx) =>
+              attrs.renderFn(readable(items[index]), readable(index), viewCtx);
+            yield* renderView(m(renderItem), ctx);
+          }
+          break;
+        }
+        case "$observer": {
+          const attrs = item.props! as MarkupAttributes["$observer"];
+          const values = attrs.readables.map((x) => x.get());
+          const rendered = attrs.readables.length === 1 ? attrs.renderFn(values[0]) : attrs.renderFn(values);
+          yield* renderMarkup(toMarkup(rendered), ctx);
+          break;
+        }
+        case "$virtualRepeat": {
+          // Which items to render depends on the size of the list in the page, so the container is rendered empty.
+          yield* renderElement(m("div", { style: { overflowY: "auto", height: "100%" } }), ctx);
+          break;
+        }
+        case "$virtual": {
+          const attrs = item.props! as MarkupAttributes["$virtual"];
+          yield* renderMarkup(toMarkup(attrs.render(attrs.$state.get())), ctx);
+          break;
+        }
+        case "$outlet": {
+          // Views rendered on the server put their children in the outlet's markup.
+          // Children are styled by the view that passed them in, like they are in the browser.
+          const styleScopes = ctx.elementContext.parent?.styleScopes;
+          yield* renderMarkup(item.children ?? [], { ...ctx, elementContext: { ...ctx.elementContext, styleScopes } });
+          break;
+        }
+        case "$portal": {
+          // Portals render into other parts of the page once connected in the browser.
+          break;
+        }
+        default: {
+          if (item.type.startsWith("$")) {
+            throw new Error(`Unknown markup type: ${item.type}`);
+          }
+          yield* renderElement(item, ctx);
+        }
+      }
+    } else {
+      throw new TypeError(`Expected a string or view function. Got: ${item.type}`);
+    }
+  }
+}
+
+async function* renderView(item: Markup, ctx: ServerRenderContext): AsyncGenerator<string> {
+  const { appContext } = ctx;
+  const view = item.type as View<any>;
+  const children = item.children?.length ? item.children : ctx.routeChildren.get(item) ?? [];
+
+  const elementContext: ElementContext = {
+    ...ctx.elementContext,
+    stores: new Map(),
+    parent: ctx.elementContext,
+    styleScopes: undefined,
+  };
+
+  // Promises passed to ctx.suspend() while the view function runs.
+  const suspended: Promise<void>[] = [];
+
+  // Style elements for ctx.css() calls, rendered ahead of the view's content.
+  let styleTags = "";
+
+  const viewCtx: Omit<ViewContext, keyof DebugChannel> = {
+    uniqueId: nanoid(),
+    name: view.name ?? "anonymous",
+
+    getStore(store: keyof BuiltInStores | Store<any, any>) {
+      return getStoreExports(store, elementContext, appContext);
+    },
+
+    // Views are never connected on the server, so lifecycle hooks and observers don't run.
+    beforeConnect() {},
+    onConnected() {},
+    beforeDisconnect() {},
+    onDisconnected() {},
+    observe() {},
+
+    crash(error: Error) {
+      appContext.crashCollector.crash({ error, componentName: viewCtx.name });
+    },
+
+    resource(source, fetcher, options) {
+      return resource(source, fetcher, options);
+    },
+
+    suspend(promise) {
+      const $$value = writable<any>(undefined);
+      suspended.push(promise.then((value) => $$value.set(value)));
+      return readable($$value);
+    },
+
+    css(strings, ...values) {
+      const styles = compileStyles(strings, values);
+      const value = viewCtx.uniqueId;
+
+      elementContext.styleScopes = [...(elementContext.styleScopes ?? []), { attribute: styles.attribute, value }];
+
+      if (!ctx.renderedStyles.has(styles.id)) {
+        ctx.renderedStyles.add(styles.id);
+        styleTags += `<style data-style="${styles.id}">${escapeStyle(styles.css)}</style>`;
+      }
+
+      if (styles.readables.length > 0) {
+        const rule = getPropertiesRule(
+          styles,
+          value,
+          styles.readables.map((readable) => readable.get())
+        );
+        styleTags += `<style data-style="${styles.id}">${escapeStyle(rule)}</style>`;
+      }
+    },
+
+    outlet() {
+      return m("$outlet", { $children: readable([]) }, children);
+    },
+  };
+
+  const debugChannel = appContext.debugHub.channel({
+    get name() {
+      return viewCtx.name;
+    },
+  });
+
+  Object.defineProperties(viewCtx, Object.getOwnPropertyDescriptors(debugChannel));
+
+  const result = await view(item.props ?? {}, viewCtx as ViewContext);
+
+  await Promise.all(suspended);
+
+  if (styleTags) {
+    yield styleTags;
+  }
+
+  if (result == null) {
+    return;
+  }
+
+  if (isMarkup(result) || isArray(result) || isReadable(result)) {
+    yield* renderMarkup(toMarkup(result as Renderable), { ...ctx, elementContext });
+  } else {
+    throw new TypeError(
+      `Expected '${view.name}' function to return a Markup element, Readable or null. Got: ${typeOf(result)}`
+    );
+  }
+}
+
+/**
+ * Renders the children of an ErrorBoundary, or its fallback if they throw.
+ * The children are rendered in full before anything is emitted so a failed render never leaves half of its HTML behind.
+ */
+async function* renderErrorBoundary(item: Markup, ctx: ServerRenderContext): AsyncGenerator<string> {
+  const { fallback } = item.props as ErrorBoundaryProps;
+  const chunks: string[] = [];
+
+  try {
+    for await (const chunk of renderMarkup(item.children ?? [], ctx)) {
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    if (!(error instanceof Error)) {
+      throw error;
+    }
+
+    ctx.appContext.crashCollector.error({ error, componentName: ErrorBoundary.name });
+
+    // There's nothing to try again on the server, so `reset` does nothing.
+    const content = isFunction(fallback) ? fallback(error, () => {}) : fallback;
+    yield* renderMarkup(toMarkup(content as Renderable), ctx);
+    return;
+  }
+
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+async function* renderElement(item: Markup, ctx: ServerRenderContext): AsyncGenerator<string> {
+  const tag = item.type as string;
+  const props = item.props ?? {};
+  let elementContext = ctx.elementContext;
+
+  if (tag.toLowerCase() === "svg") {
+    elementContext = { ...elementContext, isSVG: true };
+  }
+
+  let { attributes, innerHTML } = renderAttributes(props);
+
+  // Mark the element so the styles of the view that rendered it apply.
+  for (const scope of elementContext.styleScopes ?? []) {
+    attributes += ` ${scope.attribute}="${escapeAttribute(scope.value)}"`;
+  }
+
+  yield `<${tag}${attributes}>`;
+
+  if (voidElements.includes(tag.toLowerCase())) {
+    return;
+  }
+
+  if (innerHTML != null) {
+    yield innerHTML;
+  } else if (item.children) {
+    yield* renderMarkup(item.children, { ...ctx, elementContext });
+  }
+
+  yield `</${tag}>`;
+}
+
+/*=====================================*\
+||             Attributes              ||
+\*=====================================*/
+
+// Elements that can't have children and don't take a closing tag.
+const voidElements = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+];
+
+// Props that only have meaning once connected in the browser.
+const clientOnlyProps = ["ref", "key", "children", "data", "eventListeners", "onClickOutside", "onclickoutside"];
+
+// Props whose attribute names differ from the property names set by the HTML node.
+const propAttributeNames: Record<string, string> = {
+  $$value: "value",
+  className: "class",
+  htmlFor: "for",
+  contentEditable: "contenteditable",
+};
+
+/**
+ * Converts element props to an attribute string, mirroring how the HTML node applies them in the browser.
+ */
+function renderAttributes(props: Record<string, any>) {
+  const attributes: Record<string, unknown> = {};
+  let innerHTML: string | undefined;
+
+  for (const key in props) {
+    const value = unwrap(props[key]);
+
+    if (clientOnlyProps.includes(key) || /^on[A-Z]/.test(key) || isFunction(value)) {
+      continue;
+    }
+
+    if (key === "attributes") {
+      for (const name in value) {
+        attributes[name] = unwrap(value[name]);
+      }
+    } else if (key === "class" || key === "className") {
+      const mapped = getClassMap(value);
+      const names = Object.keys(mapped).filter((name) => name && unwrap(mapped[name]));
+
+      if (names.length > 0) {
+        attributes.class = names.join(" ");
+      }
+    } else if (key === "style") {
+      const style = renderStyle(value);
+
+      if (style) {
+        attributes.style = style;
+      }
+    } else if (key === "innerHTML") {
+      innerHTML = value == null ? undefined : String(value);
+    } else if (key === "textContent") {
+      innerHTML = value == null ? undefined : escapeHTML(String(value));
+    } else if (key === "autocomplete" || key === "autocapitalize") {
+      attributes[key] = isString(value) ? value : value ? "on" : "off";
+    } else {
+      attributes[propAttributeNames[key] ?? (key.includes("-") ? key : key.toLowerCase())] = value;
+    }
+  }
+
+  let rendered = "";
+
+  for (const name in attributes) {
+    const value = attributes[name];
+
+    if (value == null || value === false) {
+      continue;
+    } else if (value === true) {
+      rendered += ` ${name}`;
+    } else {
+      rendered += ` ${name}="${escapeAttribute(String(value))}"`;
+    }
+  }
+
+  return { attributes: rendered, innerHTML };
+}
+
+function renderStyle(styles: unknown): string | undefined {
+  if (styles == null) {
+    return undefined;
+  }
+
+  if (isString(styles)) {
+    return styles;
+  }
+
+  if (!isObject(styles)) {
+    throw new TypeError(`Expected style property to be a string, $state, or object. Got: ${styles}`);
+  }
+
+  const declarations: string[] = [];
+
+  for (const key in styles) {
+    const value = unwrap(styles[key] as unknown);
+
+    if (value == null) {
+      continue;
+    }
+
+    // Custom properties keep their names; camelCase properties become kebab-case.
+    const name = key.startsWith("--") ? key : key.replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase());
+
+    if (isNumber(value)) {
+      declarations.push(`${name}: ${value}px`);
+    } else {
+      declarations.push(`${name}: ${value}`);
+    }
+  }
+
+  return declarations.join("; ");
+}
+
+/*=====================================*\
+||              Utilities              ||
+\*=====================================*/
+
+function isApp(value: unknown): value is App {
+  return isObject(value) && getAppSecrets(value as any) != null;
+}
+
+function getStoreExports(
+  store: keyof BuiltInStores | Store<any, any>,
+  elementContext: ElementContext,
+  appContext: AppContext
+) {
+  const name = isString(store) ? store : store.name;
+
+  if (!isString(store)) {
+    let ec: ElementContext | undefined = elementContext;
+    while (ec) {
+      if (ec.stores.has(store)) {
+        return ec.stores.get(store)?.instance!.exports;
+      }
+      ec = ec.parent;
+    }
+  }
+
+  const registration = appContext.stores.get(store);
+
+  if (!registration?.instance) {
+    throw new Error(`Store '${name}' is not available when rendering on the server.`);
+  }
+
+  return registration.instance.exports;
+}
+
+/**
+ * Resolves once the current language's translation has loaded, so translated text renders in the initial HTML.
+ */
+function waitForLanguage(appContext: AppContext) {
+  const { $isLoaded } = appContext.stores.get("language")!.instance!.exports as BuiltInStores["language"];
+
+  if ($isLoaded.get()) {
+    return Promise.resolve();
+  }
+
+  return new Promise<void>((resolve) => {
+    const stop = observe($isLoaded as Readable<boolean>, (isLoaded) => {
+      if (isLoaded) {
+        stop();
+        resolve();
+      }
+    });
+  });
+}
+
+function escapeHTML(value: string) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttribute(value: string) {
+  return escapeHTML(value).replace(/"/g, "&quot;");
+}
+
+/**
+ * Keeps CSS from closing the style element it's rendered in. `\/` is an escaped slash to CSS.
+ */
+function escapeStyle(css: string) {
+  return css.replace(/<\//g, "<\\/");
+}
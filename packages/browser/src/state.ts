@@ -1,12 +1,21 @@
-import { typeOf } from "@borf/bedrock";
-import { deepEqual } from "./utils.js";
+import { Delayer, isObject, typeOf } from "@borf/bedrock";
+import { deepEqual, shallowEqual } from "./utils.js";
 
 // Symbol to mark an observed value as unobserved. Callbacks are always called once for unobserved values.
 const UNOBSERVED = Symbol("Unobserved");
 
 // Symbol to access observe method used internally by the library.
+// Observers attached through it aren't recorded in development mode, so library code that stops its own observers
+// uses it instead of `observe()` to stay out of leak warnings.
 export const OBSERVE = Symbol("Observe");
 
+// Symbol to access the depth of a Readable in the dependency graph. Writables sit at depth 0.
+// Each derived value sits one level deeper than its deepest source.
+export const DEPTH = Symbol("Depth");
+
+// Symbol to access the Readables a derived value is computed from. Used to inspect the dependency graph.
+export const SOURCES = Symbol("Sources");
+
 /*==============================*\
 ||             Types            ||
 \*==============================*/
@@ -26,12 +35,39 @@ export type ReadableValues<T extends Readable<any>[]> = {
 
 export type Unwrapped<T> = T extends Readable<infer U> ? U : T;
 
+/**
+ * Decides whether a new value is the same as the previous one. Observers are only notified of values that aren't equal.
+ *
+ * - `"identity"` compares with `Object.is`. Use this for Maps, Dates, class instances and large lists replaced on every change.
+ * - `"shallow"` compares the keys of plain objects and the items of arrays with `Object.is`.
+ * - `"deep"` compares plain objects and arrays recursively. This is the default.
+ * - A function takes the previous and next values and returns true if they are equal.
+ */
+export type Equality<T> = "identity" | "shallow" | "deep" | ((previousValue: T, nextValue: T) => boolean);
+
+export interface StateOptions<T> {
+  /**
+   * How to compare new values with previous ones. Defaults to `"deep"`.
+   */
+  equals?: Equality<T>;
+}
+
 export interface Observable<T> {
   /**
    * Receives the latest value with `callback` whenever the value changes.
    * The `previousValue` is always undefined the first time the callback is called, then the same value as the last time it was called going forward.
    */
   [OBSERVE]: ObserveMethod<T>;
+
+  /**
+   * Position of this value in the dependency graph, used to recompute derived values in order. Treated as 0 if missing.
+   */
+  [DEPTH]?: number;
+
+  /**
+   * Readables this value is derived from, if any. Used to inspect the dependency graph.
+   */
+  [SOURCES]?: Readable<any>[];
 }
 
 export interface Readable<T> extends Observable<T> {
@@ -41,6 +77,28 @@ export interface Readable<T> extends Observable<T> {
   get(): T;
 }
 
+/**
+ * A path to a nested value, like `"address.city"` or `"items.0.name"`. Numbers index into arrays.
+ */
+export type Path = string | number;
+
+/**
+ * The type of the value found at `P` within `T`.
+ */
+export type PathValue<T, P extends Path> = P extends `${infer K}.${infer Rest}`
+  ? PathValue<FieldValue<T, K>, Rest>
+  : FieldValue<T, `${P}`>;
+
+type FieldValue<T, K extends string> = NonNullable<T> extends readonly (infer U)[]
+  ? K extends `${number}`
+    ? U | undefined
+    : unknown
+  : K extends keyof NonNullable<T>
+  ? NonNullable<T>[K]
+  : unknown;
+
+type ItemOf<T> = T extends readonly (infer U)[] ? U : never;
+
 export interface Writable<T> extends Readable<T> {
   /**
    * Sets a new value.
@@ -51,8 +109,43 @@ export interface Writable<T> extends Readable<T> {
    * Passes the current value to `callback` and takes `callback`'s return value as the new value.
    */
   update(callback: (currentValue: T) => T): void;
+
+  /**
+   * Returns a Writable for the value at `path`. Setting it replaces this value with a copy that has the new value at `path`.
+   * Its observers are only notified when the value at `path` changes.
+   *
+   * @example
+   * const $$city = $$user.at("address.city");
+   * $$city.set("Springfield"); // $$user now holds a new object with a new `address` object.
+   */
+  at<P extends Path>(path: P, options?: StateOptions<PathValue<T, P>>): Writable<PathValue<T, P>>;
+
+  /**
+   * Adds `items` to the end of an array value.
+   */
+  push(...items: ItemOf<T>[]): void;
+
+  /**
+   * Removes items from an array value. Takes the item to remove or a function that returns true for each item to remove.
+   */
+  remove(item: ItemOf<T> | ((item: ItemOf<T>, index: number) => boolean)): void;
+
+  /**
+   * Replaces an object value with a copy that has the keys in `values`.
+   */
+  patch(values: T extends readonly any[] ? never : Partial<T>): void;
+
+  /**
+   * Flips a boolean value.
+   */
+  toggle(): void;
 }
 
+/**
+ * The methods a Writable must implement itself. The rest are added by `withWritableHelpers`.
+ */
+export type WritableProtocol<T> = Omit<Writable<T>, "at" | "push" | "remove" | "patch" | "toggle">;
+
 /*==============================*\
 ||           Utilities          ||
 \*==============================*/
@@ -74,6 +167,143 @@ export function isWritable<T>(value: any): value is Writable<T> {
   return isReadable(value) && typeof (value as any).set === "function" && typeof (value as any).update === "function";
 }
 
+/**
+ * Returns the comparison function for an `equals` option.
+ */
+function getEqualityFunction(equals: Equality<any> = "deep"): (previousValue: any, nextValue: any) => boolean {
+  if (typeof equals === "function") {
+    return equals;
+  }
+
+  switch (equals) {
+    case "identity":
+      return Object.is;
+    case "shallow":
+      return shallowEqual;
+    case "deep":
+      return deepEqual;
+    default:
+      throw new TypeError(
+        `Expected equals to be "identity", "shallow", "deep" or a function. Got type: ${typeOf(
+          equals
+        )}, value: ${equals}`
+      );
+  }
+}
+
+/*==============================*\
+||           batch()            ||
+\*==============================*/
+
+/**
+ * A unit of work queued to run when the current batch is flushed.
+ */
+interface PendingUpdate {
+  depth: number;
+  run: () => void;
+}
+
+// Pending updates bucketed by depth so shallower values always settle before anything derived from them.
+const pendingUpdates: Set<PendingUpdate>[] = [];
+
+let batchDepth = 0;
+let isFlushing = false;
+
+function getDepth(readable: Readable<any>): number {
+  return (readable as any)[DEPTH] ?? 0;
+}
+
+function scheduleUpdate(update: PendingUpdate) {
+  if (!pendingUpdates[update.depth]) {
+    pendingUpdates[update.depth] = new Set();
+  }
+  pendingUpdates[update.depth].add(update);
+
+  if (batchDepth === 0) {
+    flushUpdates();
+  }
+}
+
+/**
+ * Returns true while a batch has changes that observers haven't been notified of yet.
+ * Cached derived values may be out of date while this is true.
+ */
+function hasPendingUpdates() {
+  return pendingUpdates.some((bucket) => bucket != null && bucket.size > 0);
+}
+
+function flushUpdates() {
+  if (isFlushing) return;
+
+  isFlushing = true;
+
+  try {
+    while (true) {
+      const bucket = pendingUpdates.find((bucket) => bucket != null && bucket.size > 0);
+
+      if (!bucket) break;
+
+      const [update] = bucket;
+      bucket.delete(update);
+
+      // Observers may run while a computed value is evaluating; what they read is not its dependency.
+      trackDependencies(update.run);
+    }
+  } finally {
+    isFlushing = false;
+  }
+}
+
+/**
+ * Runs `callback` and defers all observer notifications until it returns.
+ * Every Writable set inside the batch notifies its observers once with its final value,
+ * and every computed value downstream of them is recomputed at most once.
+ *
+ * Batches can be nested. Observers are notified when the outermost batch ends.
+ */
+export function batch(callback: () => void): void {
+  batchDepth++;
+
+  try {
+    callback();
+  } finally {
+    batchDepth--;
+
+    if (batchDepth === 0) {
+      flushUpdates();
+    }
+  }
+}
+
+/*==============================*\
+||     Dependency Tracking      ||
+\*==============================*/
+
+// Collects Readables read with `get()` while an auto-tracked computed is evaluating.
+let currentDependencies: Set<Readable<any>> | undefined;
+
+/**
+ * Records `readable` as a dependency of the computed value currently being evaluated, if any.
+ */
+function track(readable: Readable<any>) {
+  currentDependencies?.add(readable);
+}
+
+/**
+ * Runs `callback` and collects every Readable read inside it into `dependencies`.
+ * Pass no `dependencies` to run `callback` without tracking anything.
+ */
+function trackDependencies<T>(callback: () => T, dependencies?: Set<Readable<any>>): T {
+  const parentDependencies = currentDependencies;
+  currentDependencies = dependencies;
+
+  try {
+    return callback();
+  } finally {
+    currentDependencies = parentDependencies;
+  }
+}
+
 /*==============================*\
 ||          readable()          ||
 \*==============================*/
@@ -89,7 +319,11 @@ export function readable(value?: unknown): Readable<any> {
   if (isWritable(value)) {
     return {
       get: value.get,
+      get [DEPTH]() {
+        return getDepth(value);
+      },
       [OBSERVE]: value[OBSERVE],
+      [SOURCES]: [value],
     };
   }
 
@@ -114,11 +348,11 @@ export function readable(value?: unknown): Readable<any> {
 
 export function writable<T>(value: Writable<T>): Writable<Unwrapped<T>>;
 export function writable<T>(value: Readable<T>): never; // TODO: How to throw a type error in TS before runtime?
-export function writable<T>(value: undefined): Writable<T | undefined>;
+export function writable<T>(value: undefined, options?: StateOptions<T | undefined>): Writable<T | undefined>;
 export function writable<T>(): Writable<T | undefined>;
-export function writable<T>(value: T): Writable<Unwrapped<T>>;
+export function writable<T>(value: T, options?: StateOptions<Unwrapped<T>>): Writable<Unwrapped<T>>;
 
-export function writable(value?: unknown): Writable<any> {
+export function writable(value?: unknown, options?: StateOptions<any>): Writable<any> {
   // Return the same Writable.
   if (isWritable(value)) {
     return value;
@@ -130,14 +364,41 @@ export function writable(value?: unknown): Writable<any> {
   }
 
   const observers: ((currentValue: any, previousValue?: any) => void)[] = [];
+  const equals = getEqualityFunction(options?.equals);
 
   let currentValue = value;
 
+  // Value observers last received. Observers are notified once per batch, so this may be several sets behind.
+  let notifiedValue = value;
+
+  const notification: PendingUpdate = {
+    depth: 0,
+    run: () => {
+      if (!equals(notifiedValue, currentValue)) {
+        const previousValue = notifiedValue;
+        notifiedValue = currentValue;
+        for (const callback of observers) {
+          callback(currentValue, previousValue);
+        }
+      }
+    },
+  };
+
+  function setValue(newValue: unknown) {
+    if (!equals(currentValue, newValue)) {
+      currentValue = newValue;
+      scheduleUpdate(notification);
+    }
+  }
+
   // Return a new Writable.
-  return {
+  const $$writable: WritableProtocol<any> = {
     // ----- Readable ----- //
 
-    get: () => currentValue,
+    get: () => {
+      track($$writable);
+      return currentValue;
+    },
     [OBSERVE]: (callback) => {
       observers.push(callback); // add observer
 
@@ -154,25 +415,14 @@ export function writable(value?: unknown): Writable<any> {
     // ----- Writable ----- //
 
     set: (newValue) => {
-      if (!deepEqual(currentValue, newValue)) {
-        const previousValue = currentValue;
-        currentValue = newValue;
-        for (const callback of observers) {
-          callback(currentValue, previousValue);
-        }
-      }
+      setValue(newValue);
     },
     update: (callback) => {
-      const newValue = callback(currentValue);
-      if (!deepEqual(currentValue, newValue)) {
-        const previousValue = currentValue;
-        currentValue = newValue;
-        for (const callback of observers) {
-          callback(currentValue, previousValue);
-        }
-      }
+      setValue(callback(currentValue));
     },
   };
+
+  return withWritableHelpers($$writable);
 }
 
 /*==============================*\
@@ -217,26 +467,235 @@ export function observe(readable: any, callback: (...args: any) => void): StopFu
     throw new TypeError(`Expected at least one readable.`);
   }
 
+  let stop: StopFunction;
+
   if (readables.length > 1) {
-    return computed(readables, callback)[OBSERVE](() => {});
+    stop = computed(readables, callback)[OBSERVE](() => {});
   } else {
-    return readables[0][OBSERVE](callback);
+    stop = readables[0][OBSERVE](callback);
+  }
+
+  if (isTrackingObservers) {
+    return registerObserver(readables, stop);
+  }
+
+  return stop;
+}
+
+/*==============================*\
+||      Observer Registry       ||
+\*==============================*/
+
+/**
+ * The view or store an observer was created by.
+ */
+export interface ObserverOwner {
+  type: "view" | "store";
+  name: string;
+  readonly isConnected: boolean;
+}
+
+/**
+ * An observer created with `observe()` that hasn't been stopped yet.
+ */
+export interface ActiveObserver {
+  id: number;
+  readables: Readable<any>[];
+  owner?: ObserverOwner;
+
+  /**
+   * Stack trace from where the observer was created.
+   */
+  stack?: string;
+}
+
+// Observers are only recorded in development mode. Stack traces are too expensive to capture in production.
+let isTrackingObservers = false;
+let currentOwner: ObserverOwner | undefined;
+let nextObserverId = 0;
+
+const activeObservers = new Set<ActiveObserver>();
+
+/**
+ * Turns recording of active observers on or off. Apps turn this on in development mode.
+ */
+export function setObserverTracking(enabled: boolean) {
+  isTrackingObservers = enabled;
+
+  if (!enabled) {
+    activeObservers.clear();
+  }
+}
+
+/**
+ * Runs `callback` with `owner` recorded as the creator of any observers created inside it.
+ */
+export function runWithOwner<T>(owner: ObserverOwner, callback: () => T): T {
+  const parentOwner = currentOwner;
+  currentOwner = owner;
+
+  try {
+    return callback();
+  } finally {
+    currentOwner = parentOwner;
+  }
+}
+
+/**
+ * Returns observers that haven't been stopped yet. Pass an `owner` to only return observers created by that view or store.
+ * Always returns an empty array unless the app is running in development mode.
+ */
+export function getActiveObservers(owner?: ObserverOwner): ActiveObserver[] {
+  const observers = Array.from(activeObservers);
+
+  if (owner) {
+    return observers.filter((observer) => observer.owner === owner);
+  }
+
+  return observers;
+}
+
+function registerObserver(readables: Readable<any>[], stop: StopFunction): StopFunction {
+  const observer: ActiveObserver = {
+    id: nextObserverId++,
+    readables,
+    owner: currentOwner,
+    stack: new Error().stack?.split("\n").slice(3).join("\n"),
+  };
+
+  activeObservers.add(observer);
+
+  return function stopObserver() {
+    activeObservers.delete(observer);
+    stop();
+  };
+}
+
+export interface StateGraphNode {
+  id: number;
+  type: "writable" | "proxy" | "computed" | "readable";
+  value: unknown;
+  depth: number;
+}
+
+export interface StateGraphEdge {
+  /**
+   * ID of the source node.
+   */
+  from: number;
+
+  /**
+   * ID of the node derived from it.
+   */
+  to: number;
+}
+
+export interface StateGraphObserver {
+  id: number;
+  owner?: { type: "view" | "store"; name: string };
+  stack?: string;
+
+  /**
+   * IDs of the nodes this observer receives values from.
+   */
+  nodes: number[];
+}
+
+export interface StateGraph {
+  nodes: StateGraphNode[];
+  edges: StateGraphEdge[];
+  observers: StateGraphObserver[];
+}
+
+// Node IDs are kept between dumps so tools can match up nodes across snapshots.
+const graphIds = new WeakMap<Readable<any>, number>();
+let nextGraphId = 0;
+
+/**
+ * Returns a snapshot of every Readable and Writable reachable from an active observer, and how they depend on each other.
+ * Only observers created while the app runs in development mode are included.
+ * The result is plain data that can be serialized with `JSON.stringify` for use in dev tools.
+ */
+export function getStateGraph(): StateGraph {
+  const nodes = new Map<Readable<any>, StateGraphNode>();
+  const edges: StateGraphEdge[] = [];
+
+  function getId(readable: Readable<any>) {
+    if (!graphIds.has(readable)) {
+      graphIds.set(readable, nextGraphId++);
+    }
+    return graphIds.get(readable)!;
+  }
+
+  function visit(readable: Readable<any>) {
+    if (nodes.has(readable)) return;
+
+    const sources = readable[SOURCES];
+    let type: StateGraphNode["type"];
+
+    if (isWritable(readable)) {
+      type = sources ? "proxy" : "writable";
+    } else {
+      type = sources ? "computed" : "readable";
+    }
+
+    nodes.set(readable, {
+      id: getId(readable),
+      type,
+      value: trackDependencies(readable.get),
+      depth: getDepth(readable),
+    });
+
+    for (const source of sources ?? []) {
+      visit(source);
+      edges.push({ from: getId(source), to: getId(readable) });
+    }
   }
+
+  const observers = Array.from(activeObservers).map((observer) => {
+    observer.readables.forEach(visit);
+
+    return {
+      id: observer.id,
+      owner: observer.owner ? { type: observer.owner.type, name: observer.owner.name } : undefined,
+      stack: observer.stack,
+      nodes: observer.readables.map(getId),
+    };
+  });
+
+  return {
+    nodes: Array.from(nodes.values()),
+    edges,
+    observers,
+  };
 }
 
 /*==============================*\
 ||          computed()          ||
 \*==============================*/
 
-export function computed<I, O>(readable: Readable<I>, compute: (currentValue: I, previousValue?: I) => O): Readable<O>;
+/**
+ * Derives a value from every Readable whose `get()` is called inside `compute`.
+ * Dependencies are tracked again each time `compute` runs, so branches that read different Readables are followed as they change.
+ */
+export function computed<O>(compute: () => O, options?: StateOptions<O>): Readable<O>;
+
+export function computed<I, O>(
+  readable: Readable<I>,
+  compute: (currentValue: I, previousValue?: I) => O,
+  options?: StateOptions<O>
+): Readable<O>;
 
 export function computed<I extends Readable<any>[], O>(
   readables: [...I],
-  compute: (currentValues: ReadableValues<I>, previousValues?: ReadableValues<I>) => O
+  compute: (currentValues: ReadableValues<I>, previousValues?: ReadableValues<I>) => O,
+  options?: StateOptions<O>
 ): Readable<O>;
 
 export function computed(...args: any): Readable<any> {
-  if (isReadable(args[0])) {
+  if (typeof args[0] === "function") {
+    return trackedComputed(args[0], getEqualityFunction(args[1]?.equals));
+  } else if (isReadable(args[0])) {
     if (typeof args[1] !== "function") {
       throw new TypeError(
         `When first argument is a Readable the second argument must be a callback function. Got type: ${typeOf(
@@ -247,9 +706,17 @@ export function computed(...args: any): Readable<any> {
 
     const readable = args[0];
     const compute = args[1];
+    const equals = getEqualityFunction(args[2]?.equals);
 
-    return {
-      get: () => compute(readable.get()),
+    const $computed: Readable<any> = {
+      get: () => {
+        track($computed);
+        return trackDependencies(() => compute(readable.get()));
+      },
+      get [DEPTH]() {
+        return getDepth(readable) + 1;
+      },
+      [SOURCES]: [readable],
       [OBSERVE]: (callback) => {
         let lastComputedValue: any = UNOBSERVED;
         let lastObservedValue: any;
@@ -257,7 +724,7 @@ export function computed(...args: any): Readable<any> {
         return readable[OBSERVE]((currentValue) => {
           const computedValue = compute(currentValue, lastObservedValue);
 
-          if (!deepEqual(computedValue, lastComputedValue)) {
+          if (lastComputedValue === UNOBSERVED || !equals(lastComputedValue, computedValue)) {
             const previousValue = lastComputedValue === UNOBSERVED ? undefined : lastComputedValue;
             callback(computedValue, previousValue);
             lastComputedValue = computedValue;
@@ -266,6 +733,8 @@ export function computed(...args: any): Readable<any> {
         });
       },
     };
+
+    return $computed;
   } else if (Array.isArray(args[0])) {
     if (typeof args[1] !== "function") {
       throw new TypeError(
@@ -285,6 +754,7 @@ export function computed(...args: any): Readable<any> {
 
     const readables = args[0];
     const compute = args[1];
+    const equals = getEqualityFunction(args[2]?.equals);
 
     const observers: ((currentValues: any, previousValues?: any) => void)[] = [];
 
@@ -294,12 +764,25 @@ export function computed(...args: any): Readable<any> {
     let observedValues: any[] = [];
     let latestComputedValue: any = UNOBSERVED;
 
+    // Recomputes once per batch after every source has settled, so `compute` never sees a mix of old and new values.
+    // Depth is read when scheduled because tracked computed sources move deeper or shallower as their dependencies change.
+    const recompute: PendingUpdate = {
+      get depth() {
+        return Math.max(...readables.map(getDepth)) + 1;
+      },
+      run: () => {
+        if (isObserving) {
+          updateValue();
+        }
+      },
+    };
+
     function updateValue() {
       const computedValue = compute(observedValues, previousObservedValues);
 
       // Skip equality check on initial subscription to guarantee
       // that observers receive an initial value, even if undefined.
-      if (!deepEqual(computedValue, latestComputedValue)) {
+      if (latestComputedValue === UNOBSERVED || !equals(latestComputedValue, computedValue)) {
         const previousValue = latestComputedValue === UNOBSERVED ? undefined : latestComputedValue;
         latestComputedValue = computedValue;
         previousObservedValues = observedValues;
@@ -317,11 +800,11 @@ export function computed(...args: any): Readable<any> {
         const readable = readables[i];
 
         stopCallbacks.push(
-          observe(readable, (value: any) => {
+          readable[OBSERVE]((value: any) => {
             observedValues[i] = value;
 
             if (isObserving) {
-              updateValue();
+              scheduleUpdate(recompute);
             }
           })
         );
@@ -342,17 +825,26 @@ export function computed(...args: any): Readable<any> {
       stopCallbacks = [];
     }
 
-    return {
+    const $computed: Readable<any> = {
       get: () => {
-        if (isObserving) {
+        track($computed);
+
+        // Cached value can't be trusted until pending changes have propagated through the graph.
+        if (isObserving && !hasPendingUpdates()) {
           return latestComputedValue;
         } else {
-          return compute(
-            readables.map((x) => x.get()),
-            new Array<any>().fill(undefined, 0, readables.length)
+          return trackDependencies(() =>
+            compute(
+              readables.map((x) => x.get()),
+              new Array<any>().fill(undefined, 0, readables.length)
+            )
           );
         }
       },
+      get [DEPTH]() {
+        return recompute.depth;
+      },
+      [SOURCES]: readables,
       [OBSERVE]: (callback) => {
         // First start observing
         if (!isObserving) {
@@ -372,65 +864,194 @@ export function computed(...args: any): Readable<any> {
         };
       },
     };
+
+    return $computed;
   } else {
     throw new TypeError(
-      `Expected a Readable or array of Readables as a first argument. Got: ${typeOf(args[0])}, value: ${args[0]}`
+      `Expected a Readable, an array of Readables or a compute function as a first argument. Got: ${typeOf(
+        args[0]
+      )}, value: ${args[0]}`
     );
   }
 }
 
-/*==============================*\
-||           proxy()            ||
-\*==============================*/
-
-interface ProxyConfig<Source, Value> {
-  get(source: Source): Value;
-  set(source: Source, value: Value): void;
-}
-
 /**
- * Creates a proxy `Writable` around an existing `Writable`.
- * The config object takes custom `get` and `set` methods.
- * All reads of this proxy goes through the `get` method
- * and all writes go through `set`.
+ * Creates a computed Readable whose sources are discovered by tracking `get()` calls inside `compute`.
  */
-export function proxy<Source extends Writable<any>, Value>(
-  source: Source,
-  config: ProxyConfig<Source, Value>
-): Writable<Value>;
+function trackedComputed(compute: () => any, equals: (previousValue: any, nextValue: any) => boolean): Readable<any> {
+  const observers: ((currentValue: any, previousValue?: any) => void)[] = [];
 
-/**
- * Creates a proxy `Writable` around an existing `Readable`.
- * The config object takes custom `get` and `set` methods.
- * All reads of this proxy goes through the `get` method
- * and all writes go through `set`.
- */
-export function proxy<Source extends Readable<any>, Value>(
-  source: Source,
-  config: ProxyConfig<Source, Value>
-): Writable<Value>;
+  // Stop functions for each source currently observed, keyed by source.
+  const sources = new Map<Readable<any>, StopFunction>();
 
-export function proxy<Source, Value>(source: Source, config: ProxyConfig<Source, Value>): Writable<Value> {
-  // Throw error; can't add write access to a Readable.
-  if (!isReadable(source)) {
+  let isObserving = false;
+  let latestComputedValue: any = UNOBSERVED;
+
+  const recompute: PendingUpdate = {
+    get depth() {
+      return Math.max(0, ...Array.from(sources.keys()).map(getDepth)) + 1;
+    },
+    run: () => {
+      if (isObserving) {
+        updateValue();
+      }
+    },
+  };
+
+  /**
+   * Observes newly read sources and stops observing sources that weren't read this time.
+   */
+  function updateSources(dependencies: Set<Readable<any>>) {
+    for (const [readable, stop] of sources) {
+      if (!dependencies.has(readable)) {
+        stop();
+        sources.delete(readable);
+      }
+    }
+
+    for (const readable of dependencies) {
+      if (!sources.has(readable)) {
+        let isInitialValue = true;
+
+        const stop = readable[OBSERVE](() => {
+          // The initial value was just read by `compute`.
+          if (!isInitialValue) {
+            scheduleUpdate(recompute);
+          }
+        });
+
+        isInitialValue = false;
+        sources.set(readable, stop);
+      }
+    }
+  }
+
+  function updateValue() {
+    const dependencies = new Set<Readable<any>>();
+    const computedValue = trackDependencies(compute, dependencies);
+
+    updateSources(dependencies);
+
+    if (latestComputedValue === UNOBSERVED || !equals(latestComputedValue, computedValue)) {
+      const previousValue = latestComputedValue === UNOBSERVED ? undefined : latestComputedValue;
+      latestComputedValue = computedValue;
+
+      for (const callback of observers) {
+        callback(computedValue, previousValue);
+      }
+    }
+  }
+
+  function stopObserving() {
+    isObserving = false;
+
+    for (const stop of sources.values()) {
+      stop();
+    }
+    sources.clear();
+
+    latestComputedValue = UNOBSERVED;
+  }
+
+  const $computed: Readable<any> = {
+    get: () => {
+      track($computed);
+
+      // Cached value can't be trusted until pending changes have propagated through the graph.
+      if (isObserving && !hasPendingUpdates()) {
+        return latestComputedValue;
+      } else {
+        return trackDependencies(compute);
+      }
+    },
+    get [DEPTH]() {
+      return recompute.depth;
+    },
+    get [SOURCES]() {
+      return Array.from(sources.keys());
+    },
+    [OBSERVE]: (callback) => {
+      // First start observing
+      if (!isObserving) {
+        isObserving = true;
+        updateValue();
+      }
+
+      // Then call callback and add it to observers for future changes
+      callback(latestComputedValue, undefined);
+      observers.push(callback);
+
+      return function stop() {
+        observers.splice(observers.indexOf(callback), 1);
+
+        if (observers.length === 0) {
+          stopObserving();
+        }
+      };
+    },
+  };
+
+  return $computed;
+}
+
+/*==============================*\
+||           proxy()            ||
+\*==============================*/
+
+interface ProxyConfig<Source, Value> extends StateOptions<Value> {
+  get(source: Source): Value;
+  set(source: Source, value: Value): void;
+}
+
+/**
+ * Creates a proxy `Writable` around an existing `Writable`.
+ * The config object takes custom `get` and `set` methods.
+ * All reads of this proxy goes through the `get` method
+ * and all writes go through `set`.
+ */
+export function proxy<Source extends Writable<any>, Value>(
+  source: Source,
+  config: ProxyConfig<Source, Value>
+): Writable<Value>;
+
+/**
+ * Creates a proxy `Writable` around an existing `Readable`.
+ * The config object takes custom `get` and `set` methods.
+ * All reads of this proxy goes through the `get` method
+ * and all writes go through `set`.
+ */
+export function proxy<Source extends Readable<any>, Value>(
+  source: Source,
+  config: ProxyConfig<Source, Value>
+): Writable<Value>;
+
+export function proxy<Source, Value>(source: Source, config: ProxyConfig<Source, Value>): Writable<Value> {
+  // Throw error; can't add write access to a Readable.
+  if (!isReadable(source)) {
     throw new TypeError(`Proxy source must be a Readable.`);
   }
 
-  const observers: ((currentValue: any, previousValue?: any) => void)[] = [];
-  const currentValue = () => config.get(source);
+  const equals = getEqualityFunction(config.equals);
 
   // Return a new Writable.
-  return {
+  const $$proxy: WritableProtocol<Value> = {
     // ----- Readable ----- //
 
-    get: () => config.get(source),
+    get: () => {
+      track($$proxy);
+      return trackDependencies(() => config.get(source));
+    },
+    get [DEPTH]() {
+      return getDepth(source) + 1;
+    },
+    [SOURCES]: [source],
     [OBSERVE]: (callback) => {
       let lastComputedValue: any = UNOBSERVED;
 
       return source[OBSERVE]((_) => {
         const computedValue = config.get(source);
 
-        if (!deepEqual(computedValue, lastComputedValue)) {
+        if (lastComputedValue === UNOBSERVED || !equals(lastComputedValue, computedValue)) {
           const previousValue = lastComputedValue === UNOBSERVED ? undefined : lastComputedValue;
           callback(computedValue, previousValue);
           lastComputedValue = computedValue;
@@ -448,6 +1069,1269 @@ export function proxy<Source, Value>(source: Source, config: ProxyConfig<Source,
       config.set(source, newValue);
     },
   };
+
+  return withWritableHelpers($$proxy);
+}
+
+/*==============================*\
+||       Writable Helpers       ||
+\*==============================*/
+
+/**
+ * Adds path lenses and immutable mutators to an object implementing `set` and `update`.
+ * The object is modified in place and returned.
+ */
+export function withWritableHelpers<T>(writable: WritableProtocol<T>): Writable<T> {
+  const $$writable = writable as Writable<T>;
+
+  $$writable.at = (path, options) => {
+    const keys = parsePath(path);
+
+    return proxy($$writable, {
+      get: (source) => getAtPath(source.get(), keys),
+      set: (source, value) => {
+        source.update((current) => setAtPath(current, keys, value));
+      },
+      equals: options?.equals,
+    }) as any;
+  };
+
+  $$writable.push = (...items) => {
+    $$writable.update((current) => [...expectArray(current, "push"), ...items] as T);
+  };
+
+  $$writable.remove = (item) => {
+    const shouldRemove: (value: any, index: number) => boolean =
+      typeof item === "function" ? (item as any) : (value: any) => Object.is(value, item);
+
+    $$writable.update((current) => {
+      const list = expectArray(current, "remove");
+      const filtered = list.filter((value, index) => !shouldRemove(value, index));
+
+      // Keep the same array if nothing was removed.
+      return (filtered.length === list.length ? list : filtered) as T;
+    });
+  };
+
+  $$writable.patch = (values) => {
+    $$writable.update((current) => {
+      if (!isObject(current)) {
+        throw new TypeError(
+          `Can't patch a value that isn't an object. Got type: ${typeOf(current)}, value: ${current}`
+        );
+      }
+
+      return { ...current, ...values };
+    });
+  };
+
+  $$writable.toggle = () => {
+    $$writable.update((current) => {
+      if (typeof current !== "boolean") {
+        throw new TypeError(
+          `Can't toggle a value that isn't a boolean. Got type: ${typeOf(current)}, value: ${current}`
+        );
+      }
+
+      return !current as T;
+    });
+  };
+
+  return $$writable;
+}
+
+function expectArray(value: unknown, method: string): any[] {
+  if (!Array.isArray(value)) {
+    throw new TypeError(`Can't ${method} on a value that isn't an array. Got type: ${typeOf(value)}, value: ${value}`);
+  }
+  return value;
+}
+
+function parsePath(path: Path): string[] {
+  if (typeof path === "number") {
+    return [String(path)];
+  }
+
+  if (typeof path !== "string" || path.trim() === "") {
+    throw new TypeError(`Expected a path string or number. Got type: ${typeOf(path)}, value: ${path}`);
+  }
+
+  return path.split(".").map((key) => key.trim());
+}
+
+function getAtPath(value: any, keys: string[]): any {
+  for (const key of keys) {
+    if (value == null) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Returns a copy of `target` with `value` at the path of `keys`.
+ * Objects along the path are copied and everything else is reused as-is.
+ */
+function setAtPath(target: any, keys: string[], value: any): any {
+  if (keys.length === 0) {
+    return value;
+  }
+
+  const [key, ...rest] = keys;
+  const current = target == null ? undefined : target[key];
+  const next = setAtPath(current, rest, value);
+
+  // Return the same object if nothing along the path has changed.
+  if (target != null && Object.is(current, next)) {
+    return target;
+  }
+
+  if (Array.isArray(target)) {
+    const copy = [...target];
+    copy[Number(key)] = next;
+    return copy;
+  }
+
+  if (target == null) {
+    return { [key]: next };
+  }
+
+  if (typeof target !== "object") {
+    throw new TypeError(`Can't set '${key}' on a value that isn't an object. Got type: ${typeOf(target)}`);
+  }
+
+  return { ...target, [key]: next };
+}
+
+/*==============================*\
+||          resource()          ||
+\*==============================*/
+
+export interface ResourceFetchContext {
+  /**
+   * Aborted when this request is replaced by a newer one or the resource is no longer observed.
+   * Pass this to `fetch` to cancel the request itself.
+   */
+  signal: AbortSignal;
+}
+
+export type ResourceFetcher<S, T> = (source: S, ctx: ResourceFetchContext) => Promise<T>;
+
+export interface ResourceOptions<S, T> extends StateOptions<T | undefined> {
+  /**
+   * Value of `$data` before anything has loaded and while the source is null or undefined.
+   */
+  initialValue?: T;
+
+  /**
+   * Returns the cache key for a source value. Defaults to the source value as JSON.
+   */
+  key?: (source: S) => string;
+
+  /**
+   * Number of milliseconds a cached value is considered fresh. Fresh values are shown without fetching again.
+   * Older cached values are shown while a new request is made in the background. Defaults to 0.
+   */
+  staleTime?: number;
+}
+
+export interface Resource<T> {
+  /**
+   * The most recently loaded value. Holds a cached value while a newer one is loading.
+   */
+  $data: Readable<T | undefined>;
+
+  /**
+   * True while a request is in flight.
+   */
+  $loading: Readable<boolean>;
+
+  /**
+   * The error thrown by the last request, if it failed.
+   */
+  $error: Readable<Error | undefined>;
+
+  /**
+   * Fetches again for the current source value, ignoring any cached value.
+   */
+  refetch(): Promise<void>;
+
+  /**
+   * Replaces the current value without fetching. Useful for optimistic updates.
+   */
+  mutate(value: T | ((currentValue: T | undefined) => T)): void;
+}
+
+/**
+ * Loads data asynchronously each time `source` changes. Requests only run while at least one of
+ * `$data`, `$loading` or `$error` is observed, and in-flight requests are aborted when observing stops.
+ * Responses to requests that were replaced by newer ones are ignored.
+ *
+ * Loaded values are cached by source value, so switching back to a previous source shows its value immediately while it's fetched again.
+ *
+ * @param source - Value to pass to `fetcher`. Nothing is fetched while this is null or undefined.
+ * @param fetcher - Function that loads data for a source value.
+ * @param options - Caching options.
+ */
+export function resource<S, T>(
+  source: Readable<S> | S,
+  fetcher: ResourceFetcher<NonNullable<S>, T>,
+  options: ResourceOptions<NonNullable<S>, T> = {}
+): Resource<T> {
+  if (typeof fetcher !== "function") {
+    throw new TypeError(`Expected a fetcher function. Got type: ${typeOf(fetcher)}, value: ${fetcher}`);
+  }
+
+  const $source = readable(source) as Readable<S>;
+  const getKey = options.key ?? ((source: S) => JSON.stringify(source));
+  const staleTime = options.staleTime ?? 0;
+
+  const $$data = writable<any>(options.initialValue, { equals: options.equals }) as Writable<T | undefined>;
+  const $$loading = writable(false);
+  const $$error = writable<Error | undefined>(undefined);
+
+  const cache = new Map<string, { value: T; time: number }>();
+
+  let observerCount = 0;
+  let stopSource: StopFunction | undefined;
+  let controller: AbortController | undefined;
+
+  async function load(source: S, force = false) {
+    controller?.abort();
+    controller = undefined;
+
+    if (source == null) {
+      batch(() => {
+        $$data.set(options.initialValue);
+        $$loading.set(false);
+        $$error.set(undefined);
+      });
+      return;
+    }
+
+    let key: string;
+
+    try {
+      key = getKey(source as NonNullable<S>);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+
+    const cached = cache.get(key);
+
+    if (cached) {
+      const isFresh = Date.now() - cached.time < staleTime;
+
+      batch(() => {
+        $$data.set(cached.value);
+        $$error.set(undefined);
+        $$loading.set(!isFresh || force);
+      });
+
+      if (isFresh && !force) return;
+    } else {
+      $$loading.set(true);
+    }
+
+    const current = new AbortController();
+    controller = current;
+
+    try {
+      const value = await fetcher(source as NonNullable<S>, { signal: current.signal });
+
+      // Ignore responses to requests that have since been replaced or aborted.
+      if (controller !== current) return;
+
+      cache.set(key, { value, time: Date.now() });
+
+      batch(() => {
+        $$data.set(value);
+        $$error.set(undefined);
+        $$loading.set(false);
+      });
+    } catch (error) {
+      if (controller !== current) return;
+
+      fail(error);
+    } finally {
+      if (controller === current) {
+        controller = undefined;
+      }
+    }
+  }
+
+  function fail(error: unknown) {
+    batch(() => {
+      $$error.set(error instanceof Error ? error : new Error(String(error)));
+      $$loading.set(false);
+    });
+  }
+
+  function start() {
+    stopSource = $source[OBSERVE]((value) => {
+      load(value);
+    });
+  }
+
+  function stopResource() {
+    stopSource?.();
+    stopSource = undefined;
+
+    controller?.abort();
+    controller = undefined;
+
+    $$loading.set(false);
+  }
+
+  /**
+   * Returns a Readable of `$$value` that keeps the resource running while it's observed.
+   */
+  function retained<V>($$value: Writable<V>): Readable<V> {
+    const $value: Readable<V> = {
+      get: () => {
+        track($value);
+        return trackDependencies(() => $$value.get());
+      },
+      [SOURCES]: [$$value],
+      [OBSERVE]: (callback) => {
+        if (observerCount++ === 0) {
+          start();
+        }
+
+        const stopObserver = $$value[OBSERVE](callback);
+
+        return function stop() {
+          stopObserver();
+
+          if (--observerCount === 0) {
+            stopResource();
+          }
+        };
+      },
+    };
+
+    return $value;
+  }
+
+  return {
+    $data: retained($$data),
+    $loading: retained($$loading),
+    $error: retained($$error),
+
+    refetch: () => load($source.get(), true),
+
+    mutate: (value) => {
+      const source = $source.get();
+      const nextValue = typeof value === "function" ? (value as (current: T | undefined) => T)($$data.get()) : value;
+
+      if (source != null) {
+        cache.set(getKey(source as NonNullable<S>), { value: nextValue, time: Date.now() });
+      }
+
+      // A request that was already on its way would overwrite the new value when it arrives.
+      controller?.abort();
+      controller = undefined;
+
+      batch(() => {
+        $$data.set(nextValue);
+        $$loading.set(false);
+      });
+    },
+  };
+}
+
+/*==============================*\
+||        Time Operators        ||
+\*==============================*/
+
+/**
+ * Returns a Readable that takes on the value of `source` once it has stopped changing for `milliseconds`.
+ * Useful for search inputs that should only trigger a request after typing stops.
+ */
+export function debounced<T>(source: Readable<T>, milliseconds: number): Readable<T> {
+  assertOperatorArgs("debounced", source, milliseconds);
+
+  return lazyReadable([source], source.get, (set) => {
+    const delayer = new Delayer();
+
+    const stopObserver = observeChanges(source, (value) => {
+      delayer.delay(milliseconds, () => set(value));
+    });
+
+    return function stop() {
+      stopObserver();
+      delayer.cancel();
+    };
+  });
+}
+
+/**
+ * Returns a Readable that takes on the value of `source` at most once every `milliseconds`.
+ * The first change is passed through immediately and the latest change within each window is passed through when it ends.
+ */
+export function throttled<T>(source: Readable<T>, milliseconds: number): Readable<T> {
+  assertOperatorArgs("throttled", source, milliseconds);
+
+  return lazyReadable([source], source.get, (set) => {
+    let timeout: any;
+    let pending: { value: T } | undefined;
+
+    function endWindow() {
+      if (pending) {
+        set(pending.value);
+        pending = undefined;
+        timeout = setTimeout(endWindow, milliseconds);
+      } else {
+        timeout = undefined;
+      }
+    }
+
+    const stopObserver = observeChanges(source, (value) => {
+      if (timeout) {
+        pending = { value };
+      } else {
+        set(value);
+        timeout = setTimeout(endWindow, milliseconds);
+      }
+    });
+
+    return function stop() {
+      stopObserver();
+      clearTimeout(timeout);
+      timeout = undefined;
+      pending = undefined;
+    };
+  });
+}
+
+/**
+ * Returns a Readable that takes on each value of `source` after `milliseconds` have passed.
+ * Unlike `debounced`, every change is passed through in order.
+ */
+export function delayed<T>(source: Readable<T>, milliseconds: number): Readable<T> {
+  assertOperatorArgs("delayed", source, milliseconds);
+
+  return lazyReadable([source], source.get, (set) => {
+    const timeouts = new Set<any>();
+
+    const stopObserver = observeChanges(source, (value) => {
+      const timeout = setTimeout(() => {
+        timeouts.delete(timeout);
+        set(value);
+      }, milliseconds);
+
+      timeouts.add(timeout);
+    });
+
+    return function stop() {
+      stopObserver();
+
+      for (const timeout of timeouts) {
+        clearTimeout(timeout);
+      }
+      timeouts.clear();
+    };
+  });
+}
+
+/**
+ * Returns a Readable that takes on the latest value of `source` at most once per animation frame.
+ * Useful for values that change faster than the screen can show them, like scroll positions and pointer coordinates.
+ */
+export function sampledPerFrame<T>(source: Readable<T>): Readable<T> {
+  assertOperatorArgs("sampledPerFrame", source);
+
+  return lazyReadable([source], source.get, (set) => {
+    let frame: number | undefined;
+    let latest: T;
+
+    const stopObserver = observeChanges(source, (value) => {
+      latest = value;
+
+      if (frame == null) {
+        frame = requestAnimationFrame(() => {
+          frame = undefined;
+          set(latest);
+        });
+      }
+    });
+
+    return function stop() {
+      stopObserver();
+
+      if (frame != null) {
+        cancelAnimationFrame(frame);
+        frame = undefined;
+      }
+    };
+  });
+}
+
+/**
+ * Returns a Readable that holds the value `source` had before its latest change.
+ * Holds undefined until `source` changes while observed, and again after observing stops.
+ */
+export function previous<T>(source: Readable<T>): Readable<T | undefined> {
+  assertOperatorArgs("previous", source);
+
+  return lazyReadable<T | undefined>(
+    [source],
+    () => undefined,
+    (set) => {
+      let last = source.get();
+
+      return observeChanges(source, (value) => {
+        set(last);
+        last = value;
+      });
+    }
+  );
+}
+
+function assertOperatorArgs(name: string, source: unknown, milliseconds: unknown = 0) {
+  if (!isReadable(source)) {
+    throw new TypeError(`${name}() expected a Readable. Got type: ${typeOf(source)}, value: ${source}`);
+  }
+
+  if (typeof milliseconds !== "number" || milliseconds < 0) {
+    throw new TypeError(
+      `${name}() expected a positive number of milliseconds. Got type: ${typeOf(milliseconds)}, value: ${milliseconds}`
+    );
+  }
+}
+
+/**
+ * Observes `source` without the immediate call with its current value.
+ */
+function observeChanges<T>(source: Readable<T>, callback: (value: T) => void): StopFunction {
+  let isInitial = true;
+
+  const stop = source[OBSERVE]((value) => {
+    if (!isInitial) {
+      callback(value);
+    }
+  });
+
+  isInitial = false;
+
+  return stop;
+}
+
+/**
+ * Creates a Readable whose value is set over time by `start` while it's observed.
+ * `start` runs when the first observer subscribes and returns a function that runs when the last observer stops,
+ * so no timers or subscriptions are left running once nothing is listening. While unobserved, `get()` returns `getUnobserved()`.
+ */
+function lazyReadable<T>(
+  sources: Readable<any>[],
+  getUnobserved: () => T,
+  start: (set: (value: T) => void) => StopFunction,
+  options?: StateOptions<T>
+): Readable<T> {
+  let $$value: Writable<T> | undefined;
+  let cleanup: StopFunction | undefined;
+  let observerCount = 0;
+
+  const $lazy: Readable<T> = {
+    get: () => {
+      track($lazy);
+      return trackDependencies(() => ($$value ? $$value.get() : getUnobserved()));
+    },
+    get [DEPTH]() {
+      return Math.max(-1, ...sources.map(getDepth)) + 1;
+    },
+    [SOURCES]: sources,
+    [OBSERVE]: (callback) => {
+      if (observerCount++ === 0) {
+        const value = writable<any>(trackDependencies(getUnobserved), options) as Writable<T>;
+        $$value = value;
+        cleanup = start(value.set);
+      }
+
+      const stopObserver = $$value![OBSERVE](callback);
+
+      return function stop() {
+        stopObserver();
+
+        if (--observerCount === 0) {
+          cleanup?.();
+          cleanup = undefined;
+          $$value = undefined;
+        }
+      };
+    },
+  };
+
+  return $lazy;
+}
+
+/*==============================*\
+||           Interop            ||
+\*==============================*/
+
+// Well-known symbol used by RxJS and other libraries to mark an object as convertible to an Observable.
+const observableSymbol: symbol | "@@observable" = (Symbol as any).observable ?? "@@observable";
+
+/**
+ * An object that receives values from a Subscribable.
+ */
+export interface SubscriptionObserver<T> {
+  next(value: T): void;
+  error?(error: unknown): void;
+  complete?(): void;
+}
+
+export interface Subscription {
+  unsubscribe(): void;
+}
+
+/**
+ * Any Observable in the style of RxJS or the TC39 Observable proposal.
+ */
+export interface Subscribable<T> {
+  subscribe(observer: SubscriptionObserver<T>): Subscription;
+}
+
+/**
+ * A Subscribable created from a Readable with `toObservable()`.
+ */
+export interface ReadableObservable<T> extends Subscribable<T> {
+  subscribe(observer: Partial<SubscriptionObserver<T>> | ((value: T) => void)): Subscription;
+}
+
+/**
+ * Returns a Readable that holds the latest value emitted by `observable`. Accepts RxJS-style Observables
+ * and anything that implements `Symbol.observable`. The observable is subscribed while the Readable is observed.
+ * Errors emitted by the observable are logged and leave the last value in place.
+ *
+ * @param observable - Source of values.
+ * @param initialValue - Value to hold until the first value is emitted.
+ */
+export function fromObservable<T>(observable: Subscribable<T>, initialValue: T): Readable<T>;
+export function fromObservable<T>(observable: Subscribable<T>): Readable<T | undefined>;
+
+export function fromObservable<T>(observable: any, initialValue?: T): Readable<T | undefined> {
+  if (observable != null && typeof observable[observableSymbol] === "function") {
+    observable = observable[observableSymbol]();
+  }
+
+  if (observable == null || typeof observable.subscribe !== "function") {
+    throw new TypeError(`Expected an Observable. Got type: ${typeOf(observable)}, value: ${observable}`);
+  }
+
+  let latestValue = initialValue;
+
+  return lazyReadable(
+    [],
+    () => latestValue,
+    (set) => {
+      const subscription: Subscription = observable.subscribe({
+        next: (value: T) => {
+          latestValue = value;
+          set(value);
+        },
+        error: (error: unknown) => {
+          console.error(`Observable passed to fromObservable errored. Keeping its last value.`, error);
+        },
+      });
+
+      return function stop() {
+        subscription.unsubscribe();
+      };
+    }
+  );
+}
+
+/**
+ * Returns a Readable that holds the latest value yielded by `iterable`, such as an async generator or a websocket client.
+ * Iteration begins when the Readable is first observed and is ended with the iterator's `return()` when observing stops.
+ * Most async iterables can only be consumed once, so the Readable keeps its last value after that. Errors thrown by the iterable are
+ * logged and also leave the last value in place.
+ *
+ * @param iterable - Source of values.
+ * @param initialValue - Value to hold until the first value is yielded.
+ */
+export function fromAsyncIterable<T>(iterable: AsyncIterable<T>, initialValue: T): Readable<T>;
+export function fromAsyncIterable<T>(iterable: AsyncIterable<T>): Readable<T | undefined>;
+
+export function fromAsyncIterable<T>(iterable: AsyncIterable<T>, initialValue?: T): Readable<T | undefined> {
+  if (iterable == null || typeof iterable[Symbol.asyncIterator] !== "function") {
+    throw new TypeError(`Expected an async iterable. Got type: ${typeOf(iterable)}, value: ${iterable}`);
+  }
+
+  let latestValue = initialValue;
+
+  return lazyReadable(
+    [],
+    () => latestValue,
+    (set) => {
+      const iterator = iterable[Symbol.asyncIterator]();
+      let isStopped = false;
+
+      (async () => {
+        while (true) {
+          const result = await iterator.next();
+
+          if (isStopped || result.done) break;
+
+          latestValue = result.value;
+          set(result.value);
+        }
+      })().catch((error) => {
+        console.error(`Async iterable passed to fromAsyncIterable threw. Keeping its last value.`, error);
+      });
+
+      return function stop() {
+        isStopped = true;
+
+        Promise.resolve(iterator.return?.()).catch((error) => {
+          console.error(`Async iterable passed to fromAsyncIterable threw while stopping.`, error);
+        });
+      };
+    }
+  );
+}
+
+/**
+ * Returns a Readable that holds the latest event of type `name` dispatched on `target`.
+ * The listener is attached while the Readable is observed.
+ *
+ * @param target - Object to listen on, such as `window` or an element.
+ * @param name - Name of the event.
+ * @param initialValue - Value to hold until the first event is dispatched.
+ */
+export function fromEvent<E extends Event = Event>(target: EventTarget, name: string): Readable<E | undefined>;
+export function fromEvent<E extends Event = Event, I = E>(
+  target: EventTarget,
+  name: string,
+  initialValue: I
+): Readable<E | I>;
+
+export function fromEvent(target: EventTarget, name: string, initialValue?: unknown): Readable<unknown> {
+  if (target == null || typeof target.addEventListener !== "function") {
+    throw new TypeError(`Expected an EventTarget. Got type: ${typeOf(target)}, value: ${target}`);
+  }
+
+  let latestValue = initialValue;
+
+  return lazyReadable(
+    [],
+    () => latestValue,
+    (set) => {
+      function listener(event: Event) {
+        latestValue = event;
+        set(event);
+      }
+
+      target.addEventListener(name, listener);
+
+      return function stop() {
+        target.removeEventListener(name, listener);
+      };
+    },
+    { equals: "identity" }
+  );
+}
+
+/**
+ * Returns a Readable that holds the value `promise` resolves to. If it rejects, the error is logged and the
+ * Readable keeps its initial value. Use `resource()` to load data with loading and error states.
+ *
+ * @param promise - Source of the value.
+ * @param initialValue - Value to hold until `promise` resolves.
+ */
+export function fromPromise<T>(promise: Promise<T>, initialValue: T): Readable<T>;
+export function fromPromise<T>(promise: Promise<T>): Readable<T | undefined>;
+
+export function fromPromise<T>(promise: Promise<T>, initialValue?: T): Readable<T | undefined> {
+  if (promise == null || typeof promise.then !== "function") {
+    throw new TypeError(`Expected a Promise. Got type: ${typeOf(promise)}, value: ${promise}`);
+  }
+
+  const $$value = writable<any>(initialValue) as Writable<T | undefined>;
+
+  promise.then(
+    (value) => {
+      $$value.set(value);
+    },
+    (error) => {
+      console.error(`Promise passed to fromPromise rejected. Keeping the initial value.`, error);
+    }
+  );
+
+  return readable<any>($$value);
+}
+
+/**
+ * Returns an Observable of `readable` for use with RxJS and other libraries that accept `Symbol.observable`.
+ * Subscribers receive the current value immediately, then each new value.
+ */
+export function toObservable<T>(readable: Readable<T>): ReadableObservable<T> {
+  if (!isReadable(readable)) {
+    throw new TypeError(`Expected a Readable. Got type: ${typeOf(readable)}, value: ${readable}`);
+  }
+
+  const observable: ReadableObservable<T> = {
+    subscribe: (observer) => {
+      const next = typeof observer === "function" ? observer : observer.next?.bind(observer);
+      let stop: StopFunction | undefined = readable[OBSERVE]((value) => {
+        next?.(value);
+      });
+
+      return {
+        unsubscribe: () => {
+          stop?.();
+          stop = undefined;
+        },
+      };
+    },
+  };
+
+  (observable as any)[observableSymbol] = () => observable;
+
+  return observable;
+}
+
+/**
+ * Returns an async iterable of `readable` for consuming its values with `for await`.
+ * Yields the current value first, then each new value. Values that change faster than the loop consumes them
+ * are skipped so that each iteration receives the latest value. Breaking out of the loop stops observing.
+ */
+export function toAsyncIterable<T>(readable: Readable<T>): AsyncIterable<T> {
+  if (!isReadable(readable)) {
+    throw new TypeError(`Expected a Readable. Got type: ${typeOf(readable)}, value: ${readable}`);
+  }
+
+  return {
+    [Symbol.asyncIterator]: () => {
+      let pending: { value: T } | undefined;
+      let waiting: ((result: IteratorResult<T>) => void) | undefined;
+      let isDone = false;
+
+      const stop = readable[OBSERVE]((value) => {
+        if (waiting) {
+          const resolve = waiting;
+          waiting = undefined;
+          resolve({ value, done: false });
+        } else {
+          pending = { value };
+        }
+      });
+
+      const iterator: AsyncIterableIterator<T> = {
+        next: () => {
+          if (isDone) {
+            return Promise.resolve({ value: undefined, done: true });
+          }
+
+          if (pending) {
+            const { value } = pending;
+            pending = undefined;
+            return Promise.resolve({ value, done: false });
+          }
+
+          return new Promise((resolve) => {
+            waiting = resolve;
+          });
+        },
+        return: () => {
+          if (!isDone) {
+            isDone = true;
+            stop();
+            waiting?.({ value: undefined, done: true });
+            waiting = undefined;
+          }
+
+          return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]: () => iterator,
+      };
+
+      return iterator;
+    },
+  };
+}
+
+/*==============================*\
+||         persisted()          ||
+\*==============================*/
+
+/**
+ * A place to store persisted values. Methods may return Promises for asynchronous storage like IndexedDB.
+ */
+export interface PersistedStorage {
+  /**
+   * Returns the stored string for `key`, or null if nothing is stored.
+   */
+  getItem(key: string): string | null | Promise<string | null>;
+
+  /**
+   * Stores `value` under `key`.
+   */
+  setItem(key: string, value: string): void | Promise<void>;
+
+  /**
+   * Calls `callback` when the value stored under `key` is changed from outside this page, such as in another tab.
+   * Returns a function that stops listening.
+   */
+  subscribe?(key: string, callback: (value: string | null) => void): StopFunction;
+}
+
+export interface PersistedOptions<T> extends StateOptions<T> {
+  /**
+   * Where to store the value. Defaults to `"local"` for `localStorage`.
+   */
+  storage?: "local" | "session" | PersistedStorage;
+
+  /**
+   * Converts the value into something `JSON.stringify` can store. Defaults to the value itself.
+   */
+  serialize?: (value: T) => unknown;
+
+  /**
+   * Converts a stored value back into a value. Takes whatever `serialize` returned, as parsed by `JSON.parse`.
+   */
+  deserialize?: (stored: any) => T;
+
+  /**
+   * Version of the stored value's shape. Stored values from other versions are passed through `migrate`. Defaults to 0.
+   */
+  version?: number;
+
+  /**
+   * Converts a value stored by a different `version` into a current value.
+   * Stored values from other versions are discarded in favor of the initial value when this isn't provided.
+   */
+  migrate?: (stored: any, version: number) => T;
+}
+
+export interface Persisted<T> extends Writable<T> {
+  /**
+   * True once the stored value has been read. Always true for synchronous storage like `localStorage`.
+   */
+  $isLoaded: Readable<boolean>;
+}
+
+/**
+ * Shape of the JSON string written to storage.
+ */
+interface PersistedEnvelope {
+  version: number;
+  value: unknown;
+}
+
+/**
+ * Creates a Writable whose value is saved to storage under `key` and restored from it the next time the page loads.
+ * Values stored from other tabs are picked up when the storage supports it.
+ *
+ * @param key - Name the value is stored under.
+ * @param initialValue - Value to use when nothing is stored yet.
+ * @param options - Storage and serialization options.
+ */
+export function persisted<T>(key: string, initialValue: T, options: PersistedOptions<T> = {}): Persisted<T> {
+  if (typeof key !== "string") {
+    throw new TypeError(`Expected a storage key string. Got type: ${typeOf(key)}, value: ${key}`);
+  }
+
+  const storage = getPersistedStorage(options.storage ?? "local");
+  const version = options.version ?? 0;
+  const serialize = options.serialize ?? ((value: T) => value);
+  const deserialize = options.deserialize ?? ((stored: any) => stored as T);
+
+  const $$value = writable<any>(initialValue, { equals: options.equals }) as Writable<T>;
+  const $$isLoaded = writable(true);
+
+  // The last string read from or written to storage. Used to skip writing back values that came from storage.
+  let lastStored: string | null = null;
+
+  // Set when the value changes while an asynchronous read is still pending, so the read doesn't overwrite it.
+  let hasChanged = false;
+
+  function toStored(value: T) {
+    const envelope: PersistedEnvelope = { version, value: serialize(value) };
+    return JSON.stringify(envelope);
+  }
+
+  function restore(raw: string | null) {
+    if (raw == null) {
+      // Removed from storage elsewhere; go back to the initial value.
+      lastStored = toStored(initialValue);
+      $$value.set(initialValue);
+      return;
+    }
+
+    let value: T;
+    let isMigrated = false;
+
+    try {
+      const envelope = JSON.parse(raw) as PersistedEnvelope;
+
+      if (envelope.version === version) {
+        value = deserialize(envelope.value);
+      } else if (options.migrate) {
+        value = options.migrate(envelope.value, envelope.version);
+        isMigrated = true;
+      } else {
+        console.warn(
+          `Discarding stored value for '${key}'. Stored version ${envelope.version} doesn't match version ${version} and no migrate function was provided.`
+        );
+        return;
+      }
+    } catch (error) {
+      console.warn(`Failed to restore stored value for '${key}'.`, error);
+      return;
+    }
+
+    $$value.set(value);
+
+    if (isMigrated) {
+      // Store the migrated value so it only needs to be migrated once.
+      save(toStored(value));
+    } else {
+      lastStored = raw;
+    }
+  }
+
+  function save(raw: string) {
+    lastStored = raw;
+
+    try {
+      const result = storage!.setItem(key, raw);
+
+      if (result instanceof Promise) {
+        result.catch((error) => {
+          console.warn(`Failed to store value for '${key}'.`, error);
+        });
+      }
+    } catch (error) {
+      // Storage may be full or unavailable (e.g. Safari private browsing).
+      console.warn(`Failed to store value for '${key}'.`, error);
+    }
+  }
+
+  if (storage) {
+    const raw = storage.getItem(key);
+
+    if (raw instanceof Promise) {
+      $$isLoaded.set(false);
+
+      raw
+        .then((raw) => {
+          if (hasChanged) {
+            // Value was set while loading; the newer value wins.
+            save(toStored($$value.get()));
+          } else if (raw != null) {
+            restore(raw);
+          }
+        })
+        .catch((error) => {
+          console.warn(`Failed to read stored value for '${key}'.`, error);
+        })
+        .finally(() => {
+          $$isLoaded.set(true);
+        });
+    } else if (raw != null) {
+      restore(raw);
+    }
+
+    let isInitialValue = true;
+
+    // Persisted values live as long as the page, so these are never stopped.
+    $$value[OBSERVE]((value) => {
+      if (isInitialValue) return;
+
+      const raw = toStored(value);
+
+      if (raw === lastStored) return;
+
+      if ($$isLoaded.get()) {
+        save(raw);
+      } else {
+        hasChanged = true;
+      }
+    });
+
+    isInitialValue = false;
+
+    storage.subscribe?.(key, restore);
+  }
+
+  return Object.assign($$value, { $isLoaded: readable($$isLoaded) });
+}
+
+function getPersistedStorage(storage: "local" | "session" | PersistedStorage): PersistedStorage | undefined {
+  if (storage === "local" || storage === "session") {
+    // Not available outside the browser, in which case the value is just not persisted.
+    if (typeof window === "undefined") {
+      return;
+    }
+
+    return webStorage(storage === "local" ? window.localStorage : window.sessionStorage);
+  }
+
+  if (storage == null || typeof storage.getItem !== "function" || typeof storage.setItem !== "function") {
+    throw new TypeError(
+      `Expected storage to be "local", "session" or an object with getItem and setItem methods. Got: ${storage}`
+    );
+  }
+
+  return storage;
+}
+
+/**
+ * Wraps a Web Storage object like `localStorage` for use with `persisted()`.
+ * Changes made in other tabs are received through the window's `storage` event.
+ */
+function webStorage(storage: Storage): PersistedStorage {
+  return {
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    subscribe(key, callback) {
+      const listener = (e: StorageEvent) => {
+        if (e.storageArea === storage && e.key === key) {
+          callback(e.newValue);
+        }
+      };
+
+      window.addEventListener("storage", listener);
+
+      return function stop() {
+        window.removeEventListener("storage", listener);
+      };
+    },
+  };
+}
+
+interface IndexedDBStorageOptions {
+  /**
+   * Name of the database. Defaults to `"borf"`.
+   */
+  database?: string;
+
+  /**
+   * Name of the object store within the database. Defaults to `"persisted"`.
+   */
+  store?: string;
+}
+
+/**
+ * Returns an asynchronous storage backed by IndexedDB for use with `persisted()`.
+ * Changes are shared with other tabs through a BroadcastChannel.
+ */
+export function indexedDBStorage(options: IndexedDBStorageOptions = {}): PersistedStorage {
+  const databaseName = options.database ?? "borf";
+  const storeName = options.store ?? "persisted";
+
+  let database: Promise<IDBDatabase> | undefined;
+  let channel: BroadcastChannel | undefined;
+
+  function getDatabase() {
+    if (!database) {
+      database = openDatabase().catch((error) => {
+        database = undefined;
+        throw error;
+      });
+    }
+
+    return database;
+  }
+
+  /**
+   * Opens the database, upgrading it to the next version if it exists without this storage's object store.
+   */
+  function openDatabase(version?: number): Promise<IDBDatabase> {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName, version);
+
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+
+        // Object stores can only be created during an upgrade, so a database made for another store needs a new version.
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.close();
+          openDatabase(db.version + 1).then(resolve, reject);
+          return;
+        }
+
+        // Let other storages sharing this database upgrade it. The next transaction opens it again.
+        db.onversionchange = () => {
+          db.close();
+          database = undefined;
+        };
+
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        // Another tab upgraded the database past `version` first. Its current version may already have the store.
+        if (version != null && request.error?.name === "VersionError") {
+          openDatabase().then(resolve, reject);
+        } else {
+          reject(request.error);
+        }
+      };
+    });
+  }
+
+  function getChannel() {
+    if (!channel && typeof BroadcastChannel !== "undefined") {
+      channel = new BroadcastChannel(`borf:${databaseName}/${storeName}`);
+    }
+
+    return channel;
+  }
+
+  async function transact<R>(mode: IDBTransactionMode, callback: (store: IDBObjectStore) => IDBRequest<R>) {
+    const db = await getDatabase();
+
+    return new Promise<R>((resolve, reject) => {
+      const request = callback(db.transaction(storeName, mode).objectStore(storeName));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return {
+    async getItem(key) {
+      const value = await transact("readonly", (store) => store.get(key));
+      return value ?? null;
+    },
+
+    async setItem(key, value) {
+      await transact("readwrite", (store) => store.put(value, key));
+      getChannel()?.postMessage({ key, value });
+    },
+
+    subscribe(key, callback) {
+      const channel = getChannel();
+
+      if (!channel) {
+        return function stop() {};
+      }
+
+      const listener = (e: MessageEvent) => {
+        if (e.data?.key === key) {
+          callback(e.data.value);
+        }
+      };
+
+      channel.addEventListener("message", listener);
+
+      return function stop() {
+        channel.removeEventListener("message", listener);
+      };
+    },
+  };
 }
 
 /*==============================*\
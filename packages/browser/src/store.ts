@@ -1,7 +1,14 @@
 import { isObject, typeOf } from "@borf/bedrock";
 import { type AppContext, type ElementContext } from "./app.js";
 import { type DebugChannel } from "./classes/DebugHub.js";
-import { Readable, observe, type ReadableValues } from "./state.js";
+import {
+  Readable,
+  getActiveObservers,
+  observe,
+  runWithOwner,
+  type ObserverOwner,
+  type ReadableValues,
+} from "./state.js";
 import type { BuiltInStores } from "./types.js";
 
 /*=====================================*\
@@ -38,6 +45,7 @@ export interface StoreContext<Options = any> extends DebugChannel {
 
   /**
    * Takes an Error object, unmounts the app and displays its crash page.
+   * Stores scoped inside an ErrorBoundary make the boundary show its fallback instead.
    */
   crash(error: Error): void;
 
@@ -105,6 +113,17 @@ export function initStore<O>(config: StoreConfig<O>) {
   const connectedCallbacks: (() => any)[] = [];
   const disconnectedCallbacks: (() => any)[] = [];
 
+  // Observers created while this store's function and lifecycle hooks run are attributed to it in development mode.
+  const owner: ObserverOwner = {
+    type: "store",
+    get name() {
+      return ctx.name;
+    },
+    get isConnected() {
+      return isConnected;
+    },
+  };
+
   const ctx: Omit<StoreContext, keyof DebugChannel> = {
     name: config.store.name ?? "anonymous",
     options: config.options,
@@ -158,7 +177,9 @@ export function initStore<O>(config: StoreConfig<O>) {
     },
 
     crash(error: Error) {
-      config.appContext.crashCollector.crash({ error, componentName: ctx.name });
+      if (!elementContext.errorBoundary?.catch(error, ctx.name)) {
+        appContext.crashCollector.crash({ error, componentName: ctx.name });
+      }
     },
 
     observe(readables: any, callback: any) {
@@ -209,43 +230,65 @@ export function initStore<O>(config: StoreConfig<O>) {
     setup() {
       let result: unknown;
 
+      const fail = (error: Error) => {
+        // A scoped store inside an ErrorBoundary throws so the view setting it up fails and the boundary takes over.
+        if (elementContext.errorBoundary) {
+          throw error;
+        }
+        appContext.crashCollector.crash({ error, componentName: ctx.name });
+      };
+
       try {
-        result = config.store(ctx as StoreContext<O>);
+        result = runWithOwner(owner, () => config.store(ctx as StoreContext<O>));
       } catch (error) {
         if (error instanceof Error) {
-          appContext.crashCollector.crash({ error, componentName: ctx.name });
+          fail(error);
         } else {
           throw error;
         }
       }
 
       if (result instanceof Promise) {
-        appContext.crashCollector.crash({
-          error: new TypeError(`Store function cannot return a Promise`),
-          componentName: ctx.name,
-        });
+        fail(new TypeError(`Store function cannot return a Promise`));
       }
 
       if (!isObject(result)) {
-        const error = new TypeError(`Expected ${ctx.name} function to return an object. Got: ${typeOf(result)}`);
-        appContext.crashCollector.crash({ error, componentName: ctx.name });
+        fail(new TypeError(`Expected ${ctx.name} function to return an object. Got: ${typeOf(result)}`));
       }
 
       exports = result;
     },
 
     connect() {
+      isConnected = true;
+
       while (connectedCallbacks.length > 0) {
         const callback = connectedCallbacks.shift()!;
-        callback();
+        runWithOwner(owner, callback);
       }
     },
 
     disconnect() {
+      isConnected = false;
+
       while (disconnectedCallbacks.length > 0) {
         const callback = disconnectedCallbacks.shift()!;
         callback();
       }
+
+      while (stopObserverCallbacks.length > 0) {
+        const callback = stopObserverCallbacks.shift()!;
+        callback();
+      }
+
+      if (appContext.mode === "development") {
+        for (const observer of getActiveObservers(owner)) {
+          debugChannel.warn(
+            `An observer created by this store is still active after it disconnected. Call the stop function returned by observe() or use ctx.observe() instead.`,
+            observer.stack
+          );
+        }
+      }
     },
   };
 }
@@ -1,9 +1,36 @@
-import { isFunction, isString, joinPath, matchRoutes, parseQueryParams, resolvePath, type Route } from "@borf/bedrock";
-import { createBrowserHistory, createHashHistory, type History, type Listener } from "history";
+import {
+  FragTypes,
+  isFunction,
+  isObject,
+  isString,
+  joinPath,
+  matchRoutes,
+  patternToFragments,
+  resolvePath,
+  typeOf,
+  type Route,
+  type RouteMatch,
+} from "@borf/bedrock";
+import {
+  Action,
+  createBrowserHistory,
+  createHashHistory,
+  parsePath,
+  type History,
+  type Listener,
+  type Location,
+} from "history";
+import { type AppContext } from "../app.js";
+import { isLazyView } from "../lazy.js";
 import { type Stringable } from "../types.js";
-import { getRenderHandle, renderMarkupToDOM, type DOMHandle, type Markup } from "../markup.js";
-import { readable, writable } from "../state.js";
+import { getRenderHandle, m, renderMarkupToDOM, type DOMHandle, type Markup } from "../markup.js";
+import { parseQuery, stringifyQuery, type ParsedQuery, type QuerySchema } from "../query.js";
+import { createScrollManager, type RouterScrollOptions, type ScrollManager } from "../scroll.js";
+import { readable, writable, type StopFunction, type Writable } from "../state.js";
 import { getStoreSecrets, type StoreContext } from "../store.js";
+import { isLeaving } from "../transitions.js";
+import { deepEqual } from "../utils.js";
+import { type View } from "../view.js";
 
 // ----- Types ----- //
 
@@ -19,12 +46,25 @@ export interface RouterOptions {
    * @see https://www.npmjs.com/package/history
    */
   history?: History;
+
+  /**
+   * Convert query values that look like numbers and booleans into numbers and booleans.
+   * Values with leading zeros, like zip codes, are kept as strings either way. Defaults to true.
+   */
+  coerceQuery?: boolean;
+
+  /**
+   * Scroll to the top of the page when navigating to a new page, to the element a URL's `#hash` points to,
+   * and back to where the page was when using the back and forward buttons. Pass false to leave scrolling to the browser.
+   * Defaults to true.
+   */
+  scroll?: boolean | RouterScrollOptions;
 }
 
 export interface RouteConfig {
   pattern: string;
   meta: {
-    redirect?: string | ((ctx: RedirectContext) => void);
+    redirect?: string | RedirectFunction;
     pattern?: string;
     layers?: RouteLayer[];
   };
@@ -33,8 +73,107 @@ export interface RouteConfig {
 export interface RouteLayer {
   id: number;
   markup: Markup;
+  options?: RouteOptions;
 }
 
+/**
+ * Returned by a guard. `true` or nothing lets the navigation continue, `false` cancels it
+ * and a path redirects to that path instead.
+ */
+export type GuardResult = boolean | string | void;
+
+/**
+ * Guards and a loader for a route, passed to `app.route()`.
+ * Guards and loaders of a route with subroutes apply to all of them.
+ */
+export interface RouteOptions<D = unknown, P extends string = string> {
+  /**
+   * Name to build links to the route with, using `router.href` or `<Link>`. Must be unique within the app.
+   */
+  name?: string;
+
+  /**
+   * Runs before the route is shown, when navigating to it from a URL outside of it.
+   */
+  beforeEnter?: (ctx: NavigationContext<P>) => GuardResult | Promise<GuardResult>;
+
+  /**
+   * Runs before navigating from the route to a URL outside of it.
+   */
+  beforeLeave?: (ctx: NavigationContext<P>) => GuardResult | Promise<GuardResult>;
+
+  /**
+   * Loads data for the route's view, which receives it as a `$data` Readable. The view isn't shown until this resolves.
+   * Runs again whenever the path changes while the route is shown, and `$data` updates when it resolves.
+   */
+  load?: (ctx: NavigationContext<P>) => D | Promise<D>;
+
+  /**
+   * Types to parse the route's query params with, by key. Wrap a type in an array to always get an array.
+   *
+   * @example
+   * { page: Number, tags: [String], zip: String }
+   */
+  query?: QuerySchema;
+}
+
+/**
+ * Properties passed to route guards and loaders.
+ */
+export interface NavigationContext<P extends string = string> extends Omit<RedirectContext, "params"> {
+  /**
+   * Named route params parsed from `path`.
+   */
+  params: string extends P ? RedirectContext["params"] : PatternParams<P>;
+
+  /**
+   * The path being navigated away from, or null on the first navigation.
+   */
+  from: string | null;
+
+  /**
+   * Aborted when another navigation starts before this one is done. Pass it to `fetch` to cancel requests that are no longer needed.
+   */
+  signal: AbortSignal;
+}
+
+/**
+ * Passed to `router.onNavigate` callbacks as a navigation goes through its stages.
+ */
+export interface NavigationEvent {
+  /**
+   * `start` when guards and loaders begin to run, then one of `end` once the new route is shown,
+   * `redirect` when the navigation was sent elsewhere, `cancel` when a guard or a newer navigation stopped it,
+   * or `error` when a guard or loader threw.
+   */
+  type: "start" | "end" | "redirect" | "cancel" | "error";
+
+  /**
+   * The path being navigated to.
+   */
+  path: string;
+
+  /**
+   * The path being navigated away from, or null on the first navigation.
+   */
+  from: string | null;
+
+  /**
+   * The path a `redirect` navigation was sent to.
+   */
+  redirect?: string;
+
+  /**
+   * The error thrown by a guard or loader.
+   */
+  error?: Error;
+}
+
+/**
+ * Returns the path to redirect to, or a Promise that resolves to it. Relative paths are resolved against the matched path.
+ */
+export type RedirectFunction = (ctx: RedirectContext) => string | Promise<string>;
+
 /**
  * Properties passed to a redirect function.
  */
@@ -57,7 +196,58 @@ export interface RedirectContext {
   /**
    * Query params parsed from `path`.
    */
-  query: Record<string, string | number | boolean | undefined>;
+  query: ParsedQuery;
+}
+
+/**
+ * The params of a route pattern, by name. `{#numeric}` params are numbers and `{generic}` params are strings or numbers.
+ *
+ * @example
+ * PatternParams<"/users/{#id}/posts/{slug}"> // { id: number } & { slug: string | number }
+ */
+export type PatternParams<P extends string> = P extends `${string}{${infer Param}}${infer Rest}`
+  ? (Param extends `#${infer Name}` ? { [K in Name]: number } : { [K in Param]: string | number }) & PatternParams<Rest>
+  : P extends `${string}*`
+  ? { wildcard?: string }
+  : {};
+
+/**
+ * Names of the app's named routes, each mapped to its pattern. Add your routes to this interface
+ * to have TypeScript check the names and params passed to `router.href` and `<Link>`.
+ *
+ * @example
+ * declare module "@borf/browser" {
+ *   interface RouteNames {
+ *     user: "/users/{#id}";
+ *   }
+ * }
+ */
+export interface RouteNames {}
+
+/**
+ * A route name from `RouteNames`, or any string when no names have been added to it.
+ */
+export type RouteName = keyof RouteNames extends never ? string : Extract<keyof RouteNames, string>;
+
+/**
+ * The params of the route named `N`.
+ */
+export type RouteParams<N extends string> = N extends keyof RouteNames
+  ? RouteNames[N] extends string
+    ? PatternParams<RouteNames[N]>
+    : never
+  : Record<string, Stringable>;
+
+export interface HrefOptions {
+  /**
+   * Query params to add to the URL. Arrays add the key once for each item, and null or undefined values are left out.
+   */
+  query?: Record<string, unknown>;
+
+  /**
+   * Fragment to add to the end of the URL, with or without the `#`.
+   */
+  hash?: string;
 }
 
 /**
@@ -66,14 +256,24 @@ export interface RedirectContext {
 interface ActiveLayer {
   id: number;
   handle: DOMHandle;
+  options?: RouteOptions;
 }
 
+/**
+ * The outcome of running a navigation's guards and loaders.
+ */
+type Navigation = { id: number; path: string; from: string | null } & (
+  | { type: "render"; matched: RouteMatch<RouteConfig["meta"]>; data: Map<number, unknown>; query: ParsedQuery }
+  | { type: "unmatched" }
+  | { type: "redirect"; redirect: string }
+  | { type: "cancel"; error?: Error }
+  | { type: "superseded" }
+);
+
 interface ParsedParams {
   [key: string]: string | number | boolean | (string | number | boolean | null)[] | null;
 }
 
-interface ParsedQuery extends ParsedParams {}
-
 interface NavigateOptions {
   /**
    * Replace the current item in the history stack instead of adding a new one.
@@ -87,6 +287,11 @@ interface RouterStoreOptions extends RouterOptions {
    * An instance of Router with the app's routes preloaded.
    */
   routes: Route<RouteConfig["meta"]>[];
+
+  /**
+   * Patterns of the routes registered with a `name`, by name.
+   */
+  names?: Record<string, string>;
 }
 
 // ----- Code ----- //
@@ -107,167 +312,605 @@ export function RouterStore(ctx: StoreContext<RouterStoreOptions>) {
   }
 
   // Test redirects to make sure all possible redirect targets actually exist.
+  // Redirect functions can only be checked when they run.
   for (const route of ctx.options.routes) {
-    if (route.meta.redirect) {
-      let redirectPath: string;
+    const { redirect } = route.meta;
 
-      if (isFunction(route.meta.redirect)) {
-        throw new Error(`Redirect functions are not yet supported.`);
-      } else if (isString(route.meta.redirect)) {
-        redirectPath = route.meta.redirect;
-      } else {
-        throw new TypeError(`Expected a string or redirect function. Got: ${route.meta.redirect}`);
-      }
+    if (redirect == null || isFunction(redirect)) {
+      continue;
+    }
 
-      const match = matchRoutes(ctx.options.routes, redirectPath, {
-        willMatch(r) {
-          return r !== route;
-        },
-      });
+    if (!isString(redirect)) {
+      throw new TypeError(`Expected a redirect path or function. Got type: ${typeOf(redirect)}, value: ${redirect}`);
+    }
+
+    const names = route.fragments
+      .filter((fragment) => fragment.type === FragTypes.Param || fragment.type === FragTypes.NumericParam)
+      .map((fragment) => fragment.name);
 
-      if (!match) {
-        throw new Error(`Found a redirect to an undefined URL. From '${route.pattern}' to '${route.meta.redirect}'`);
+    for (const [placeholder, name] of redirect.matchAll(paramPlaceholder)) {
+      if (!names.includes(name)) {
+        throw new Error(
+          `Redirect from '${route.pattern}' to '${redirect}' uses ${placeholder}, which isn't a param of '${route.pattern}'.`
+        );
       }
     }
+
+    // Any value fits a param, so a number stands in for each one.
+    const match = matchRoutes(ctx.options.routes, redirect.replace(paramPlaceholder, "1"), {
+      willMatch(r) {
+        return r !== route;
+      },
+    });
+
+    if (!match) {
+      throw new Error(`Found a redirect to an undefined URL. From '${route.pattern}' to '${redirect}'`);
+    }
   }
 
   const $$pattern = writable<string | null>(null);
   const $$path = writable("");
   const $$params = writable<ParsedParams>({});
   const $$query = writable<ParsedQuery>({});
+  const $$navigating = writable(false);
 
-  // Track and skip updating the URL when the change came from URL navigation
-  let isRouteChange = false;
+  const navigateCallbacks = new Set<(event: NavigationEvent) => void>();
 
   // Update URL when query changes
   ctx.observe($$query, (current) => {
-    // No-op if this is triggered by a route change.
-    if (isRouteChange) {
-      isRouteChange = false;
+    // No-op until the query has been read from the initial URL, and when the change came from the URL.
+    if (urlQuery === undefined || deepEqual(current, urlQuery)) {
       return;
     }
 
-    const params = new URLSearchParams();
-
-    for (const key in current) {
-      params.set(key, String(current[key]));
-    }
+    const search = stringifyQuery(current);
 
     history.replace({
       pathname: history.location.pathname,
-      search: "?" + params.toString(),
+      search: search ? "?" + search : "",
+      hash: history.location.hash,
     });
   });
 
   ctx.onConnected(() => {
+    // There's nothing to scroll when rendering on the server.
+    if (appContext.rootElement && ctx.options.scroll !== false) {
+      scroll = createScrollManager(isObject(ctx.options.scroll) ? ctx.options.scroll : {});
+      appContext.scroll = scroll;
+    }
+
     history.listen(onRouteChange);
     onRouteChange(history);
 
-    catchLinks(appContext.rootElement!, (anchor) => {
-      let href = anchor.getAttribute("href")!;
+    // There are no links to catch when rendering on the server.
+    if (appContext.rootElement) {
+      catchLinks(appContext.rootElement, (anchor) => {
+        go(getLinkPath(anchor)).catch(fail);
+      });
 
-      if (!/^https?:\/\/|^\//.test(href)) {
-        href = joinPath([history.location.pathname, href]);
-      }
+      // Start loading lazy views as soon as it looks like a link is about to be followed.
+      watchLinks(appContext.rootElement, (anchor) => {
+        prefetch(getLinkPath(anchor));
+      });
+    }
+  });
 
-      history.push(href);
-    });
+  ctx.onDisconnected(() => {
+    scroll?.disconnect();
+    appContext.scroll = undefined;
   });
 
+  /**
+   * Returns the path to navigate to when `anchor` is clicked.
+   */
+  function getLinkPath(anchor: HTMLAnchorElement) {
+    let href = anchor.getAttribute("href")!;
+
+    if (href.startsWith("#")) {
+      // Links to an anchor on the current page keep its path and query.
+      href = history.location.pathname + history.location.search + href;
+    } else if (!/^https?:\/\/|^\//.test(href)) {
+      href = joinPath([history.location.pathname, href]);
+    }
+
+    return href;
+  }
+
+  /**
+   * Starts loading the lazy views of the route that matches `path` so they're ready when it's navigated to.
+   */
+  function prefetch(path: string) {
+    const matched = matchRoutes(ctx.options.routes, resolvePath(history.location.pathname, path).split(/[?#]/)[0]);
+
+    for (const layer of matched?.meta.layers ?? []) {
+      if (isLazyView(layer.markup.type)) {
+        // A chunk that fails to load here is loaded again when the route is rendered, which reports the error.
+        layer.markup.type.preload().catch(() => {});
+      }
+    }
+  }
+
   let activeLayers: ActiveLayer[] = [];
-  let lastQuery: string;
+
+  // The query as last read from the URL. Changes to `$$query` that differ from it are written to the URL.
+  let urlQuery: ParsedQuery | undefined;
+
+  // The path and full URL of the location the router is showing. Cancelled navigations go back to `activeURL`.
+  let activePath: string | null = null;
+  let activeURL: string | undefined;
+
+  // The key of the history entry the router is showing, which its scroll positions are saved under.
+  let activeKey: string | undefined;
+  let scroll: ScrollManager | undefined;
+
+  // The data returned by the `load` function of each active layer, by layer ID.
+  const layerData = new Map<number, Writable<unknown>>();
+
+  // Navigations started by `navigate` or a link are approved before their URL is pushed, so they aren't run twice.
+  let approved: Navigation | undefined;
+
+  // Set while the URL of a cancelled navigation is put back, which doesn't need to be handled again.
+  let isReverting = false;
+
+  let navigationId = 0;
+  let controller: AbortController | undefined;
+
+  // Paths of the redirects leading up to the current navigation, to stop redirects that go around in circles.
+  let redirectChain: string[] = [];
 
   /**
-   * Run when the location changes. Diffs and mounts new routes and updates
+   * Run when the location changes. Runs guards and loaders, then diffs and mounts new routes and updates
    * the $path, $route, $params and $query states accordingly.
    */
-  const onRouteChange: Listener = async ({ location }) => {
-    // Update query params if they've changed.
-    if (location.search !== lastQuery) {
-      lastQuery = location.search;
+  const onRouteChange: Listener = ({ action, location }) => {
+    // The page still shows the entry being left, so its scroll positions can be saved.
+    if (activeKey !== undefined) {
+      scroll?.save(activeKey);
+    }
 
-      isRouteChange = true;
-      $$query.set(parseQueryParams(location.search));
+    // Server rendering and hydration wait for this before using the matched layers.
+    appContext.navigation = handleLocation(action, location).catch(fail);
+  };
+
+  async function handleLocation(action: Action, location: Location) {
+    if (isReverting) {
+      isReverting = false;
+      return;
+    }
+
+    let navigation = approved;
+    approved = undefined;
+
+    if (!navigation) {
+      navigation = await prepare(location.pathname + location.search);
     }
 
-    const matched = matchRoutes(ctx.options.routes, location.pathname);
+    switch (navigation.type) {
+      case "render":
+        commit(action, location, navigation);
+        break;
+      case "unmatched": {
+        const from = activePath;
+
+        updateQuery(parseQuery(location.search, { coerce: ctx.options.coerceQuery }));
+        activePath = location.pathname;
+        activeURL = location.pathname + location.search;
+
+        $$pattern.set(null);
+        $$path.set(location.pathname);
+        $$params.set({
+          wildcard: location.pathname,
+        });
+
+        updateScroll(action, location, from);
+        break;
+      }
+      case "redirect":
+        // Settled first so the redirect's own navigation starts after this one ends.
+        settle(navigation);
+        ctx.info(`Redirecting to: '${navigation.redirect}'`);
+        history.replace(navigation.redirect);
+        return;
+      case "cancel":
+        revert(action);
+        break;
+    }
+
+    settle(navigation);
+  }
+
+  /**
+   * Matches `url` and runs the guards and loaders of the layers it enters and leaves.
+   * Resolves to what should happen next.
+   */
+  async function prepare(url: string): Promise<Navigation> {
+    const id = ++navigationId;
+
+    // Loaders of the navigation this one replaces can stop what they're doing.
+    controller?.abort();
+    controller = new AbortController();
+
+    const { pathname = "/", search = "" } = parsePath(url);
+    const matched = matchRoutes(ctx.options.routes, pathname);
+    const from = activePath;
+    const base = { id, path: matched?.path ?? pathname, from };
+
+    $$navigating.set(true);
+    emit({ type: "start", path: base.path, from });
 
     if (!matched) {
-      $$pattern.set(null);
-      $$path.set(location.pathname);
-      $$params.set({
-        wildcard: location.pathname,
-      });
-      return;
+      return { ...base, type: "unmatched" };
     }
 
     ctx.info(`Matched route: '${matched.pattern}'`);
 
-    if (matched.meta.redirect != null) {
-      if (typeof matched.meta.redirect === "string") {
-        let path = matched.meta.redirect;
+    const layers = matched.meta.layers ?? [];
+    const index = getChangedIndex(layers);
+    // Leave guards run from the innermost layer out, then enter guards from the outermost layer in.
+    const guards = [
+      ...activeLayers
+        .slice(index)
+        .reverse()
+        .map((layer) => layer.options?.beforeLeave),
+      ...layers.slice(index).map((layer) => layer.options?.beforeEnter),
+    ];
+
+    try {
+      // Parsed in here so a schema type that throws cancels the navigation like a failing guard would.
+      const context: NavigationContext = {
+        path: matched.path,
+        pattern: matched.pattern,
+        params: matched.params,
+        query: parseQuery(search, { coerce: ctx.options.coerceQuery, schema: getQuerySchema(layers) }),
+        from,
+        signal: controller.signal,
+      };
+
+      if (matched.meta.redirect != null) {
+        const redirect = await getRedirectPath(matched, parseQuery(search, { coerce: ctx.options.coerceQuery }));
+
+        if (id !== navigationId) {
+          return { ...base, type: "superseded" };
+        }
+
+        return { ...base, type: "redirect", redirect: checkRedirect(base.path, redirect) };
+      }
+
+      for (const guard of guards) {
+        if (!guard) continue;
+
+        const result = await guard(context);
+
+        if (id !== navigationId) {
+          return { ...base, type: "superseded" };
+        }
+
+        if (result === false) {
+          ctx.info(`Navigation to '${matched.path}' was cancelled by a guard.`);
+          return { ...base, type: "cancel" };
+        }
 
-        for (const key in matched.params) {
-          path = path.replace(":" + key, matched.params[key].toString());
+        if (isString(result)) {
+          return { ...base, type: "redirect", redirect: checkRedirect(base.path, resolvePath(pathname, result)) };
         }
+      }
 
-        // TODO: Update this code to work with new `{param}` style. Looks like it's still for `:params`
+      // Layers that stay load again when the path changes, since the params they loaded with may have too.
+      const loading = layers.filter((layer, i) => layer.options?.load && (i >= index || matched.path !== activePath));
+      const data = new Map<number, unknown>();
 
-        ctx.info(`Redirecting to: '${path}'`);
-        history.replace(path);
-      } else if (typeof matched.meta.redirect === "function") {
-        // TODO: Implement redirect by function.
-        throw new Error(`Redirect functions aren't implemented yet.`);
-      } else {
-        throw new TypeError(`Redirect must either be a path string or a function.`);
+      await Promise.all(
+        loading.map(async (layer) => {
+          data.set(layer.id, await layer.options!.load!(context));
+        })
+      );
+
+      if (id !== navigationId) {
+        return { ...base, type: "superseded" };
       }
-    } else {
-      $$path.set(matched.path);
-      $$params.set(matched.params);
 
-      if (matched.pattern !== $$pattern.get()) {
-        $$pattern.set(matched.pattern);
+      return { ...base, type: "render", matched, data, query: context.query };
+    } catch (error) {
+      if (id !== navigationId) {
+        return { ...base, type: "superseded" };
+      }
+
+      report(error);
+      return { ...base, type: "cancel", error: error as Error };
+    }
+  }
+
+  /**
+   * Shows the route of a navigation whose guards and loaders have finished.
+   */
+  function commit(action: Action, location: Location, navigation: Navigation & { type: "render" }) {
+    const { matched, data, query } = navigation;
+    const layers = matched.meta.layers!;
+    const index = getChangedIndex(layers);
+    const from = activePath;
+
+    updateQuery(query);
+    activePath = matched.path;
+    activeURL = location.pathname + location.search;
+
+    $$path.set(matched.path);
+    $$params.set(matched.params);
+    $$pattern.set(matched.pattern);
+
+    const leaving = activeLayers.slice(index);
+
+    for (const layer of leaving) {
+      layerData.delete(layer.id);
+    }
+
+    // Layers that stay get their new data. Layers that are entered get theirs as a prop.
+    for (const [id, value] of data) {
+      if (layerData.has(id)) {
+        layerData.get(id)!.set(value);
+      } else {
+        layerData.set(id, writable(value));
+      }
+    }
 
-        const layers = matched.meta.layers!;
+    // The server renders matched layers to HTML itself.
+    if (appContext.server) {
+      appContext.server.layers = layers.map((layer) => ({ ...layer, markup: getLayerMarkup(layer) }));
+      return;
+    }
 
-        // Diff and update route layers.
-        for (let i = 0; i < layers.length; i++) {
-          const matchedLayer = layers[i];
-          const activeLayer = activeLayers[i];
+    activeLayers = activeLayers.slice(0, index);
 
-          if (activeLayer?.id !== matchedLayer.id) {
-            ctx.info(`Replacing layer ${i} (active ID: ${activeLayer?.id}, matched ID: ${matchedLayer.id})`);
-            activeLayers = activeLayers.slice(0, i);
+    // Diff and update route layers.
+    for (let i = index; i < layers.length; i++) {
+      const matchedLayer = layers[i];
+      const activeLayer = leaving[i - index];
 
-            const parentLayer = activeLayers[activeLayers.length - 1];
-            const renderContext = { appContext, elementContext };
+      ctx.info(`Replacing layer ${i} (active ID: ${activeLayer?.id}, matched ID: ${matchedLayer.id})`);
 
-            const rendered = renderMarkupToDOM(matchedLayer.markup, renderContext);
-            const handle = getRenderHandle(rendered);
+      const parentLayer = activeLayers[activeLayers.length - 1];
+      const renderContext = { appContext, elementContext };
 
-            requestAnimationFrame(() => {
-              if (activeLayer && activeLayer.handle.connected) {
-                // Disconnect first mismatched active layer.
-                activeLayer.handle.disconnect();
-              }
+      const rendered = renderMarkupToDOM(getLayerMarkup(matchedLayer), renderContext);
+      const handle = getRenderHandle(rendered);
 
-              if (parentLayer) {
-                parentLayer.handle.setChildren(rendered);
-              } else {
-                appContext.rootView!.setChildren(rendered);
-              }
-            });
+      requestAnimationFrame(() => {
+        if (parentLayer) {
+          parentLayer.handle.setChildren(rendered);
+        } else {
+          appContext.rootView!.setChildren(rendered);
+        }
 
-            // Push and connect new active layer.
-            activeLayers.push({ id: matchedLayer.id, handle });
-          }
+        // The outlet showing the first mismatched active layer removes it, after its leave transition if it has one.
+        // Disconnect it here if it's still connected some other way.
+        if (activeLayer && activeLayer.handle.connected && !isLeaving(activeLayer.handle)) {
+          activeLayer.handle.disconnect();
         }
+      });
+
+      // Push and connect new active layer.
+      activeLayers.push({ id: matchedLayer.id, handle, options: matchedLayer.options });
+    }
+
+    // Clear the outlet of the innermost layer that stays when the new route has fewer layers.
+    if (index === layers.length && leaving.length > 0) {
+      const parentLayer = activeLayers[activeLayers.length - 1];
+
+      requestAnimationFrame(() => {
+        (parentLayer?.handle ?? appContext.rootView!).setChildren([]);
+      });
+    }
+
+    updateScroll(action, location, from);
+  }
+
+  /**
+   * Scrolls to where the page should be after showing `location`, once its layers are in the document.
+   * Back and forward go to the saved position, then a `#hash` goes to its element, and otherwise a new page starts at the top.
+   */
+  function updateScroll(action: Action, location: Location, from: string | null) {
+    activeKey = location.key;
+
+    if (!scroll) return;
+
+    const manager = scroll;
+
+    // The first page stays where the browser put it, and replacing the URL without changing the path,
+    // like when `$$query` changes, doesn't scroll at all.
+    const toTop = from !== null && (action === Action.Push || from !== activePath);
+
+    // Waits for the new layers to connect and for lazy and suspended content in them to load,
+    // so there's something to scroll to.
+    manager.schedule(() => {
+      if (action === Action.Pop && manager.restore(location.key)) return;
+      if (location.hash && manager.scrollToHash(location.hash)) return;
+
+      if (toTop) {
+        manager.scrollToTop();
       }
+    });
+  }
+
+  /**
+   * Returns the markup for `layer`, with the data its loader returned as the `$data` prop.
+   */
+  function getLayerMarkup(layer: RouteLayer) {
+    const $$data = layerData.get(layer.id);
+
+    if (!$$data) {
+      return layer.markup;
     }
-  };
 
-  function navigate(path: Stringable, options?: NavigateOptions): void;
-  function navigate(fragments: Stringable[], options?: NavigateOptions): void;
+    return m(layer.markup.type as View<any>, { ...layer.markup.props, $data: readable($$data) });
+  }
+
+  /**
+   * Returns the query schemas of `layers` combined. Inner layers take precedence for keys in more than one.
+   */
+  function getQuerySchema(layers: RouteLayer[]): QuerySchema {
+    return Object.assign({}, ...layers.map((layer) => layer.options?.query));
+  }
+
+  /**
+   * Returns the index of the first of `layers` that isn't already active.
+   */
+  function getChangedIndex(layers: RouteLayer[]) {
+    const index = layers.findIndex((layer, i) => activeLayers[i]?.id !== layer.id);
+    return index === -1 ? layers.length : index;
+  }
+
+  /**
+   * Returns the path a redirect route sends `matched` to.
+   */
+  async function getRedirectPath(matched: RouteMatch<RouteConfig["meta"]>, query: ParsedQuery) {
+    const { redirect } = matched.meta;
+
+    if (isString(redirect)) {
+      return fillParams(redirect, matched.params);
+    }
+
+    if (isFunction(redirect)) {
+      const path = await redirect({ path: matched.path, pattern: matched.pattern, params: matched.params, query });
+
+      if (!isString(path)) {
+        throw new TypeError(
+          `Expected redirect function for '${matched.pattern}' to return a path. Got type: ${typeOf(
+            path
+          )}, value: ${path}`
+        );
+      }
+
+      return resolvePath(matched.path, path);
+    }
+
+    throw new TypeError(`Redirect must either be a path string or a function.`);
+  }
+
+  /**
+   * Throws if redirecting from `path` to `redirect` would lead back to a path this chain of redirects already left.
+   */
+  function checkRedirect(path: string, redirect: string) {
+    const chain = [...redirectChain, path];
+    const target = parsePath(redirect).pathname ?? "/";
+
+    if (chain.includes(target) || chain.length > maxRedirects) {
+      throw new Error(`Redirect loop detected: ${[...chain, target].join(" -> ")}`);
+    }
+
+    return redirect;
+  }
+
+  function updateQuery(query: ParsedQuery) {
+    urlQuery = query;
+    $$query.set(urlQuery);
+  }
+
+  /**
+   * Puts the URL of the active route back after a navigation to a new URL was cancelled.
+   */
+  function revert(action: Action) {
+    // There's nothing to go back to when the first navigation is cancelled.
+    if (activeURL === undefined) return;
+
+    isReverting = true;
+
+    if (action === Action.Push) {
+      history.back();
+    } else if (action === Action.Pop) {
+      history.push(activeURL);
+    } else {
+      history.replace(activeURL);
+    }
+  }
+
+  /**
+   * Ends a navigation and tells `onNavigate` callbacks how it went.
+   */
+  function settle(navigation: Navigation) {
+    if (navigation.id === navigationId) {
+      $$navigating.set(false);
+    }
+
+    const { path, from } = navigation;
+
+    if (navigation.type === "redirect") {
+      redirectChain.push(path);
+    } else {
+      redirectChain = [];
+    }
+
+    switch (navigation.type) {
+      case "render":
+      case "unmatched":
+        emit({ type: "end", path, from });
+        break;
+      case "redirect":
+        emit({ type: "redirect", path, from, redirect: navigation.redirect });
+        break;
+      case "cancel":
+        emit(
+          navigation.error ? { type: "error", path, from, error: navigation.error } : { type: "cancel", path, from }
+        );
+        break;
+      case "superseded":
+        emit({ type: "cancel", path, from });
+        break;
+    }
+  }
+
+  function emit(event: NavigationEvent) {
+    for (const callback of navigateCallbacks) {
+      // A callback that throws shouldn't stop the navigation or keep the others from hearing about it.
+      try {
+        callback(event);
+      } catch (error) {
+        report(error);
+      }
+    }
+  }
+
+  function report(error: unknown) {
+    ctx.error(error);
+    appContext.crashCollector.error({ error: error as Error, componentName: ctx.name });
+  }
+
+  /**
+   * Reports an error from outside guards and loaders and ends the navigation it happened in,
+   * so it resolves instead of rejecting for whoever waits on it.
+   */
+  function fail(error: unknown) {
+    report(error);
+    $$navigating.set(false);
+  }
+
+  /**
+   * Runs the guards and loaders for `path`, then adds it to the history if the navigation goes ahead.
+   */
+  async function go(path: string, replace = false): Promise<void> {
+    const navigation = await prepare(path);
+
+    switch (navigation.type) {
+      case "redirect":
+        settle(navigation);
+        return go(navigation.redirect, replace);
+      case "cancel":
+      case "superseded":
+        settle(navigation);
+        return;
+    }
+
+    approved = navigation;
+
+    if (replace) {
+      history.replace(path);
+    } else {
+      history.push(path);
+    }
+
+    await appContext.navigation;
+  }
+
+  function navigate(path: Stringable, options?: NavigateOptions): Promise<void>;
+  function navigate(fragments: Stringable[], options?: NavigateOptions): Promise<void>;
 
   function navigate(path: Stringable | Stringable[], options: NavigateOptions = {}) {
     let joined: string;
@@ -280,11 +923,7 @@ export function RouterStore(ctx: StoreContext<RouterStoreOptions>) {
 
     joined = resolvePath(history.location.pathname, joined);
 
-    if (options.replace) {
-      history.replace(joined);
-    } else {
-      history.push(joined);
-    }
+    return go(joined, options.replace).catch(fail);
   }
 
   return {
@@ -305,9 +944,15 @@ export function RouterStore(ctx: StoreContext<RouterStoreOptions>) {
 
     /**
      * The current query params. Changes to this object will be reflected in the URL.
+     * Use `$$query.at(key)` for a Writable that only reads and changes a single param.
      */
     $$query,
 
+    /**
+     * True while the guards and loaders of a navigation are running.
+     */
+    $navigating: readable($$navigating),
+
     /**
      * Navigate backward. Pass a number of steps to hit the back button that many times.
      */
@@ -323,7 +968,7 @@ export function RouterStore(ctx: StoreContext<RouterStoreOptions>) {
     },
 
     /**
-     * Navigates to another route.
+     * Navigates to another route. Resolves once the new route is shown or the navigation was cancelled.
      *
      * @example
      * navigate("/login"); // navigate to `/login`
@@ -332,9 +977,153 @@ export function RouterStore(ctx: StoreContext<RouterStoreOptions>) {
      * @param args - One or more path segments optionally followed by an options object.
      */
     navigate,
+
+    /**
+     * Starts loading the lazy views of the route that matches `path`. Links are prefetched automatically when hovered or focused.
+     *
+     * @example
+     * prefetch("/settings");
+     */
+    prefetch,
+
+    /**
+     * Builds the URL of the route registered with `name`, filling its pattern's params with `params`.
+     *
+     * @example
+     * app.route("/users/{#id}", UserView, { name: "user" });
+     *
+     * href("user", { id: 5 }); // "/users/5"
+     * href("user", { id: 5 }, { query: { tab: "posts" } }); // "/users/5?tab=posts"
+     *
+     * @param name - Name of the route, as passed to `app.route()`.
+     * @param params - Values for each of the pattern's params.
+     * @param options - Query params and a hash to add to the URL.
+     */
+    href<N extends RouteName>(name: N, params?: RouteParams<N>, options: HrefOptions = {}) {
+      const pattern = ctx.options.names?.[name];
+
+      if (pattern == null) {
+        throw new Error(`No route is named '${name}'.`);
+      }
+
+      let href = buildPath(pattern, params as Record<string, unknown>);
+
+      if (options.query) {
+        const search = stringifyQuery(options.query);
+
+        if (search) {
+          href += "?" + search;
+        }
+      }
+
+      if (options.hash) {
+        href += "#" + options.hash.replace(/^#/, "");
+      }
+
+      return href;
+    },
+
+    /**
+     * Saves and restores the scroll position of `element` along with the page's when navigating.
+     * `id` identifies the container on every page it appears on. Returns a function that stops.
+     *
+     * @example
+     * const $$main = writable();
+     *
+     * ctx.onConnected(() => {
+     *   ctx.onDisconnected(router.registerScrollContainer("main", $$main.get()));
+     * });
+     *
+     * return <main ref={$$main}>{ctx.outlet()}</main>;
+     */
+    registerScrollContainer(id: string, element: Element): StopFunction {
+      return scroll?.register(id, element) ?? (() => {});
+    },
+
+    /**
+     * Calls `callback` as each navigation starts and ends. Returns a function that stops calling it.
+     *
+     * @example
+     * router.onNavigate((event) => {
+     *   if (event.type === "error") showToast(`Couldn't open ${event.path}`);
+     * });
+     */
+    onNavigate(callback: (event: NavigationEvent) => void) {
+      navigateCallbacks.add(callback);
+
+      return function stop() {
+        navigateCallbacks.delete(callback);
+      };
+    },
   };
 }
 
+/**
+ * Resolves once the router has finished navigating, including the navigations of any redirects along the way.
+ */
+export async function waitForNavigation(appContext: AppContext) {
+  let navigation: Promise<void> | undefined;
+
+  while (appContext.navigation !== navigation) {
+    navigation = appContext.navigation;
+    await navigation;
+  }
+}
+
+// Matches `{param}` and `{#param}` placeholders in a pattern or path.
+const paramPlaceholder = /\{#?([^{}/]+)\}/g;
+
+// The most redirects a single navigation can follow, in case a redirect function keeps making up new paths.
+const maxRedirects = 10;
+
+/**
+ * Builds a path from `pattern` with each of its params filled in from `params`.
+ * A wildcard at the end of the pattern is filled with `params.wildcard`.
+ */
+export function buildPath(pattern: string, params: Record<string, unknown> = {}) {
+  const parts = patternToFragments(pattern).map((fragment) => {
+    if (fragment.type === FragTypes.Literal) {
+      return fragment.name;
+    }
+
+    if (fragment.type === FragTypes.Wildcard) {
+      if (params.wildcard == null) {
+        return "";
+      }
+
+      return String(params.wildcard).replace(/^\//, "").split("/").map(encodeURIComponent).join("/");
+    }
+
+    const value = params[fragment.name];
+
+    if (value == null) {
+      throw new Error(`Expected a value for param '${fragment.name}' of route '${pattern}'.`);
+    }
+
+    if (fragment.type === FragTypes.NumericParam && isNaN(Number(value))) {
+      throw new TypeError(
+        `Expected a number for param '${fragment.name}' of route '${pattern}'. Got type: ${typeOf(
+          value
+        )}, value: ${value}`
+      );
+    }
+
+    return encodeURIComponent(String(value));
+  });
+
+  return "/" + parts.filter((part) => part !== "").join("/");
+}
+
+/**
+ * Fills the `{param}` and `{#param}` placeholders in `path` with values from `params`.
+ */
+export function fillParams(path: string, params: Record<string, unknown>) {
+  return path.replace(paramPlaceholder, (placeholder, name) => {
+    const value = params[name];
+    return value == null ? placeholder : encodeURIComponent(String(value));
+  });
+}
+
 const safeExternalLink = /(noopener|noreferrer) (noopener|noreferrer)/;
 const protocolLink = /^[\w-_]+:/;
 
@@ -348,38 +1137,14 @@ const protocolLink = /^[\w-_]+:/;
  * @param _window - (optional) Override for global window object
  */
 export function catchLinks(root: HTMLElement, callback: (anchor: HTMLAnchorElement) => void, _window = window) {
-  function traverse(node: HTMLElement | null): HTMLAnchorElement | null {
-    if (!node || node === root) {
-      return null;
-    }
-
-    if (node.localName !== "a" || (node as any).href === undefined) {
-      return traverse(node.parentNode as HTMLElement | null);
-    }
-
-    return node as HTMLAnchorElement;
-  }
-
   function handler(e: MouseEvent) {
     if ((e.button && e.button !== 0) || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey || e.defaultPrevented) {
       return;
     }
 
-    const anchor = traverse(e.target as HTMLElement);
+    const anchor = findAnchor(root, e.target as HTMLElement);
 
-    if (!anchor) {
-      return;
-    }
-
-    if (
-      _window.location.protocol !== anchor.protocol ||
-      _window.location.hostname !== anchor.hostname ||
-      _window.location.port !== anchor.port ||
-      anchor.hasAttribute("data-router-ignore") ||
-      anchor.hasAttribute("download") ||
-      (anchor.getAttribute("target") === "_blank" && safeExternalLink.test(anchor.getAttribute("rel")!)) ||
-      protocolLink.test(anchor.getAttribute("href")!)
-    ) {
+    if (!anchor || !isRouterLink(anchor, _window)) {
       return;
     }
 
@@ -393,3 +1158,63 @@ export function catchLinks(root: HTMLElement, callback: (anchor: HTMLAnchorEleme
     root.removeEventListener("click", handler);
   };
 }
+
+/**
+ * Calls `callback` when a link within the root node that would be intercepted by `catchLinks` is hovered or focused.
+ *
+ * @param root - Element under which to watch links
+ * @param callback - Function to call with the hovered or focused link
+ * @param _window - (optional) Override for global window object
+ */
+export function watchLinks(root: HTMLElement, callback: (anchor: HTMLAnchorElement) => void, _window = window) {
+  let lastAnchor: HTMLAnchorElement | null = null;
+
+  function handler(e: Event) {
+    const anchor = findAnchor(root, e.target as HTMLElement);
+
+    // Moving the pointer between elements inside the same link fires again, so only the first one counts.
+    if (anchor && anchor !== lastAnchor && isRouterLink(anchor, _window)) {
+      callback(anchor);
+    }
+
+    lastAnchor = anchor;
+  }
+
+  root.addEventListener("mouseover", handler);
+  root.addEventListener("focusin", handler);
+
+  return function cancel() {
+    root.removeEventListener("mouseover", handler);
+    root.removeEventListener("focusin", handler);
+  };
+}
+
+/**
+ * Returns the nearest anchor element containing `node` below `root`.
+ */
+function findAnchor(root: HTMLElement, node: HTMLElement | null): HTMLAnchorElement | null {
+  if (!node || node === root) {
+    return null;
+  }
+
+  if (node.localName !== "a" || (node as any).href === undefined) {
+    return findAnchor(root, node.parentNode as HTMLElement | null);
+  }
+
+  return node as HTMLAnchorElement;
+}
+
+/**
+ * Returns true if `anchor` links to a page within this app that the router should handle.
+ */
+function isRouterLink(anchor: HTMLAnchorElement, _window: Window) {
+  return !(
+    _window.location.protocol !== anchor.protocol ||
+    _window.location.hostname !== anchor.hostname ||
+    _window.location.port !== anchor.port ||
+    anchor.hasAttribute("data-router-ignore") ||
+    anchor.hasAttribute("download") ||
+    (anchor.getAttribute("target") === "_blank" && safeExternalLink.test(anchor.getAttribute("rel")!)) ||
+    protocolLink.test(anchor.getAttribute("href")!)
+  );
+}
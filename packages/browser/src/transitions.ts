@@ -0,0 +1,346 @@
+import { type AppContext } from "./app.js";
+import { type DOMHandle } from "./markup.js";
+import { spring, type SpringOptions } from "./spring.js";
+import { OBSERVE } from "./state.js";
+
+/**
+ * Animates elements as they are added to, removed from and moved within a `repeat`, `cond` or outlet.
+ * Each hook receives the root element of the item's content; content without a single root element isn't animated.
+ */
+export interface Transition {
+  /**
+   * Runs after an element is added.
+   */
+  enter?: (element: Element) => void | Promise<void>;
+
+  /**
+   * Runs before an element is removed. The element stays in place until the returned promise resolves.
+   */
+  leave?: (element: Element) => void | Promise<void>;
+
+  /**
+   * Runs after an element has moved to a new position. `from` is where it was before.
+   * Apply the difference as a transform and animate it back to zero to make the element glide to its new position.
+   */
+  move?: (element: Element, from: DOMRect) => void | Promise<void>;
+
+  /**
+   * Also play `enter` for the content shown when the `repeat`, `cond` or outlet is first connected. Defaults to false.
+   */
+  appear?: boolean;
+}
+
+/*==================================*\
+||          Transition Hooks          ||
+\*==================================*/
+
+// Every handle playing its leave animation, whichever container it's leaving.
+const leavingHandles = new WeakSet<DOMHandle>();
+
+/**
+ * Returns true while `handle` is playing its leave animation before being disconnected.
+ */
+export function isLeaving(handle: DOMHandle) {
+  return leavingHandles.has(handle);
+}
+
+function getElement(handle: DOMHandle) {
+  const node = handle.node;
+
+  if (node && node.nodeType === Node.ELEMENT_NODE) {
+    return node as Element;
+  }
+}
+
+/**
+ * Runs a transition hook and resolves once it's done. Errors are reported whether the hook throws or its promise
+ * rejects, so a broken animation doesn't keep the element from being added, moved or removed.
+ */
+function runHook(appContext: AppContext, hook: () => void | Promise<void>): Promise<void> {
+  const report = (error: unknown) => {
+    appContext.debugHub.channel({ name: "borf/transition" }).error(error);
+    appContext.crashCollector.error({ error: error as Error, componentName: "Transition" });
+  };
+
+  try {
+    return Promise.resolve(hook()).catch(report);
+  } catch (error) {
+    report(error);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Plays `transition`'s enter animation on the element of each handle.
+ */
+export function playEnter(appContext: AppContext, transition: Transition | undefined, handles: DOMHandle[]) {
+  const enter = transition?.enter;
+  if (!enter) return;
+
+  for (const handle of handles) {
+    const element = getElement(handle);
+
+    if (element) {
+      runHook(appContext, () => enter(element));
+    }
+  }
+}
+
+/**
+ * Plays `transition`'s leave animation on the element of `handle` and disconnects it when done.
+ * Handles are kept in `leaving` until then so their container can disconnect them right away if it's disconnected first.
+ */
+export function playLeave(
+  appContext: AppContext,
+  transition: Transition | undefined,
+  handle: DOMHandle,
+  leaving: Set<DOMHandle>
+) {
+  const element = getElement(handle);
+  const leave = transition?.leave;
+
+  if (!leave || !element) {
+    handle.disconnect();
+    return;
+  }
+
+  leaving.add(handle);
+  leavingHandles.add(handle);
+
+  runHook(appContext, () => leave(element)).then(() => {
+    leavingHandles.delete(handle);
+
+    if (leaving.delete(handle)) {
+      handle.disconnect();
+    }
+  });
+}
+
+/**
+ * Disconnects handles that are still playing their leave animation.
+ */
+export function stopLeaving(leaving: Set<DOMHandle>) {
+  for (const handle of leaving) {
+    leavingHandles.delete(handle);
+    handle.disconnect();
+  }
+  leaving.clear();
+}
+
+/**
+ * Records the positions of the elements of `handles` so moves can be animated once they're rearranged.
+ */
+export function getPositions(transition: Transition | undefined, handles: DOMHandle[]) {
+  const positions = new Map<Element, DOMRect>();
+
+  if (transition?.move) {
+    for (const handle of handles) {
+      const element = getElement(handle);
+
+      if (element) {
+        positions.set(element, element.getBoundingClientRect());
+      }
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Plays `transition`'s move animation on each element of `handles` that isn't where it was in `positions`.
+ */
+export function playMove(
+  appContext: AppContext,
+  transition: Transition | undefined,
+  handles: DOMHandle[],
+  positions: Map<Element, DOMRect>
+) {
+  const move = transition?.move;
+  if (!move) return;
+
+  for (const handle of handles) {
+    const element = getElement(handle);
+    const from = element && positions.get(element);
+
+    if (element && from && element.isConnected) {
+      const to = element.getBoundingClientRect();
+
+      if (from.left !== to.left || from.top !== to.top) {
+        runHook(appContext, () => move(element, from));
+      }
+    }
+  }
+}
+
+/*==================================*\
+||           CSS Transitions          ||
+\*==================================*/
+
+/**
+ * Creates a transition that animates with CSS classes, following the naming used by Vue and Svelte.
+ *
+ * - `{name}-enter-from` is applied for the first frame after an element is added, then replaced by `{name}-enter-to`.
+ *   `{name}-enter-active` is applied for the whole enter animation.
+ * - `{name}-leave-from`, `{name}-leave-to` and `{name}-leave-active` are applied the same way before an element is removed.
+ * - `{name}-move` is applied while an element glides to its new position.
+ *
+ * Each animation lasts as long as the CSS transitions or animations applied by these classes.
+ *
+ * @param name - Prefix for the class names.
+ * @param options - Set `appear` to also animate the content shown when first connected.
+ */
+export function cssTransition(name: string, options?: Pick<Transition, "appear">): Transition {
+  const animate = async (element: Element, phase: "enter" | "leave") => {
+    const from = `${name}-${phase}-from`;
+    const active = `${name}-${phase}-active`;
+    const to = `${name}-${phase}-to`;
+
+    element.classList.add(from, active);
+    await nextFrame();
+    element.classList.remove(from);
+    element.classList.add(to);
+    await whenAnimationEnds(element);
+    element.classList.remove(active, to);
+  };
+
+  return {
+    appear: options?.appear,
+
+    enter: (element) => animate(element, "enter"),
+    leave: (element) => animate(element, "leave"),
+
+    move: async (element, from) => {
+      const style = (element as HTMLElement).style;
+      const to = element.getBoundingClientRect();
+
+      // Jump back to the old position without a transition, then transition to the new one.
+      style.transition = "none";
+      style.transform = `translate(${from.left - to.left}px, ${from.top - to.top}px)`;
+      await nextFrame();
+
+      element.classList.add(`${name}-move`);
+      style.transition = "";
+      style.transform = "";
+      await whenAnimationEnds(element);
+      element.classList.remove(`${name}-move`);
+    },
+  };
+}
+
+function nextFrame() {
+  return new Promise<void>((resolve) => {
+    // Two frames so the browser has applied the starting styles before they change.
+    requestAnimationFrame(() => requestAnimationFrame(() => resolve()));
+  });
+}
+
+/**
+ * Resolves when the CSS transitions and animations currently applied to `element` have finished.
+ */
+function whenAnimationEnds(element: Element) {
+  const style = getComputedStyle(element);
+  const timeout = Math.max(
+    getLongestTime(style.transitionDuration, style.transitionDelay),
+    getLongestTime(style.animationDuration, style.animationDelay)
+  );
+
+  if (timeout === 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise<void>((resolve) => {
+    // Ends when every transitioned property has fired its end event, or after the timeout if some never do.
+    let remaining = style.transitionProperty.split(",").length;
+    const done = () => {
+      clearTimeout(timer);
+      element.removeEventListener("transitionend", onEnd);
+      element.removeEventListener("animationend", onEnd);
+      resolve();
+    };
+    const onEnd = (e: Event) => {
+      if (e.target === element && --remaining <= 0) done();
+    };
+    const timer = setTimeout(done, timeout + 50);
+
+    element.addEventListener("transitionend", onEnd);
+    element.addEventListener("animationend", onEnd);
+  });
+}
+
+/**
+ * Takes comma separated CSS durations and delays (like "0.2s, 100ms") and returns the longest total in milliseconds.
+ */
+function getLongestTime(durations: string, delays: string) {
+  const toMs = (value: string) => {
+    value = value.trim();
+    return value.endsWith("ms") ? parseFloat(value) : parseFloat(value) * 1000 || 0;
+  };
+
+  const durationList = durations.split(",").map(toMs);
+  const delayList = delays.split(",").map(toMs);
+
+  return Math.max(0, ...durationList.map((duration, i) => duration + (delayList[i % delayList.length] ?? 0)));
+}
+
+/*==================================*\
+||         Spring Transitions         ||
+\*==================================*/
+
+export interface SpringTransitionOptions extends SpringOptions {
+  /**
+   * Applies the spring's value to `element`. The value is 0 when the element is hidden and 1 when fully shown.
+   * Moves are animated separately with a transform, so avoid setting `transform` here if you also animate moves.
+   *
+   * @example
+   * apply: (element, value) => {
+   *   element.style.opacity = String(value);
+   * }
+   */
+  apply?: (element: HTMLElement, value: number) => void;
+
+  /**
+   * Also animate moves by springing elements from their old position to the new one. Defaults to true.
+   */
+  move?: boolean;
+
+  /**
+   * Also play the enter animation for the content shown when first connected. Defaults to false.
+   */
+  appear?: boolean;
+}
+
+/**
+ * Creates a transition that animates with a `spring()`.
+ */
+export function springTransition(options: SpringTransitionOptions): Transition {
+  const { apply, move = true, appear, ...springOptions } = options;
+
+  const animate = async (initialValue: number, endValue: number, callback: (value: number) => void) => {
+    const $$spring = spring(initialValue, springOptions);
+
+    // Stopped as soon as the animation ends.
+    const stop = $$spring[OBSERVE](callback);
+    await $$spring.animateTo(endValue);
+    stop();
+  };
+
+  return {
+    appear,
+
+    enter: apply ? (element) => animate(0, 1, (value) => apply(element as HTMLElement, value)) : undefined,
+    leave: apply ? (element) => animate(1, 0, (value) => apply(element as HTMLElement, value)) : undefined,
+
+    move: move
+      ? (element, from) => {
+          const style = (element as HTMLElement).style;
+          const to = element.getBoundingClientRect();
+          const x = from.left - to.left;
+          const y = from.top - to.top;
+
+          return animate(1, 0, (value) => {
+            style.transform = value === 0 ? "" : `translate(${x * value}px, ${y * value}px)`;
+          });
+        }
+      : undefined,
+  };
+}
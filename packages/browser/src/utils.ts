@@ -1,12 +1,15 @@
 import { isObject } from "@borf/bedrock";
 
-function isPlainObject<T = { [name: string]: any }>(value: any): value is T {
-  return (
-    value != null &&
-    typeof value === "object" &&
-    !Array.isArray(value) &&
-    Object.getPrototypeOf(value) === Object.getPrototypeOf({})
-  );
+/**
+ * Returns true for object literals and objects without a prototype, like parsed queries.
+ */
+export function isPlainObject<T = { [name: string]: any }>(value: any): value is T {
+  if (value == null || typeof value !== "object" || Array.isArray(value)) {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
 }
 
 export function deepEqual(one: any, two: any) {
@@ -48,6 +51,49 @@ export function deepEqual(one: any, two: any) {
   return one === two;
 }
 
+/**
+ * Compares the keys of plain objects or the items of arrays one level deep with `Object.is`.
+ * All other values are compared with `Object.is`.
+ */
+export function shallowEqual(one: any, two: any) {
+  if (Object.is(one, two)) {
+    return true;
+  }
+
+  if (isPlainObject(one) && isPlainObject(two)) {
+    const keysOne = Object.keys(one);
+    const keysTwo = Object.keys(two);
+
+    if (keysOne.length !== keysTwo.length) {
+      return false;
+    }
+
+    for (const key of keysOne) {
+      if (!Object.prototype.hasOwnProperty.call(two, key) || !Object.is(one[key], two[key])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  if (Array.isArray(one) && Array.isArray(two)) {
+    if (one.length !== two.length) {
+      return false;
+    }
+
+    for (let i = 0; i < one.length; i++) {
+      if (!Object.is(one[i], two[i])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  return false;
+}
+
 /**
  * Takes an old value and a new value.  Returns a merged copy if both are objects, otherwise returns the new value.
  */
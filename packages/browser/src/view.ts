@@ -1,10 +1,27 @@
 import { isArrayOf, typeOf } from "@borf/bedrock";
 import { nanoid } from "nanoid";
 import { type AppContext, type ElementContext } from "./app.js";
+import { compileStyles, mountStyles } from "./css.js";
 import { type DebugChannel } from "./classes/DebugHub.js";
+import { deferHydration } from "./hydrate.js";
 import { getRenderHandle, isMarkup, m, renderMarkupToDOM, type DOMHandle, type Markup } from "./markup.js";
-import { isReadable, observe, readable, writable, type Readable, type ReadableValues } from "./state.js";
+import {
+  getActiveObservers,
+  isReadable,
+  observe,
+  readable,
+  resource,
+  runWithOwner,
+  writable,
+  type ObserverOwner,
+  type Readable,
+  type ReadableValues,
+  type Resource,
+  type ResourceFetcher,
+  type ResourceOptions,
+} from "./state.js";
 import { type Store } from "./store.js";
+import { type Transition } from "./transitions.js";
 import type { BuiltInStores } from "./types.js";
 
 /*=====================================*\
@@ -16,7 +33,17 @@ import type { BuiltInStores } from "./types.js";
  */
 export type ViewResult = Node | Readable<any> | Markup | Markup[] | null;
 
-export type View<P> = (props: P, context: ViewContext) => ViewResult;
+/**
+ * A function that renders a view. Views may be async, in which case nothing is shown until the returned promise resolves.
+ */
+export type View<P> = (props: P, context: ViewContext) => ViewResult | Promise<ViewResult>;
+
+export interface OutletOptions {
+  /**
+   * Animates children as they're added and removed.
+   */
+  transition?: Transition;
+}
 
 export interface ViewContext extends DebugChannel {
   /**
@@ -61,6 +88,7 @@ export interface ViewContext extends DebugChannel {
 
   /**
    * Takes an Error object, unmounts the app and displays its crash page.
+   * Inside an ErrorBoundary, the boundary shows its fallback instead.
    */
   crash(error: Error): void;
 
@@ -78,10 +106,40 @@ export interface ViewContext extends DebugChannel {
     callback: (currentValues: ReadableValues<T>, previousValues: ReadableValues<T>) => void
   ): void;
 
+  /**
+   * Creates a resource that loads while this view is connected. In-flight requests are aborted when the view is disconnected.
+   */
+  resource<S, T>(
+    source: Readable<S> | S,
+    fetcher: ResourceFetcher<NonNullable<S>, T>,
+    options?: ResourceOptions<NonNullable<S>, T>
+  ): Resource<T>;
+
+  /**
+   * Returns a Readable that holds the value of `promise` once it resolves.
+   * A surrounding Suspense shows its fallback until the promise settles. A rejection is passed to the nearest ErrorBoundary.
+   */
+  suspend<T>(promise: Promise<T>): Readable<T | undefined>;
+
+  /**
+   * Adds styles that apply only to elements rendered by this view. Use it as a tagged template.
+   * Interpolated Readables become CSS custom properties, so changing them updates the styles without rendering again.
+   * Styles are shared by all instances of the view and removed when the last one is disconnected.
+   *
+   * @example
+   * ctx.css`
+   *   p {
+   *     color: ${$color};
+   *   }
+   * `;
+   */
+  css(strings: TemplateStringsArray, ...values: unknown[]): void;
+
   /**
    * Returns a Markup element that displays this view's children.
+   * Pass a `transition` to animate children as they change, such as when a route is swapped for another.
    */
-  outlet(): Markup;
+  outlet(options?: OutletOptions): Markup;
 }
 
 /*=====================================*\
@@ -125,10 +183,13 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
     stores: new Map(),
     parent: config.elementContext,
   };
-  const $$children = writable<DOMHandle[]>(renderMarkupToDOM(config.children ?? [], { appContext, elementContext }));
+  const $$children = writable<DOMHandle[]>([]);
 
   let isConnected = false;
 
+  // Counts the times the view function has run, so promises from before a reconnect can tell they're out of date.
+  let renders = 0;
+
   // Lifecycle and observers
   const stopObserverCallbacks: (() => void)[] = [];
   const connectedCallbacks: (() => any)[] = [];
@@ -138,6 +199,17 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
 
   const uniqueId = nanoid();
 
+  // Observers created while this view's function and lifecycle hooks run are attributed to it in development mode.
+  const owner: ObserverOwner = {
+    type: "view",
+    get name() {
+      return ctx.name;
+    },
+    get isConnected() {
+      return isConnected;
+    },
+  };
+
   const ctx: Omit<ViewContext, keyof DebugChannel> = {
     get uniqueId() {
       return uniqueId;
@@ -200,7 +272,7 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
     },
 
     crash(error: Error) {
-      config.appContext.crashCollector.crash({ error, componentName: ctx.name });
+      fail(error);
     },
 
     observe(readables: any, callback: any) {
@@ -219,8 +291,46 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
       }
     },
 
-    outlet() {
-      return m("$outlet", { $children: readable($$children) });
+    resource(source, fetcher, options) {
+      const r = resource(source, fetcher, options);
+
+      // Keep the resource loading for as long as the view is connected.
+      ctx.observe(r.$data, () => {});
+
+      return r;
+    },
+
+    suspend(promise) {
+      const $$value = writable<any>(undefined);
+
+      elementContext.suspense?.track(promise);
+      deferHydration(appContext, promise);
+      appContext.scroll?.defer(promise);
+
+      const isCurrent = getCurrentCheck();
+      promise.then(
+        (value) => $$value.set(value),
+        (error) => {
+          if (isCurrent()) fail(error);
+        }
+      );
+
+      return readable($$value);
+    },
+
+    css(strings, ...values) {
+      const styles = compileStyles(strings, values);
+
+      elementContext.styleScopes = [
+        ...(elementContext.styleScopes ?? []),
+        { attribute: styles.attribute, value: uniqueId },
+      ];
+
+      disconnectedCallbacks.push(mountStyles(appContext, styles, uniqueId));
+    },
+
+    outlet(options) {
+      return m("$outlet", { $children: readable($$children), transition: options?.transition });
     },
   };
 
@@ -243,48 +353,106 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
 
   let rendered: DOMHandle | undefined;
 
+  /**
+   * Passes `error` to the nearest ErrorBoundary, or crashes the app if there isn't one to take it.
+   */
+  function fail(error: Error) {
+    if (!elementContext.errorBoundary?.catch(error, ctx.name)) {
+      appContext.crashCollector.crash({ error, componentName: ctx.name });
+    }
+  }
+
+  /**
+   * Returns a function that tells whether the view is still connected and showing what it rendered when this was called.
+   */
+  function getCurrentCheck() {
+    const render = renders;
+    return () => isConnected && renders === render;
+  }
+
   function initialize() {
     let result: unknown;
 
+    rendered = undefined;
+    renders++;
+
+    // Styles from the view function apply to this view's elements only, not those of the view that rendered it.
+    elementContext.styleScopes = undefined;
+
     try {
-      result = config.view(config.props, ctx as ViewContext);
+      result = runWithOwner(owner, () => config.view(config.props, ctx as ViewContext));
     } catch (error) {
       if (error instanceof Error) {
-        appContext.crashCollector.crash({ error, componentName: ctx.name });
+        // Nothing is rendered in place of a view caught by an ErrorBoundary.
+        fail(error);
+        return;
       }
       throw error;
     }
 
-    if (result instanceof Promise) {
-      appContext.crashCollector.crash({
-        error: new TypeError(`View function cannot return a Promise.`),
-        componentName: ctx.name,
-      });
+    // Children are rendered after the view function so they inherit anything it sets up, like a Suspense.
+    if (config.children?.length) {
+      // Children come from the view that rendered this one, so they're styled by that view.
+      $$children.set(
+        renderMarkupToDOM(config.children, {
+          appContext,
+          elementContext: { ...elementContext, styleScopes: config.elementContext.styleScopes },
+        })
+      );
     }
 
-    if (result === null) {
+    if (result instanceof Promise) {
+      // Render nothing until the promise resolves, then render its result in the same place.
+      const $$result = writable<ViewResult>(null);
+
+      elementContext.suspense?.track(result);
+      deferHydration(appContext, result);
+      appContext.scroll?.defer(result);
+
+      // A view that was disconnected while it loaded has nothing left to show its result or error in.
+      const isCurrent = getCurrentCheck();
+      result.then(
+        (value) => {
+          if (!isCurrent()) return;
+
+          if (isViewResult(value)) {
+            $$result.set(value);
+          } else {
+            fail(getResultError(value));
+          }
+        },
+        (error) => {
+          if (isCurrent()) fail(error);
+        }
+      );
+
+      rendered = getRenderHandle(
+        renderMarkupToDOM(m("$observer", { readables: [$$result], renderFn: (x) => x }), { appContext, elementContext })
+      );
+    } else if (!isViewResult(result)) {
+      console.warn(result, config);
+      fail(getResultError(result));
+    } else if (result === null) {
       // Do nothing.
     } else if (result instanceof Node) {
       rendered = getRenderHandle(renderMarkupToDOM(m("$node", { value: result }), { appContext, elementContext }));
     } else if (isMarkup(result) || isArrayOf<Markup>(isMarkup, result)) {
       rendered = getRenderHandle(renderMarkupToDOM(result, { appContext, elementContext }));
-    } else if (isReadable(result)) {
+    } else {
       rendered = getRenderHandle(
         renderMarkupToDOM(m("$observer", { readables: [result], renderFn: (x) => x }), { appContext, elementContext })
       );
-    } else {
-      console.warn(result, config);
-      appContext.crashCollector.crash({
-        error: new TypeError(
-          `Expected '${
-            config.view.name
-          }' function to return a DOM node, Markup element, Readable or null. Got: ${typeOf(result)}`
-        ),
-        componentName: ctx.name,
-      });
     }
   }
 
+  function getResultError(result: unknown) {
+    return new TypeError(
+      `Expected '${config.view.name}' function to return a DOM node, Markup element, Readable or null. Got: ${typeOf(
+        result
+      )}`
+    );
+  }
+
   const handle: DOMHandle = {
     get node() {
       return rendered?.node!;
@@ -317,7 +485,7 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
         requestAnimationFrame(() => {
           while (connectedCallbacks.length > 0) {
             const callback = connectedCallbacks.shift()!;
-            callback();
+            runWithOwner(owner, callback);
           }
         });
       }
@@ -344,6 +512,15 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
         const callback = stopObserverCallbacks.shift()!;
         callback();
       }
+
+      if (appContext.mode === "development") {
+        for (const observer of getActiveObservers(owner)) {
+          debugChannel.warn(
+            `An observer created by this view is still active after it disconnected. Call the stop function returned by observe() or use ctx.observe() instead.`,
+            observer.stack
+          );
+        }
+      }
     },
 
     async setChildren(children) {
@@ -353,3 +530,13 @@ export function initView<P>(config: ViewConfig<P>): DOMHandle {
 
   return handle;
 }
+
+function isViewResult(value: unknown): value is ViewResult {
+  return (
+    value === null ||
+    value instanceof Node ||
+    isMarkup(value) ||
+    isArrayOf<Markup>(isMarkup, value) ||
+    isReadable(value)
+  );
+}
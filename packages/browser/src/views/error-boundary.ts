@@ -0,0 +1,68 @@
+import { isFunction } from "@borf/bedrock";
+import { computed, writable } from "../state.js";
+import { type Renderable } from "../types.js";
+import { getViewSecrets, type ViewContext } from "../view.js";
+
+export interface ErrorBoundaryProps {
+  /**
+   * Content to show in place of the children once one of them throws.
+   * Pass a function to render the error. Calling `reset` renders the children again.
+   */
+  fallback: Renderable | ((error: Error, reset: () => void) => Renderable);
+}
+
+/**
+ * Kept on the ElementContext so views and stores inside an ErrorBoundary can report errors to it instead of crashing the app.
+ */
+export interface ErrorBoundaryContext {
+  /**
+   * Shows the fallback for `error`. Returns false if this boundary can't take it, such as when its own fallback is throwing.
+   */
+  catch(error: Error, componentName: string): boolean;
+}
+
+/**
+ * Catches errors thrown by views and scoped stores inside it and shows `fallback` in their place.
+ * The error is still reported to the app's CrashCollector, but the rest of the app keeps running.
+ */
+export function ErrorBoundary(props: ErrorBoundaryProps, ctx: ViewContext) {
+  const { appContext, elementContext } = getViewSecrets(ctx);
+  const parent = elementContext.errorBoundary;
+
+  const $$error = writable<Error | undefined>(undefined);
+  let caught: Error | undefined;
+
+  const reset = () => {
+    caught = undefined;
+    $$error.set(undefined);
+  };
+
+  elementContext.errorBoundary = {
+    catch(error, componentName) {
+      // Errors thrown while the fallback is showing come from the fallback, so they go to the next boundary up.
+      if (caught) {
+        return parent?.catch(error, componentName) ?? false;
+      }
+
+      caught = error;
+      appContext.crashCollector.error({ error, componentName });
+
+      // The view that threw may still be connecting, so swap in the fallback once it's done.
+      queueMicrotask(() => {
+        if (caught === error) {
+          $$error.set(error);
+        }
+      });
+
+      return true;
+    },
+  };
+
+  return computed($$error, (error) => {
+    if (error == null) {
+      return ctx.outlet();
+    }
+
+    return isFunction(props.fallback) ? props.fallback(error, reset) : props.fallback;
+  });
+}
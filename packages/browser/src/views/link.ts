@@ -0,0 +1,71 @@
+import { m } from "../markup.js";
+import { computed } from "../state.js";
+import { type HrefOptions, type RouteName, type RouteParams } from "../stores/router.js";
+import { type ViewContext } from "../view.js";
+
+export interface LinkProps<N extends RouteName = RouteName> {
+  /**
+   * Name of the route to link to, as passed to `app.route()`.
+   */
+  to: N;
+
+  /**
+   * Values for each of the route pattern's params.
+   */
+  params?: RouteParams<N>;
+
+  /**
+   * Query params to add to the URL.
+   */
+  query?: HrefOptions["query"];
+
+  /**
+   * Fragment to add to the end of the URL.
+   */
+  hash?: string;
+
+  /**
+   * Class to add while the linked route is shown. Defaults to "active".
+   */
+  activeClass?: string;
+
+  /**
+   * Only count the link as active when the current path is its path exactly, not a path nested under it.
+   */
+  exact?: boolean;
+
+  /**
+   * Classes for the anchor, in any form the `class` prop of an element takes.
+   */
+  class?: unknown;
+}
+
+/**
+ * Renders an anchor that links to a named route. While the route is shown, the anchor gets
+ * `activeClass` and `aria-current="page"`. Clicks are handled by the router like any other link.
+ */
+export function Link<N extends RouteName>(props: LinkProps<N>, ctx: ViewContext) {
+  const router = ctx.getStore("router");
+
+  const href = router.href(props.to, props.params, { query: props.query, hash: props.hash });
+  const path = href.split(/[?#]/)[0];
+
+  const $isActive = computed(router.$path, (current) => {
+    if (current === path) {
+      return true;
+    }
+
+    // Every path is nested under the root, so it's only active when it's shown itself.
+    return !props.exact && path !== "/" && current.startsWith(path + "/");
+  });
+
+  return m(
+    "a",
+    {
+      href,
+      class: [props.class, { [props.activeClass ?? "active"]: $isActive }],
+      "aria-current": computed($isActive, (active) => (active ? "page" : undefined)),
+    },
+    ctx.outlet()
+  );
+}
@@ -0,0 +1,46 @@
+import { cond, m } from "../markup.js";
+import { computed, writable } from "../state.js";
+import { type Renderable } from "../types.js";
+import { getViewSecrets, type ViewContext } from "../view.js";
+
+export interface SuspenseProps {
+  /**
+   * Content to show while views inside this Suspense are loading.
+   */
+  fallback: Renderable;
+}
+
+/**
+ * Kept on the ElementContext so views inside a Suspense can report what they're waiting for.
+ */
+export interface SuspenseContext {
+  /**
+   * Shows the fallback until `promise` settles.
+   */
+  track(promise: Promise<unknown>): void;
+}
+
+/**
+ * Shows `fallback` in place of its children until every async view and `ctx.suspend()` call inside it has settled.
+ */
+export function Suspense(props: SuspenseProps, ctx: ViewContext) {
+  const { elementContext } = getViewSecrets(ctx);
+
+  const $$pending = writable(0);
+  const $isLoading = computed($$pending, (pending) => pending > 0);
+
+  elementContext.suspense = {
+    track(promise) {
+      $$pending.update((pending) => pending + 1);
+
+      const done = () => $$pending.update((pending) => pending - 1);
+      promise.then(done, done);
+    },
+  };
+
+  // Children stay connected while hidden so the views inside them can start loading.
+  return [
+    cond($isLoading, props.fallback),
+    m("div", { style: { display: computed($isLoading, (loading) => (loading ? "none" : "contents")) } }, ctx.outlet()),
+  ];
+}
@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert";
+import { installDOM } from "./dom.js";
+import { compileStyles, mountStyles, writable } from "../lib/internals.js";
+
+function css(strings, ...values) {
+  return compileStyles(strings, values);
+}
+
+// Collapses whitespace so the output can be compared however the template is formatted.
+function flatten(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+test("compileStyles: scopes the last compound selector of each rule", () => {
+  const styles = css`
+    a:hover::after,
+    ul > li:not(.x, .y),
+    p::first-line {
+      color: red;
+    }
+  `;
+  const scope = `[${styles.attribute}]`;
+
+  assert.strictEqual(styles.attribute, `data-style-${styles.id}`);
+  assert.strictEqual(
+    flatten(styles.css),
+    `a:hover${scope}::after, ul > li:not(.x, .y)${scope}, p${scope}::first-line { color: red; }`
+  );
+});
+
+test("compileStyles: scopes rules inside grouping at-rules and puts :scope where it's written", () => {
+  const styles = css`
+    @media (min-width: 600px) {
+      :scope .title,
+      h1 {
+        margin: 0;
+      }
+    }
+    @import url(x.css);
+    @keyframes spin {
+      from {
+        opacity: 0;
+      }
+    }
+  `;
+  const scope = `[${styles.attribute}]`;
+
+  assert.strictEqual(
+    flatten(styles.css),
+    `@media (min-width: 600px) {${scope} .title, h1${scope} { margin: 0; } } @import url(x.css);@keyframes spin { from { opacity: 0; } }`
+  );
+});
+
+test("compileStyles: turns Readables into custom properties and inserts other values as text", () => {
+  const makeStyles = ($color) => css`
+    button {
+      color: ${$color};
+      padding: ${4}px;
+      margin: ${null};
+    }
+  `;
+
+  const $color = writable("red");
+  const styles = makeStyles($color);
+
+  assert.deepStrictEqual(styles.readables, [$color]);
+  assert.strictEqual(
+    flatten(styles.css),
+    `button[${styles.attribute}] { color: var(--style-${styles.id}-0); padding: 4px; margin: ; }`
+  );
+
+  // Every instance of a view writes the same styles, which share an ID.
+  assert.strictEqual(makeStyles(writable("blue")).id, styles.id);
+});
+
+test("mountStyles: replaces server-rendered copies in its own app and works before the stylesheet exists", () => {
+  const document = installDOM();
+  const $color = writable("red");
+  const styles = css`
+    p {
+      color: ${$color};
+    }
+  `;
+
+  const renderServerCopy = () => {
+    const root = document.body.appendChild(document.createElement("div"));
+    const copy = root.appendChild(document.createElement("style"));
+    copy.setAttribute("data-style", styles.id);
+    return root;
+  };
+
+  const appRoot = renderServerCopy();
+  const otherAppRoot = renderServerCopy();
+
+  // Style elements outside of a document have no `sheet`. The fake DOM's never do.
+  const unmount = mountStyles({ rootElement: appRoot }, styles, "1");
+
+  assert.strictEqual(appRoot.querySelector("style"), null);
+  assert.notStrictEqual(otherAppRoot.querySelector("style"), null);
+
+  const [shared, properties] = document.head.children;
+  assert.strictEqual(shared.getAttribute("data-style"), styles.id);
+  assert.strictEqual(shared.textContent, styles.css);
+  assert.strictEqual(properties.textContent, `[${styles.attribute}="1"] { --style-${styles.id}-0: red; }`);
+
+  $color.set("blue");
+  assert.strictEqual(properties.textContent, `[${styles.attribute}="1"] { --style-${styles.id}-0: blue; }`);
+
+  unmount();
+  assert.deepStrictEqual(document.head.children, []);
+});
@@ -0,0 +1,548 @@
+/**
+ * A small stand-in for the browser DOM, with just enough of it for the rendering code under test.
+ * Call `installDOM()` before rendering to put `document`, `Node` and friends on the global object.
+ */
+
+import { CrashCollector, DebugHub, renderMarkupToDOM } from "../lib/internals.js";
+
+export class FakeNode extends EventTarget {
+  static ELEMENT_NODE = 1;
+  static TEXT_NODE = 3;
+  static COMMENT_NODE = 8;
+  static DOCUMENT_NODE = 9;
+  static DOCUMENT_FRAGMENT_NODE = 11;
+
+  parentNode = null;
+  childNodes = [];
+
+  get firstChild() {
+    return this.childNodes[0] ?? null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] ?? null;
+  }
+
+  get nextSibling() {
+    const siblings = this.parentNode?.childNodes;
+    return siblings?.[siblings.indexOf(this) + 1] ?? null;
+  }
+
+  get previousSibling() {
+    const siblings = this.parentNode?.childNodes;
+    return siblings?.[siblings.indexOf(this) - 1] ?? null;
+  }
+
+  get parentElement() {
+    return this.parentNode?.nodeType === FakeNode.ELEMENT_NODE ? this.parentNode : null;
+  }
+
+  get isConnected() {
+    return this.parentNode ? this.parentNode.isConnected : this.nodeType === FakeNode.DOCUMENT_NODE;
+  }
+
+  get textContent() {
+    return this.childNodes
+      .filter((child) => child.nodeType !== FakeNode.COMMENT_NODE)
+      .map((child) => child.textContent)
+      .join("");
+  }
+
+  set textContent(value) {
+    for (const child of [...this.childNodes]) {
+      this.removeChild(child);
+    }
+    if (value) {
+      this.appendChild(new FakeText(String(value)));
+    }
+  }
+
+  insertBefore(node, before) {
+    if (before && before.parentNode !== this) {
+      throw new Error("The node before which the new node is to be inserted is not a child of this node.");
+    }
+
+    // A fragment moves its children instead of itself.
+    const nodes = node.nodeType === FakeNode.DOCUMENT_FRAGMENT_NODE ? [...node.childNodes] : [node];
+
+    for (const child of nodes) {
+      child.parentNode?.removeChild(child);
+      const index = before ? this.childNodes.indexOf(before) : this.childNodes.length;
+      this.childNodes.splice(index, 0, child);
+      child.parentNode = this;
+
+      if (this.isConnected) {
+        runCallbacks(child, "connectedCallback");
+      }
+    }
+
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      this.appendChild(typeof node === "string" ? new FakeText(node) : node);
+    }
+  }
+
+  removeChild(node) {
+    const index = this.childNodes.indexOf(node);
+
+    if (index === -1) {
+      throw new Error("The node to be removed is not a child of this node.");
+    }
+
+    const wasConnected = node.isConnected;
+
+    this.childNodes.splice(index, 1);
+    node.parentNode = null;
+
+    if (wasConnected) {
+      runCallbacks(node, "disconnectedCallback");
+    }
+
+    return node;
+  }
+
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+
+  remove() {
+    this.parentNode?.removeChild(this);
+  }
+
+  contains(node) {
+    while (node) {
+      if (node === this) return true;
+      node = node.parentNode;
+    }
+    return false;
+  }
+}
+
+export class FakeText extends FakeNode {
+  nodeType = FakeNode.TEXT_NODE;
+  nodeName = "#text";
+
+  constructor(data = "") {
+    super();
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value);
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  set nodeValue(value) {
+    this.data = String(value);
+  }
+
+  splitText(offset) {
+    const rest = new FakeText(this.data.slice(offset));
+    this.data = this.data.slice(0, offset);
+    this.parentNode?.insertBefore(rest, this.nextSibling);
+    return rest;
+  }
+}
+
+export class FakeComment extends FakeNode {
+  nodeType = FakeNode.COMMENT_NODE;
+  nodeName = "#comment";
+
+  constructor(data = "") {
+    super();
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value);
+  }
+}
+
+export class FakeDocumentFragment extends FakeNode {
+  nodeType = FakeNode.DOCUMENT_FRAGMENT_NODE;
+  nodeName = "#document-fragment";
+}
+
+/**
+ * Inline styles, kept as properties named the way they were set.
+ */
+class FakeStyle {
+  setProperty(name, value) {
+    this[name] = value;
+  }
+
+  removeProperty(name) {
+    delete this[name];
+  }
+
+  // Only clearing is supported.
+  set cssText(_value) {
+    for (const name of Object.keys(this)) {
+      delete this[name];
+    }
+  }
+}
+
+export class FakeElement extends FakeNode {
+  nodeType = FakeNode.ELEMENT_NODE;
+  attributes = new Map();
+  style = new FakeStyle();
+
+  // Reads and writes `data-*` attributes.
+  dataset = new Proxy(
+    {},
+    {
+      get: (_, name) => this.getAttribute(toDataAttribute(name)) ?? undefined,
+      set: (_, name, value) => {
+        this.setAttribute(toDataAttribute(name), value);
+        return true;
+      },
+    }
+  );
+
+  // There's no layout, so sizes stay at zero unless a test sets them.
+  scrollTop = 0;
+  scrollLeft = 0;
+  clientHeight = 0;
+  offsetHeight = 0;
+
+  constructor(tagName = definedNames.get(new.target)) {
+    super();
+    Object.assign(this, upgradeProperties);
+    upgradeProperties = undefined;
+
+    this.nodeName = tagName.toUpperCase();
+    this.tagName = this.nodeName;
+    this.classList = {
+      add: (...names) => this.#setClasses([...this.#getClasses(), ...names]),
+      remove: (...names) => this.#setClasses(this.#getClasses().filter((name) => !names.includes(name))),
+      contains: (name) => this.#getClasses().includes(name),
+      toggle: (name, force = !this.classList.contains(name)) => {
+        force ? this.classList.add(name) : this.classList.remove(name);
+        return force;
+      },
+    };
+  }
+
+  #getClasses() {
+    return (this.getAttribute("class") ?? "").split(/\s+/).filter(Boolean);
+  }
+
+  #setClasses(names) {
+    this.setAttribute("class", [...new Set(names)].join(" "));
+  }
+
+  get children() {
+    return this.childNodes.filter((child) => child.nodeType === FakeNode.ELEMENT_NODE);
+  }
+
+  get id() {
+    return this.getAttribute("id") ?? "";
+  }
+
+  set id(value) {
+    this.setAttribute("id", value);
+  }
+
+  get className() {
+    return this.getAttribute("class") ?? "";
+  }
+
+  set className(value) {
+    this.setAttribute("class", value);
+  }
+
+  /**
+   * Elements are laid out as a column of 20px rows inside their parent, so moving one changes its position.
+   */
+  getBoundingClientRect() {
+    const top = (this.parentNode?.children?.indexOf(this) ?? 0) * 20;
+    return { left: 0, top, right: 0, bottom: top + 20, width: 0, height: 20, x: 0, y: top };
+  }
+
+  getAttribute(name) {
+    return this.attributes.get(name) ?? null;
+  }
+
+  setAttribute(name, value) {
+    const previous = this.getAttribute(name);
+    this.attributes.set(name, String(value));
+    this.#attributeChanged(name, previous);
+  }
+
+  removeAttribute(name) {
+    const previous = this.getAttribute(name);
+    this.attributes.delete(name);
+    this.#attributeChanged(name, previous);
+  }
+
+  #attributeChanged(name, previous) {
+    if (this.constructor.observedAttributes?.includes(name)) {
+      this.attributeChangedCallback(name, previous, this.getAttribute(name));
+    }
+  }
+
+  attachShadow() {
+    this.shadowRoot = new FakeShadowRoot(this);
+    return this.shadowRoot;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  querySelectorAll(selector) {
+    return findAll(this, (node) => matches(node, selector));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] ?? null;
+  }
+
+  getElementsByTagName(tagName) {
+    return findAll(this, (node) => node.nodeName === tagName.toUpperCase());
+  }
+
+  /**
+   * Renders the element as HTML for comparing in assertions.
+   */
+  get outerHTML() {
+    const tag = this.nodeName.toLowerCase();
+    const attributes = [...this.attributes].map(([name, value]) => ` ${name}="${value}"`).join("");
+    return `<${tag}${attributes}>${this.innerHTML}</${tag}>`;
+  }
+
+  get innerHTML() {
+    return this.childNodes
+      .map((child) => {
+        if (child.nodeType === FakeNode.ELEMENT_NODE) return child.outerHTML;
+        if (child.nodeType === FakeNode.COMMENT_NODE) return `<!--${child.data}-->`;
+        return child.textContent;
+      })
+      .join("");
+  }
+}
+
+export class FakeShadowRoot extends FakeDocumentFragment {
+  constructor(host) {
+    super();
+    this.host = host;
+  }
+
+  get isConnected() {
+    return this.host.isConnected;
+  }
+}
+
+export class FakeDocument extends FakeNode {
+  nodeType = FakeNode.DOCUMENT_NODE;
+  nodeName = "#document";
+  title = "";
+  visibilityState = "visible";
+
+  constructor() {
+    super();
+    this.documentElement = this.appendChild(new FakeElement("html"));
+    this.head = this.documentElement.appendChild(new FakeElement("head"));
+    this.body = this.documentElement.appendChild(new FakeElement("body"));
+  }
+
+  createElement(tagName) {
+    const Constructor = definitions.get(tagName);
+    return Constructor ? new Constructor() : new FakeElement(tagName);
+  }
+
+  createElementNS(_namespace, tagName) {
+    return new FakeElement(tagName);
+  }
+
+  createTextNode(data) {
+    return new FakeText(String(data));
+  }
+
+  createComment(data) {
+    return new FakeComment(String(data));
+  }
+
+  createDocumentFragment() {
+    return new FakeDocumentFragment();
+  }
+
+  getElementById(id) {
+    return findAll(this, (node) => node.getAttribute?.("id") === id)[0] ?? null;
+  }
+
+  querySelectorAll(selector) {
+    return findAll(this, (node) => matches(node, selector));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] ?? null;
+  }
+}
+
+/**
+ * The parts of `window` the built-in stores use. Media queries never match.
+ */
+export class FakeWindow extends EventTarget {
+  constructor(document) {
+    super();
+    this.document = document;
+  }
+
+  matchMedia(query) {
+    return { media: query, matches: false, addEventListener() {}, removeEventListener() {} };
+  }
+}
+
+/**
+ * Creates a new document and puts it on the global object, along with a window and the node classes.
+ * Animation frames are timeouts. Returns the document.
+ */
+export function installDOM() {
+  const document = new FakeDocument();
+
+  definitions.clear();
+  definedNames.clear();
+
+  Object.assign(globalThis, {
+    window: new FakeWindow(document),
+    document,
+    Node: FakeNode,
+    Element: FakeElement,
+    HTMLElement: FakeElement,
+    Text: FakeText,
+    Comment: FakeComment,
+    DocumentFragment: FakeDocumentFragment,
+    requestAnimationFrame: (callback) => setTimeout(() => callback(performance.now()), 0),
+    cancelAnimationFrame: (id) => clearTimeout(id),
+    customElements: {
+      define: (name, constructor) => {
+        definitions.set(name, constructor);
+        definedNames.set(constructor, name);
+      },
+      get: (name) => definitions.get(name),
+    },
+  });
+
+  return document;
+}
+
+// Custom elements by name, and their names by class.
+const definitions = new Map();
+const definedNames = new Map();
+
+let upgradeProperties;
+
+/**
+ * Creates a custom element that already has `properties` set on it before its constructor runs,
+ * like an element that was used in the page before its class was defined.
+ */
+export function createUpgradedElement(tagName, properties) {
+  upgradeProperties = properties;
+  return document.createElement(tagName);
+}
+
+/**
+ * Calls the custom element lifecycle `callback` on `node` and everything inside it, including shadow roots.
+ */
+function runCallbacks(node, callback) {
+  node[callback]?.();
+
+  for (const child of node.shadowRoot?.childNodes ?? []) {
+    runCallbacks(child, callback);
+  }
+  for (const child of node.childNodes) {
+    runCallbacks(child, callback);
+  }
+}
+
+function toDataAttribute(name) {
+  return "data-" + String(name).replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase());
+}
+
+function findAll(root, predicate) {
+  const found = [];
+
+  for (const child of root.childNodes) {
+    if (child.nodeType === FakeNode.ELEMENT_NODE) {
+      if (predicate(child)) found.push(child);
+      found.push(...findAll(child, predicate));
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Supports `tag`, `#id`, `.class` and `[attribute]` or `[attribute=value]` selectors, one at a time.
+ */
+function matches(element, selector) {
+  const attribute = selector.match(/^(\w*)\[([\w-]+)(?:="?([^"\]]*)"?)?\]$/);
+
+  if (attribute) {
+    const [, tag, name, value] = attribute;
+    return (
+      (!tag || element.nodeName === tag.toUpperCase()) &&
+      element.hasAttribute(name) &&
+      (value === undefined || element.getAttribute(name) === value)
+    );
+  }
+
+  if (selector.startsWith("#")) return element.id === selector.slice(1);
+  if (selector.startsWith(".")) return element.classList.contains(selector.slice(1));
+  return element.nodeName === selector.toUpperCase();
+}
+
+/**
+ * Renders `markup` into a root element in a new document, with an app context that applies DOM updates right away
+ * instead of batching them into frames. Errors reported by views are collected in `errors`.
+ */
+export function mount(markup, { mode = "production" } = {}) {
+  const document = installDOM();
+  const root = document.body.appendChild(document.createElement("div"));
+
+  const crashCollector = new CrashCollector();
+  const errors = [];
+  crashCollector.onError(({ error }) => errors.push(error));
+
+  const render = {
+    update: (callback) => Promise.resolve(callback()),
+    read: (callback) => Promise.resolve(callback()),
+  };
+
+  const appContext = {
+    crashCollector,
+    debugHub: new DebugHub({ crashCollector, mode }),
+    stores: new Map([["render", { instance: { exports: render } }]]),
+    mode,
+    rootElement: root,
+  };
+  const elementContext = { stores: new Map() };
+
+  const handles = renderMarkupToDOM(markup, { appContext, elementContext });
+  for (const handle of handles) {
+    handle.connect(root, root.lastChild ?? undefined);
+  }
+
+  return { root, appContext, errors, handles };
+}
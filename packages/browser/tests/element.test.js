@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert";
+import { createUpgradedElement, installDOM } from "./dom.js";
+import { defineElement, m, parseAttribute, toKebabCase } from "../lib/internals.js";
+
+// Waits for the element's language store to load before its view connects, and for the render store's next frame.
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+test("parseAttribute: parses attribute values by prop type", () => {
+  assert.strictEqual(parseAttribute(Number, "42"), 42);
+  assert.strictEqual(parseAttribute(String, "42"), "42");
+  assert.strictEqual(parseAttribute(Number, null), undefined);
+  assert.deepStrictEqual(
+    parseAttribute((value) => value.split(","), "a,b"),
+    ["a", "b"]
+  );
+
+  // Boolean attributes are true when present, unless set to "false".
+  assert.strictEqual(parseAttribute(Boolean, ""), true);
+  assert.strictEqual(parseAttribute(Boolean, "compact"), true);
+  assert.strictEqual(parseAttribute(Boolean, "false"), false);
+  assert.strictEqual(parseAttribute(Boolean, null), false);
+});
+
+test("toKebabCase: turns prop names into attribute names", () => {
+  assert.strictEqual(toKebabCase("userId"), "user-id");
+  assert.strictEqual(toKebabCase("isHTMLSafe"), "is-h-t-m-l-safe");
+  assert.strictEqual(toKebabCase("name"), "name");
+});
+
+test("defineElement: passes attributes and properties to the view and dispatches its events", async () => {
+  const document = installDOM();
+  const events = [];
+
+  function UserCard({ $userId, $compact, onSelect }) {
+    return m("button", { class: { compact: $compact }, onClick: () => onSelect($userId.get()) }, $userId);
+  }
+
+  const UserCardElement = defineElement("x-user-card", UserCard, {
+    props: { userId: Number, compact: Boolean },
+    events: { onSelect: "select" },
+  });
+  assert.deepStrictEqual(UserCardElement.observedAttributes, ["user-id", "compact"]);
+
+  const element = document.createElement("x-user-card");
+  element.setAttribute("user-id", "5");
+  element.addEventListener("select", (e) => events.push(e.detail));
+  document.body.appendChild(element);
+  await settle();
+
+  const button = element.querySelector("button");
+  assert.strictEqual(button.textContent, "5");
+  assert.strictEqual(element.userId, 5);
+  assert.strictEqual(button.classList.contains("compact"), false);
+
+  // Attributes and properties both update the view.
+  element.setAttribute("compact", "");
+  element.userId = 6;
+  await settle();
+  assert.strictEqual(button.classList.contains("compact"), true);
+  assert.strictEqual(button.textContent, "6");
+
+  button.dispatchEvent(new Event("click"));
+  assert.deepStrictEqual(events, [6]);
+});
+
+test("defineElement: keeps properties set before the element was defined", async () => {
+  const document = installDOM();
+
+  defineElement("x-greeting", ({ $name }) => m("p", {}, $name), { props: { name: String } });
+
+  const element = createUpgradedElement("x-greeting", { name: "Ada" });
+  document.body.appendChild(element);
+  await settle();
+
+  assert.strictEqual(element.textContent, "Ada");
+
+  element.name = "Grace";
+  assert.strictEqual(element.textContent, "Grace");
+});
+
+test("defineElement: unmounts when removed and shows its original children again when added back", async () => {
+  const document = installDOM();
+  const lifecycle = [];
+
+  function Panel(_, ctx) {
+    ctx.onConnected(() => lifecycle.push("connected"));
+    ctx.onDisconnected(() => lifecycle.push("disconnected"));
+    return m("section", {}, ctx.outlet());
+  }
+
+  defineElement("x-panel", Panel);
+
+  const element = document.createElement("x-panel");
+  element.appendChild(document.createTextNode("Content"));
+  document.body.appendChild(element);
+  await settle();
+
+  assert.strictEqual(element.innerHTML.replace(/<!--.*?-->/g, ""), "<section>Content</section>");
+
+  element.remove();
+  assert.deepStrictEqual(lifecycle, ["connected", "disconnected"]);
+  assert.strictEqual(element.querySelector("section"), null);
+
+  document.body.appendChild(element);
+  await settle();
+
+  assert.deepStrictEqual(lifecycle, ["connected", "disconnected", "connected"]);
+  assert.strictEqual(element.querySelector("section").textContent, "Content");
+});
+
+test("defineElement: renders into a shadow root with a slot for the element's children", async () => {
+  const document = installDOM();
+
+  defineElement("x-frame", (_, ctx) => m("div", {}, ctx.outlet()), { shadow: true });
+
+  const element = document.createElement("x-frame");
+  document.body.appendChild(element);
+  await settle();
+
+  assert.strictEqual(element.childNodes.length, 0);
+  assert.notStrictEqual(
+    element.shadowRoot.childNodes.find((node) => node.nodeName === "DIV").querySelector("slot"),
+    null
+  );
+});
+
+test("defineElement: a view that crashes while connecting only takes down its own element", async () => {
+  const document = installDOM();
+
+  defineElement("x-broken", () => {
+    throw new Error("Broken view");
+  });
+
+  const element = document.createElement("x-broken");
+  assert.throws(() => {
+    document.body.appendChild(element);
+  }, /Broken view/);
+
+  // Already unmounted by the crash, so removing it is fine.
+  element.remove();
+  assert.strictEqual(element.childNodes.length, 0);
+});
@@ -0,0 +1,152 @@
+import test from "node:test";
+import assert from "node:assert";
+import { mount } from "./dom.js";
+import { canDelegate, createEventDelegation, m, on, virtual, writable } from "../lib/internals.js";
+
+function keyEvent(key) {
+  const event = new Event("keydown", { cancelable: true });
+  Object.defineProperty(event, "key", { value: key });
+  return event;
+}
+
+test("on: filters by key and applies prevent", () => {
+  const received = [];
+  const handler = on((e) => received.push(e.key), { key: ["Enter", "Escape"], prevent: true });
+
+  const skipped = keyEvent("a");
+  handler(skipped);
+  assert.deepStrictEqual(received, []);
+  assert.strictEqual(skipped.defaultPrevented, false);
+
+  const enter = keyEvent("Enter");
+  handler(enter);
+  handler(keyEvent("Escape"));
+  assert.deepStrictEqual(received, ["Enter", "Escape"]);
+  assert.strictEqual(enter.defaultPrevented, true);
+});
+
+test("on: returns a plain listener function", () => {
+  const target = new EventTarget();
+  let calls = 0;
+
+  const handler = on(() => calls++, { once: true });
+  target.addEventListener("ping", handler, { once: true });
+
+  target.dispatchEvent(new Event("ping"));
+  target.dispatchEvent(new Event("ping"));
+  assert.strictEqual(calls, 1);
+
+  assert.throws(() => on("not a function"), TypeError);
+});
+
+/**
+ * Dispatches `event` to the delegation's listener on `root` as if it had bubbled up through `path`.
+ */
+function dispatchThrough(root, path, event) {
+  event.composedPath = () => [...path, root];
+  root.dispatchEvent(event);
+  return event;
+}
+
+test("createEventDelegation: calls handlers along the event's path with each element as currentTarget", () => {
+  const root = new EventTarget();
+  const parent = new EventTarget();
+  const child = new EventTarget();
+  const delegation = createEventDelegation(root);
+  const calls = [];
+
+  delegation.add(parent, "click", (e) => calls.push(["parent", e.currentTarget === parent]));
+  delegation.add(child, "click", (e) => calls.push(["child", e.currentTarget === child]));
+
+  const event = dispatchThrough(root, [child, parent], new Event("click", { bubbles: true }));
+
+  assert.deepStrictEqual(calls, [
+    ["child", true],
+    ["parent", true],
+  ]);
+  assert.strictEqual(event.currentTarget, null);
+
+  // Stopping propagation keeps the event from reaching handlers further up.
+  calls.length = 0;
+  delegation.add(child, "click", (e) => e.stopPropagation());
+  dispatchThrough(root, [child, parent], new Event("click", { bubbles: true }));
+
+  assert.deepStrictEqual(calls, [["child", true]]);
+});
+
+test("createEventDelegation: removes once handlers after they run and stops listening when none are left", () => {
+  const root = new EventTarget();
+  const element = new EventTarget();
+  const delegation = createEventDelegation(root);
+  const listening = [];
+  const calls = [];
+
+  const { addEventListener, removeEventListener } = root;
+  root.addEventListener = (type, ...args) => {
+    listening.push(type);
+    addEventListener.call(root, type, ...args);
+  };
+  root.removeEventListener = (type, ...args) => {
+    listening.splice(listening.indexOf(type), 1);
+    removeEventListener.call(root, type, ...args);
+  };
+
+  delegation.add(element, "input", () => calls.push("once"), true);
+  const stop = delegation.add(element, "input", () => calls.push("always"));
+  assert.deepStrictEqual(listening, ["input"]);
+
+  dispatchThrough(root, [element], new Event("input", { bubbles: true }));
+  dispatchThrough(root, [element], new Event("input", { bubbles: true }));
+  assert.deepStrictEqual(calls, ["once", "always", "always"]);
+
+  stop();
+  stop();
+  assert.deepStrictEqual(listening, []);
+
+  dispatchThrough(root, [element], new Event("input", { bubbles: true }));
+  assert.deepStrictEqual(calls, ["once", "always", "always"]);
+});
+
+test("canDelegate: only delegates common bubbling events without capture or passive", () => {
+  const options = { once: false, capture: false, passive: false };
+
+  for (const type of ["click", "input", "keydown", "submit", "pointerdown"]) {
+    assert.strictEqual(canDelegate(type, options), true, type);
+  }
+
+  // These don't bubble or aren't known to, so a listener on the document wouldn't see them.
+  const direct = ["focus", "mouseenter", "play", "pause", "ended", "timeupdate", "canplay", "volumechange"];
+  for (const type of [...direct, "invalid", "cancel", "close", "load", "my-custom-event"]) {
+    assert.strictEqual(canDelegate(type, options), false, type);
+  }
+
+  // Browsers make document listeners for these passive.
+  assert.strictEqual(canDelegate("touchstart", options), false);
+  assert.strictEqual(canDelegate("wheel", options), false);
+
+  assert.strictEqual(canDelegate("click", { ...options, capture: true }), false);
+  assert.strictEqual(canDelegate("click", { ...options, passive: true }), false);
+});
+
+test("on: keeps its modifiers when the handler is passed as a Readable", () => {
+  const clicks = [];
+  const $$round = writable(1);
+
+  // `virtual()` passes every prop to its elements as a Readable, event handlers included.
+  const { root } = mount(
+    virtual($$round, (round) => m("button", { onClick: on(() => clicks.push(round), { once: true }) }, "Go"))
+  );
+  const [button] = root.getElementsByTagName("button");
+
+  button.dispatchEvent(new Event("click"));
+  button.dispatchEvent(new Event("click"));
+  assert.deepStrictEqual(clicks, [1]);
+
+  // A new handler is added with its own modifiers.
+  $$round.set(2);
+  assert.strictEqual(root.getElementsByTagName("button")[0], button);
+
+  button.dispatchEvent(new Event("click"));
+  button.dispatchEvent(new Event("click"));
+  assert.deepStrictEqual(clicks, [1, 2]);
+});
@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert";
+import { installDOM } from "./dom.js";
+import { deferHydration, endHydration, insertNode, startHydration, waitForHydration } from "../lib/internals.js";
+
+/**
+ * Builds a root element the way the server would render it, with a `<tag>text</tag>` element for each pair.
+ */
+function serverRender(document, pairs) {
+  const root = document.body.appendChild(document.createElement("div"));
+
+  for (const [tag, text] of pairs) {
+    const element = root.appendChild(document.createElement(tag));
+    element.appendChild(document.createTextNode(text));
+  }
+
+  return root;
+}
+
+function makeAppContext(root) {
+  const warnings = [];
+  const appContext = {
+    rootElement: root,
+    debugHub: {
+      channel: ({ name }) => ({ warn: (...args) => warnings.push([name, ...args]) }),
+    },
+  };
+  appContext.hydration = startHydration(appContext);
+  return { appContext, warnings };
+}
+
+/**
+ * Renders an element with a text child like a view would, adopting the server's nodes where they match.
+ */
+function renderElement(appContext, parent, before, tag, text) {
+  const element = insertNode(appContext, parent, document.createElement(tag), before);
+  insertNode(appContext, element, document.createTextNode(text), null);
+  return element;
+}
+
+test("hydration: adopts matching server nodes and removes the rest", () => {
+  const document = installDOM();
+  const root = serverRender(document, [
+    ["h1", "Title"],
+    ["p", "Only on the server"],
+  ]);
+  const [title, extra] = root.childNodes;
+  const { appContext, warnings } = makeAppContext(root);
+
+  assert.strictEqual(renderElement(appContext, root, null, "h1", "Title"), title);
+
+  endHydration(appContext);
+
+  assert.strictEqual(appContext.hydration, undefined);
+  assert.deepStrictEqual(root.childNodes, [title]);
+  assert.strictEqual(extra.parentNode, null);
+
+  // Mismatches are reported through the debug channel rather than straight to the console.
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0][0], "borf/hydrate");
+  assert.match(warnings[0][1], /removed 1 server-rendered node/);
+});
+
+test("hydration: waits for deferred content before removing leftovers", async () => {
+  const document = installDOM();
+  const root = serverRender(document, [
+    ["h1", "Title"],
+    ["section", "Lazy"],
+    ["footer", "Nested"],
+  ]);
+  const [title, section, footer] = root.childNodes;
+  const { appContext, warnings } = makeAppContext(root);
+
+  renderElement(appContext, root, null, "h1", "Title");
+
+  // A lazy view whose content loads another view once it's done, like a Suspense inside a lazy route.
+  let adoptedSection;
+  let adoptedFooter;
+  const lazy = Promise.resolve().then(() => {
+    adoptedSection = renderElement(appContext, root, null, "section", "Lazy");
+
+    const nested = new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+      adoptedFooter = renderElement(appContext, root, null, "footer", "Nested");
+    });
+    deferHydration(appContext, nested);
+  });
+  deferHydration(appContext, lazy);
+
+  // Failed loads shouldn't keep hydration from finishing.
+  const failed = Promise.reject(new Error("Network error"));
+  failed.catch(() => {});
+  deferHydration(appContext, failed);
+
+  await waitForHydration(appContext);
+  endHydration(appContext);
+
+  assert.strictEqual(adoptedSection, section);
+  assert.strictEqual(adoptedFooter, footer);
+  assert.deepStrictEqual(root.childNodes, [title, section, footer]);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test("hydration: leaves the DOM alone once it has ended", async () => {
+  const document = installDOM();
+  const root = serverRender(document, [["p", "Server"]]);
+  const { appContext } = makeAppContext(root);
+
+  endHydration(appContext);
+
+  // Deferring after the end is ignored and inserting adds new nodes.
+  deferHydration(appContext, new Promise(() => {}));
+  await waitForHydration(appContext);
+
+  const element = insertNode(appContext, root, document.createElement("p"), null);
+  assert.deepStrictEqual(root.childNodes, [element]);
+});
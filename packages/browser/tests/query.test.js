@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert";
+import { observe, parseQuery, stringifyQuery, writable } from "../lib/index.js";
+
+// Parsed objects have no prototype, so the expected ones don't either.
+test("parseQuery: decodes, repeats keys and keeps leading zeros", () => {
+  assert.deepStrictEqual(
+    parseQuery("?q=hello%20world&tag=a&tag=b&zip=02134&page=2&all=true&ids[]=7&filter[color]=red"),
+    {
+      __proto__: null,
+      q: "hello world",
+      tag: ["a", "b"],
+      zip: "02134",
+      page: 2,
+      all: true,
+      ids: [7],
+      filter: { __proto__: null, color: "red" },
+    }
+  );
+
+  assert.deepStrictEqual(parseQuery("page=2&all=true", { coerce: false }), {
+    __proto__: null,
+    page: "2",
+    all: "true",
+  });
+});
+
+test("parseQuery: parses keys in the schema with their type", () => {
+  const schema = { zip: String, tags: [String], page: Number, debug: Boolean };
+
+  assert.deepStrictEqual(parseQuery("zip=12345&tags=a&page=03&debug=0&other=5", { schema }), {
+    __proto__: null,
+    zip: "12345",
+    tags: ["a"],
+    page: 3,
+    debug: false,
+    other: 5,
+  });
+});
+
+test("parseQuery: reads keys named after object properties as plain params", () => {
+  const schema = { page: Number };
+
+  assert.deepStrictEqual(
+    parseQuery("toString=abc&hasOwnProperty=x&valueOf=1&filter[toString]=a&filter[toString]=b", { schema }),
+    {
+      __proto__: null,
+      toString: "abc",
+      hasOwnProperty: "x",
+      valueOf: 1,
+      filter: { __proto__: null, toString: ["a", "b"] },
+    }
+  );
+
+  // Keys that reach into prototypes are ignored.
+  const query = parseQuery(
+    "__proto__=1&__proto__[polluted]=1&constructor=1&constructor[prototype][polluted]=1&a[__proto__][b]=1&page=2",
+    { schema }
+  );
+
+  assert.deepStrictEqual(query, { __proto__: null, page: 2 });
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test("parseQuery: only coerces finite numbers", () => {
+  assert.deepStrictEqual(parseQuery("a=NaN&b=Infinity&c=-Infinity&d=0.5&e=-1.5&f= 1&g="), {
+    __proto__: null,
+    a: "NaN",
+    b: "Infinity",
+    c: "-Infinity",
+    d: 0.5,
+    e: -1.5,
+    f: " 1",
+    g: "",
+  });
+});
+
+test("parseQuery: parsed queries equal the same query parsed again or written out", (t) => {
+  const $$query = writable(parseQuery("?a=1&filter[color]=red"));
+  const observer = t.mock.fn();
+  const stop = observe($$query, observer);
+
+  // Like the router reading an unchanged URL again, and app code setting the query it already has.
+  $$query.set(parseQuery("?a=1&filter[color]=red"));
+  $$query.set({ a: 1, filter: { color: "red" } });
+  assert.strictEqual(observer.mock.callCount(), 1);
+
+  $$query.set(parseQuery("?a=2&filter[color]=red"));
+  assert.strictEqual(observer.mock.callCount(), 2);
+
+  stop();
+});
+
+test("stringifyQuery: round trips arrays and nested objects", () => {
+  const query = { q: "a&b c", tag: ["a", "b"], filter: { color: "red" }, empty: null, page: 2 };
+  const search = stringifyQuery(query);
+
+  assert.strictEqual(search, "q=a%26b%20c&tag=a&tag=b&filter[color]=red&page=2");
+  assert.deepStrictEqual(parseQuery(search), {
+    __proto__: null,
+    q: "a&b c",
+    tag: ["a", "b"],
+    filter: { __proto__: null, color: "red" },
+    page: 2,
+  });
+
+  assert.throws(() => stringifyQuery({ fn: () => {} }), TypeError);
+});
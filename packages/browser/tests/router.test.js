@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert";
+import { makeApp, m, renderToString } from "../lib/index.js";
+
+test("router: nests the layers of subroutes inside their parent routes", async () => {
+  function Outer(_, ctx) {
+    return m("section", { class: "outer" }, ctx.outlet());
+  }
+
+  function Inner(_, ctx) {
+    return m("section", { class: "inner" }, ctx.outlet());
+  }
+
+  function Page() {
+    return m("p", {}, "Page");
+  }
+
+  const app = makeApp().route("/a", Outer, (a) => {
+    a.route("/b", Inner, (b) => {
+      b.route("/c", Page);
+    });
+  });
+
+  assert.strictEqual(
+    await renderToString(app, { url: "/a/b/c" }),
+    `<section class="outer"><section class="inner"><p>Page</p></section></section>`
+  );
+});
+
+test("router: reports errors thrown while navigating instead of rejecting", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+
+  function Page() {
+    return m("p", {}, "Page");
+  }
+
+  const app = makeApp({ debug: { filter: "*" } }).route("/", Page, {
+    query: {
+      page: () => {
+        throw new Error("Bad page");
+      },
+    },
+  });
+
+  // Whoever waits on the navigation, like server rendering and hydration, still gets to finish.
+  await renderToString(app, { url: "/?page=1" });
+
+  assert.ok(logged.mock.calls.some((call) => call.arguments.some((arg) => arg?.message === "Bad page")));
+});
+
+test("router: keeps navigating when an onNavigate callback throws", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+  const events = [];
+  let router;
+
+  function Listener(ctx) {
+    router = ctx.getStore("router");
+    router.onNavigate(() => {
+      throw new Error("Bad listener");
+    });
+    router.onNavigate((event) => events.push(event.type));
+    return {};
+  }
+
+  function Page() {
+    return m("p", {}, "Page");
+  }
+
+  const app = makeApp({ debug: { filter: "*" } })
+    .route("/", Page)
+    .route("/other", Page);
+
+  assert.strictEqual(await renderToString(app, { url: "/", stores: [Listener] }), "<p>Page</p>");
+  assert.deepStrictEqual(events, ["start", "end"]);
+
+  // Navigating resolves once it's done instead of rejecting.
+  await router.navigate("/other");
+  assert.deepStrictEqual(events, ["start", "end", "start", "end"]);
+  assert.strictEqual(router.$navigating.get(), false);
+  assert.ok(logged.mock.calls.some((call) => call.arguments.some((arg) => arg?.message === "Bad listener")));
+});
@@ -0,0 +1,190 @@
+import test from "node:test";
+import assert from "node:assert";
+import { createScrollManager } from "../lib/internals.js";
+
+/**
+ * An element that can be scrolled and records where it was scrolled to.
+ */
+function makeScrollable() {
+  return {
+    scrollLeft: 0,
+    scrollTop: 0,
+    scrolls: [],
+    scrollTo(options) {
+      this.scrolls.push(options);
+      this.scrollLeft = options.left;
+      this.scrollTop = options.top;
+    },
+    scrollIntoView(options) {
+      this.scrolls.push(options);
+    },
+  };
+}
+
+/**
+ * The parts of `window` a scroll manager uses. Elements are looked up in `ids` and `names`.
+ */
+function makeWindow({ storage = new Map(), reducedMotion = false, ids = {}, names = {} } = {}) {
+  const _window = new EventTarget();
+
+  Object.assign(_window, makeScrollable(), {
+    history: { scrollRestoration: "auto" },
+    sessionStorage: {
+      getItem: (key) => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, value),
+    },
+    document: {
+      getElementById: (id) => ids[id] ?? null,
+      getElementsByName: (name) => (names[name] ? [names[name]] : []),
+    },
+    matchMedia: (query) => ({ media: query, matches: reducedMotion }),
+    requestAnimationFrame: (callback) => setTimeout(() => callback(performance.now()), 0),
+  });
+
+  Object.defineProperties(_window, {
+    scrollX: { get: () => _window.scrollLeft },
+    scrollY: { get: () => _window.scrollTop },
+  });
+
+  return _window;
+}
+
+function nextFrame() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+test("scroll: restores saved positions by key and keeps them across reloads", () => {
+  const storage = new Map();
+  const _window = makeWindow({ storage });
+  const main = makeScrollable();
+  const manager = createScrollManager({}, _window);
+
+  assert.strictEqual(_window.history.scrollRestoration, "manual");
+
+  manager.register("main", main);
+  _window.scrollTo({ left: 0, top: 300 });
+  main.scrollTo({ left: 0, top: 40 });
+  manager.save("a");
+
+  _window.scrollTo({ left: 0, top: 0 });
+  main.scrollTo({ left: 0, top: 0 });
+  manager.save("b");
+
+  assert.strictEqual(manager.restore("missing"), false);
+  assert.strictEqual(manager.restore("a"), true);
+  assert.deepStrictEqual(_window.scrolls.at(-1), { left: 0, top: 300, behavior: "auto" });
+  assert.deepStrictEqual(main.scrolls.at(-1), { left: 0, top: 40, behavior: "auto" });
+
+  // Positions are written to session storage when the page is hidden and read by the next page's manager.
+  _window.dispatchEvent(new Event("pagehide"));
+  manager.disconnect();
+  assert.strictEqual(_window.history.scrollRestoration, "auto");
+
+  const reloaded = makeWindow({ storage });
+  const next = createScrollManager({}, reloaded);
+  assert.strictEqual(next.restore("a"), true);
+  assert.deepStrictEqual(reloaded.scrolls.at(-1), { left: 0, top: 300, behavior: "auto" });
+});
+
+test("scroll: restores containers that register after their entry was shown", () => {
+  const _window = makeWindow();
+  const manager = createScrollManager({}, _window);
+
+  const first = makeScrollable();
+  const stop = manager.register("list", first);
+  first.scrollTo({ left: 0, top: 120 });
+  manager.save("a");
+  stop();
+
+  // The container of the restored entry is rendered again after the restore.
+  manager.restore("a");
+  const second = makeScrollable();
+  manager.register("list", second);
+  assert.deepStrictEqual(second.scrolls, [{ left: 0, top: 120, behavior: "auto" }]);
+
+  // Unregistered containers are left alone.
+  manager.scrollToTop();
+  assert.deepStrictEqual(first.scrolls, [{ left: 0, top: 120 }]);
+  assert.deepStrictEqual(second.scrolls.at(-1), { left: 0, top: 0, behavior: "auto" });
+});
+
+test("scroll: scrolls to the hash's element and falls back to the top", () => {
+  const heading = makeScrollable();
+  const anchor = makeScrollable();
+  const _window = makeWindow({ ids: { "über-uns": heading }, names: { legacy: anchor } });
+  const manager = createScrollManager({}, _window);
+
+  assert.strictEqual(manager.scrollToHash("#%C3%BCber-uns"), true);
+  assert.deepStrictEqual(heading.scrolls, [{ behavior: "auto" }]);
+
+  assert.strictEqual(manager.scrollToHash("#legacy"), true);
+  assert.deepStrictEqual(anchor.scrolls, [{ behavior: "auto" }]);
+
+  // The router scrolls to the top itself when there's nothing to scroll to.
+  assert.strictEqual(manager.scrollToHash("#missing"), false);
+  assert.strictEqual(manager.scrollToHash("#"), false);
+  assert.deepStrictEqual(_window.scrolls, []);
+
+  // `#top` goes to the top of the page unless an element has that ID.
+  _window.scrollTo({ left: 0, top: 500 });
+  assert.strictEqual(manager.scrollToHash("#top"), true);
+  assert.deepStrictEqual(_window.scrolls.at(-1), { left: 0, top: 0, behavior: "auto" });
+});
+
+test("scroll: only scrolls smoothly for users who don't prefer reduced motion", () => {
+  const smooth = makeWindow();
+  createScrollManager({ behavior: "smooth" }, smooth).scrollToTop();
+  assert.deepStrictEqual(smooth.scrolls, [{ left: 0, top: 0, behavior: "smooth" }]);
+
+  const reduced = makeWindow({ reducedMotion: true });
+  createScrollManager({ behavior: "smooth" }, reduced).scrollToTop();
+  assert.deepStrictEqual(reduced.scrolls, [{ left: 0, top: 0, behavior: "auto" }]);
+
+  // Restored positions are always jumped to.
+  const manager = createScrollManager({ behavior: "smooth" }, smooth);
+  manager.save("a");
+  manager.restore("a");
+  assert.strictEqual(smooth.scrolls.at(-1).behavior, "auto");
+});
+
+test("scroll: waits for content that loads before running a scheduled scroll", async () => {
+  const _window = makeWindow();
+  const manager = createScrollManager({}, _window);
+  const scrolled = [];
+
+  // Not waited for, since nothing was scheduled yet.
+  manager.defer(new Promise(() => {}));
+
+  manager.schedule(() => scrolled.push("first"));
+  manager.schedule(() => scrolled.push("second"));
+
+  // A lazy view that renders another one once it's loaded, like the layers the router connects.
+  let resolveLazy;
+  let resolveNested;
+  manager.defer(
+    new Promise((resolve) => {
+      resolveLazy = resolve;
+    }).then(() => {
+      manager.defer(
+        new Promise((resolve) => {
+          resolveNested = resolve;
+        })
+      );
+    })
+  );
+
+  await nextFrame();
+  assert.deepStrictEqual(scrolled, []);
+
+  resolveLazy();
+  await nextFrame();
+  assert.deepStrictEqual(scrolled, []);
+
+  // Failed loads don't keep the scroll from happening.
+  resolveNested(Promise.reject(new Error("Network error")));
+  await nextFrame();
+  await nextFrame();
+
+  // Only the latest scheduled scroll runs.
+  assert.deepStrictEqual(scrolled, ["second"]);
+});
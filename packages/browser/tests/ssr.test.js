@@ -0,0 +1,353 @@
+import test from "node:test";
+import assert from "node:assert";
+import {
+  makeApp,
+  Link,
+  m,
+  cond,
+  repeat,
+  virtual,
+  virtualRepeat,
+  writable,
+  computed,
+  renderToString,
+  renderToStream,
+  Suspense,
+  ErrorBoundary,
+  lazy,
+} from "../lib/index.js";
+
+test("renderToString: renders elements, text and readables", async () => {
+  const $$name = writable("<Jimbo>");
+  const $$items = writable(["one", "two"]);
+
+  function Greeting({ $name }, ctx) {
+    ctx.observe($name, () => {
+      throw new Error("Observers don't run on the server.");
+    });
+
+    return m(
+      "div",
+      { class: ["greeting", { active: true, hidden: false }], style: { marginTop: 4, color: "red" } },
+      m("h1", { title: $name }, "Hello ", $name),
+      m("input", { type: "checkbox", checked: true, disabled: false, onclick: () => {} }),
+      cond(
+        computed($name, (name) => name.length > 3),
+        m("p", {}, "long name"),
+        m("p", {}, "short name")
+      ),
+      m(
+        "ul",
+        {},
+        repeat(
+          $$items,
+          (item) => item,
+          ($item) => m("li", {}, $item)
+        )
+      )
+    );
+  }
+
+  const html = await renderToString(m(Greeting, { $name: $$name }));
+
+  assert.strictEqual(
+    html,
+    `<div class="greeting active" style="margin-top: 4px; color: red">` +
+      `<h1 title="&lt;Jimbo&gt;">Hello &lt;Jimbo&gt;</h1>` +
+      `<input type="checkbox" checked>` +
+      `<p>long name</p>` +
+      `<ul><li>one</li><li>two</li></ul>` +
+      `</div>`
+  );
+});
+
+test("renderToString: renders virtual() with the current state", async () => {
+  const $$state = writable({
+    items: [
+      { id: 1, name: "First" },
+      { id: 2, name: "Second" },
+    ],
+    activeId: 2,
+  });
+
+  const html = await renderToString(
+    virtual($$state, (state) =>
+      m(
+        "ul",
+        {},
+        state.items.map((item) =>
+          m("li", { key: item.id, class: { active: item.id === state.activeId }, onclick: () => {} }, item.name)
+        )
+      )
+    )
+  );
+
+  assert.strictEqual(html, `<ul><li>First</li><li class="active">Second</li></ul>`);
+});
+
+test("renderToString: renders an empty container for virtualRepeat()", async () => {
+  const list = virtualRepeat(
+    ["one", "two"],
+    (item) => item,
+    ($item) => m("p", {}, $item),
+    { itemHeight: 20 }
+  );
+
+  assert.strictEqual(typeof list.scrollToIndex, "function");
+  assert.strictEqual(
+    await renderToString(m("section", {}, list)),
+    `<section><div style="overflow-y: auto; height: 100%"></div></section>`
+  );
+});
+
+test("renderToString: awaits async views and catches errors in an ErrorBoundary", async () => {
+  async function User() {
+    const name = await Promise.resolve("Jimbo");
+    return m("h1", {}, name);
+  }
+
+  function Posts(_, ctx) {
+    const $posts = ctx.suspend(Promise.resolve(["First", "Second"]));
+    return m(
+      "p",
+      {},
+      computed($posts, (posts) => posts.join(", "))
+    );
+  }
+
+  async function Broken() {
+    throw new Error("Failed to load.");
+  }
+
+  const html = await renderToString([
+    m(Suspense, { fallback: m("p", {}, "Loading...") }, m(User), m(Posts)),
+    m(ErrorBoundary, { fallback: (error) => m("p", {}, error.message) }, m("span", {}, "Partial"), m(Broken)),
+  ]);
+
+  assert.strictEqual(
+    html,
+    `<div style="display: contents"><h1>Jimbo</h1><p>First, Second</p></div>` + `<p>Failed to load.</p>`
+  );
+});
+
+test("renderToString: loads lazy views once", async () => {
+  let loads = 0;
+
+  const Page = lazy(async () => {
+    loads++;
+    return { default: ({ title }, ctx) => m("section", {}, m("h1", {}, title), ctx.outlet()) };
+  });
+
+  const html = await renderToString(m(Page, { title: "Lazy" }, m("p", {}, "Child")));
+
+  assert.strictEqual(html, `<section><h1>Lazy</h1><p>Child</p></section>`);
+  assert.strictEqual(await renderToString(m(Page, { title: "Cached" })), `<section><h1>Cached</h1></section>`);
+  assert.strictEqual(loads, 1);
+});
+
+test("renderToString: scopes ctx.css styles to the view's elements", async () => {
+  function Label(_, ctx) {
+    ctx.css`span { font-weight: bold; }`;
+    return m("span", {}, ctx.outlet());
+  }
+
+  function Card({ color }, ctx) {
+    ctx.css`
+      :scope { padding: 4px; }
+      .title > p::before, em { color: ${writable(color)}; }
+      @media (min-width: 600px) { p { margin: ${2}px; } }
+    `;
+    return m("div", { class: "title" }, m("p", {}, "Hi"), m(Label, {}, m("em", {}, "Label")));
+  }
+
+  const html = await renderToString([m(Card, { color: "red" }), m(Card, { color: "</style>" })]);
+
+  const cardStyles = html.match(/<style data-style="(\w+)">(.*?)<\/style>/s);
+  const labelStyles = html.match(/<style data-style="(\w+)">span.*?<\/style>/s);
+  const [card, label] = [cardStyles[1], labelStyles[1]];
+
+  // Each stylesheet is rendered once, with a rule for each instance's custom properties.
+  assert.strictEqual(html.split(`<style data-style="${card}">`).length, 4);
+  assert.strictEqual(html.split(`<style data-style="${label}">`).length, 2);
+  assert.match(cardStyles[2], new RegExp(`^\\[data-style-${card}\\] \\{ padding: 4px; \\}`));
+  assert.ok(cardStyles[2].includes(`.title > p[data-style-${card}]::before, em[data-style-${card}] {`));
+  assert.ok(cardStyles[2].includes(`color: var(--style-${card}-0)`));
+  assert.ok(cardStyles[2].includes(`p[data-style-${card}] { margin: 2px; }`));
+  assert.ok(html.includes(`{ --style-${card}-0: red; }`));
+  assert.ok(html.includes(`{ --style-${card}-0: <\\/style>; }`));
+
+  // Children passed to a view are styled by the view that passed them.
+  const cardId = html.match(new RegExp(`<div class="title" data-style-${card}="([\\w-]+)">`))[1];
+  assert.ok(html.includes(`<em data-style-${card}="${cardId}">Label</em>`));
+  assert.match(html, new RegExp(`<span data-style-${label}="[\\w-]+"><em`));
+});
+
+test("renderToString: renders the routes of an app that match the URL", async () => {
+  function CounterStore() {
+    return { $count: writable(5) };
+  }
+
+  function Layout(_, ctx) {
+    const { $path } = ctx.getStore("router");
+    return m("main", { "data-path": $path }, ctx.outlet());
+  }
+
+  function Users(_, ctx) {
+    return m("section", {}, ctx.outlet());
+  }
+
+  function User(_, ctx) {
+    const { $params } = ctx.getStore("router");
+    const { $count } = ctx.getStore(CounterStore);
+    return m(
+      "p",
+      {},
+      "User ",
+      computed($params, (p) => p.id),
+      " of ",
+      $count
+    );
+  }
+
+  const app = makeApp()
+    .store(CounterStore)
+    .main(Layout)
+    .route("/users", Users, (sub) => {
+      sub.route("/{#id}", User);
+    })
+    .redirect("/people/*", "/users/2");
+
+  assert.strictEqual(
+    await renderToString(app, { url: "/users/1" }),
+    `<main data-path="/users/1"><section><p>User 1 of 5</p></section></main>`
+  );
+
+  assert.strictEqual(
+    await renderToString(app, { url: "/people/anyone" }),
+    `<main data-path="/users/2"><section><p>User 2 of 5</p></section></main>`
+  );
+});
+
+test("renderToString: runs route guards and loaders before rendering", async () => {
+  let isSignedIn = false;
+
+  function Account(_, ctx) {
+    return m("section", {}, ctx.outlet());
+  }
+
+  function Profile({ $data }) {
+    return m(
+      "p",
+      {},
+      computed($data, (user) => `Profile of ${user.name}`)
+    );
+  }
+
+  function SignIn() {
+    return m("p", {}, "Sign in");
+  }
+
+  const app = makeApp()
+    .route("/sign-in", SignIn)
+    .route("/account", Account, { beforeEnter: () => isSignedIn || "/sign-in" }, (sub) => {
+      sub.route("/{#id}", Profile, {
+        load: async ({ params }) => ({ name: `user ${params.id}` }),
+      });
+    });
+
+  assert.strictEqual(await renderToString(app, { url: "/account/5" }), `<p>Sign in</p>`);
+
+  isSignedIn = true;
+
+  assert.strictEqual(await renderToString(app, { url: "/account/5" }), `<section><p>Profile of user 5</p></section>`);
+});
+
+test("renderToString: follows redirect functions and param placeholders", async () => {
+  function User(_, ctx) {
+    const { $params, $$query } = ctx.getStore("router");
+    return m(
+      "p",
+      {},
+      computed([$params, $$query], ([params, query]) => `User ${params.id} ${query.tab ?? ""}`.trim())
+    );
+  }
+
+  const app = makeApp()
+    .route("/users/{#id}", User)
+    .redirect("/people/{#id}", "/users/{#id}")
+    .redirect("/me", async ({ query }) => `/users/${query.as}?tab=profile`)
+    .redirect("/loop/a", () => "/loop/b")
+    .redirect("/loop/b", () => "/loop/a");
+
+  assert.strictEqual(await renderToString(app, { url: "/people/7" }), `<p>User 7</p>`);
+  assert.strictEqual(await renderToString(app, { url: "/me?as=3" }), `<p>User 3 profile</p>`);
+  assert.strictEqual(await renderToString(app, { url: "/loop/a" }), ``);
+
+  const broken = makeApp().route("/users/{#id}", User).redirect("/people/{name}", "/users/{id}");
+
+  await assert.rejects(() => renderToString(broken, { url: "/" }), /isn't a param of/);
+});
+
+test("renderToString: builds links to named routes", async () => {
+  function Nav(_, ctx) {
+    const router = ctx.getStore("router");
+
+    return m(
+      "nav",
+      {},
+      m(Link, { to: "user", params: { id: 5 } }, "Me"),
+      m(Link, { to: "user", params: { id: 6 }, class: "other" }, "Them"),
+      m("a", { href: router.href("files", { wildcard: "/docs/a b.txt" }, { query: { tag: ["x", "y"] } }) }, "File")
+    );
+  }
+
+  const app = makeApp()
+    .main(Nav)
+    .route("/users/{#id}", null, { name: "user" }, (sub) => {
+      sub.route("/", () => null);
+    })
+    .route("/files/*", () => null, { name: "files" });
+
+  assert.strictEqual(
+    await renderToString(app, { url: "/users/5" }),
+    `<nav><a href="/users/5" class="active" aria-current="page">Me</a><a href="/users/6" class="other">Them</a><a href="/files/docs/a%20b.txt?tag=x&amp;tag=y">File</a></nav>`
+  );
+
+  assert.throws(
+    () =>
+      makeApp()
+        .route("/a", () => null, { name: "a" })
+        .route("/b", () => null, { name: "a" }),
+    /already used/
+  );
+});
+
+test("renderToString: parses the query with the route's schema", async () => {
+  function Search(_, ctx) {
+    const { $$query } = ctx.getStore("router");
+    return m(
+      "p",
+      {},
+      computed($$query, (query) => JSON.stringify(query))
+    );
+  }
+
+  const app = makeApp().route("/search", Search, { query: { zip: String, tags: [String] } });
+
+  assert.strictEqual(
+    await renderToString(app, { url: "/search?zip=12345&tags=a&page=2&name=%C3%A9" }),
+    `<p>{"zip":"12345","tags":["a"],"page":2,"name":"é"}</p>`
+  );
+});
+
+test("renderToStream: emits HTML in chunks", async () => {
+  const stream = renderToStream(m("ul", {}, m("li", {}, "one"), m("li", {}, "two")));
+  const chunks = [];
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  assert.ok(chunks.length > 1);
+  assert.strictEqual(chunks.join(""), "<ul><li>one</li><li>two</li></ul>");
+});
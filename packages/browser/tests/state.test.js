@@ -1,6 +1,35 @@
 import test from "node:test";
 import assert from "node:assert";
-import { proxy, observe, readable, writable, computed, unwrap, isReadable, isWritable } from "../lib/index.js";
+import {
+  batch,
+  persisted,
+  resource,
+  debounced,
+  throttled,
+  delayed,
+  sampledPerFrame,
+  previous,
+  fromObservable,
+  fromAsyncIterable,
+  fromEvent,
+  fromPromise,
+  toObservable,
+  toAsyncIterable,
+  history,
+  getStateGraph,
+  getActiveObservers,
+  makeApp,
+  m,
+  renderToString,
+  proxy,
+  observe,
+  readable,
+  writable,
+  computed,
+  unwrap,
+  isReadable,
+  isWritable,
+} from "../lib/index.js";
 
 test("isReadable, isWritable: returns correct results", (t) => {
   const $$writable = writable(5);
@@ -288,3 +317,896 @@ test("proxy", (t) => {
   assert.deepEqual($$numbers.get(), [1, 2, 3]);
   assert.strictEqual($$hasTwo.get(), true, "numbers should again contain 2");
 });
+
+test("computed: diamond dependencies recompute once with consistent values", (t) => {
+  const $$number = writable(1);
+  const $doubled = computed($$number, (x) => x * 2);
+  const $tripled = computed([$$number], ([x]) => x * 3);
+
+  const join = t.mock.fn(([number, tripled, doubled]) => `${number}:${doubled}:${tripled}`);
+  const $joined = computed([$$number, $tripled, $doubled], join);
+
+  const observer = t.mock.fn();
+  const stop = observe($joined, observer);
+
+  assert.strictEqual(observer.mock.callCount(), 1);
+  assert.deepEqual(observer.mock.calls[0].arguments, ["1:2:3", undefined]);
+
+  const callsBefore = join.mock.callCount();
+
+  $$number.set(2);
+
+  assert.strictEqual(join.mock.callCount(), callsBefore + 1); // Recomputed once, not once per source.
+  assert.strictEqual(observer.mock.callCount(), 2);
+  assert.deepEqual(observer.mock.calls[1].arguments, ["2:4:6", "1:2:3"]);
+
+  stop();
+});
+
+test("batch: observers are notified once with final values", (t) => {
+  const $$first = writable("Jimbo");
+  const $$last = writable("Jones");
+  const $full = computed([$$first, $$last], ([first, last]) => `${first} ${last}`);
+
+  const firstObserver = t.mock.fn();
+  const fullObserver = t.mock.fn();
+  const stopFirst = observe($$first, firstObserver);
+  const stopFull = observe($full, fullObserver);
+
+  batch(() => {
+    $$first.set("Kearney");
+    $$first.set("Dolph");
+    $$last.set("Starbeam");
+
+    // Values are readable immediately, but nobody has been notified yet.
+    assert.strictEqual($$first.get(), "Dolph");
+    assert.strictEqual($full.get(), "Dolph Starbeam");
+    assert.strictEqual(firstObserver.mock.callCount(), 1);
+  });
+
+  assert.strictEqual(firstObserver.mock.callCount(), 2);
+  assert.deepEqual(firstObserver.mock.calls[1].arguments, ["Dolph", "Jimbo"]);
+
+  assert.strictEqual(fullObserver.mock.callCount(), 2);
+  assert.deepEqual(fullObserver.mock.calls[1].arguments, ["Dolph Starbeam", "Jimbo Jones"]);
+
+  // Values changed and changed back within a batch are not observed.
+  batch(() => {
+    $$first.set("Nelson");
+    $$first.set("Dolph");
+  });
+
+  assert.strictEqual(firstObserver.mock.callCount(), 2);
+  assert.strictEqual(fullObserver.mock.callCount(), 2);
+
+  stopFirst();
+  stopFull();
+});
+
+test("computed: tracks dependencies read by compute function", (t) => {
+  const $$flag = writable(false);
+  const $$one = writable(1);
+  const $$two = writable(2);
+  const $doubled = computed($$two, (x) => x * 2);
+
+  const compute = t.mock.fn(() => $$one.get() + ($$flag.get() ? $doubled.get() : 0));
+  const $total = computed(compute);
+
+  assert.strictEqual($total.get(), 1);
+
+  const observer = t.mock.fn();
+  const stop = observe($total, observer);
+
+  assert.strictEqual(observer.mock.callCount(), 1);
+  assert.deepEqual(observer.mock.calls[0].arguments, [1, undefined]);
+
+  // Not read yet, so changes aren't observed.
+  const callsBefore = compute.mock.callCount();
+  $$two.set(3);
+  assert.strictEqual(compute.mock.callCount(), callsBefore);
+
+  $$flag.set(true);
+  assert.strictEqual(observer.mock.callCount(), 2);
+  assert.deepEqual(observer.mock.calls[1].arguments, [7, 1]);
+
+  // Now read, so changes are observed.
+  $$two.set(4);
+  assert.strictEqual(observer.mock.callCount(), 3);
+  assert.deepEqual(observer.mock.calls[2].arguments, [9, 7]);
+
+  // Dropped when the branch stops reading it.
+  $$flag.set(false);
+  const callsAfter = compute.mock.callCount();
+  $$two.set(5);
+  assert.strictEqual(compute.mock.callCount(), callsAfter);
+  assert.strictEqual($total.get(), 1);
+
+  stop();
+
+  $$one.set(10);
+  assert.strictEqual($total.get(), 10);
+  assert.strictEqual(observer.mock.callCount(), 4);
+});
+
+test("computed: tracked computed values can be combined with other readables", (t) => {
+  const $$first = writable("Jimbo");
+  const $$last = writable("Jones");
+  const $full = computed(() => `${$$first.get()} ${$$last.get()}`);
+  const $greeting = computed([$full, readable("Hello")], ([full, hello]) => `${hello}, ${full}!`);
+  const $shout = computed(() => $greeting.get().toUpperCase());
+
+  const observer = t.mock.fn();
+  const stop = observe($shout, observer);
+
+  assert.deepEqual(observer.mock.calls[0].arguments, ["HELLO, JIMBO JONES!", undefined]);
+
+  batch(() => {
+    $$first.set("Dolph");
+    $$last.set("Starbeam");
+  });
+
+  assert.strictEqual(observer.mock.callCount(), 2);
+  assert.deepEqual(observer.mock.calls[1].arguments, ["HELLO, DOLPH STARBEAM!", "HELLO, JIMBO JONES!"]);
+
+  stop();
+});
+
+test("computed: ordering follows tracked sources whose depth changes", (t) => {
+  const $$x = writable(1);
+  const $one = computed($$x, (x) => x);
+  const $two = computed($one, (x) => x);
+  const $deep = computed($two, (x) => x);
+  const $$useDeep = writable(false);
+  const $$shallow = writable(0);
+  const $$other = writable(1);
+
+  // Starts out one level deep, then reads a value three levels deep once `$$useDeep` is set.
+  const $tracked = computed(() => ($$useDeep.get() ? $deep.get() : $$shallow.get()));
+  const $combined = computed([$tracked, $$other], ([tracked, other]) => `${tracked}:${other}`);
+
+  const observer = t.mock.fn();
+  const stop = observe($combined, observer);
+
+  $$useDeep.set(true);
+  assert.strictEqual(observer.mock.calls.at(-1).arguments[0], "1:1");
+
+  const calls = observer.mock.callCount();
+
+  batch(() => {
+    $$x.set(2);
+    $$other.set(2);
+  });
+
+  assert.strictEqual(observer.mock.callCount(), calls + 1);
+  assert.deepEqual(observer.mock.calls.at(-1).arguments, ["2:2", "1:1"]);
+
+  stop();
+});
+
+test("writable, computed, proxy: equals option", (t) => {
+  const list = [{ id: 1 }, { id: 2 }];
+
+  // Default deep equality skips structurally equal values.
+  const $$deep = writable(list);
+  const deepObserver = t.mock.fn();
+  const stopDeep = observe($$deep, deepObserver);
+  $$deep.set([{ id: 1 }, { id: 2 }]);
+  assert.strictEqual(deepObserver.mock.callCount(), 1);
+  stopDeep();
+
+  // Identity only skips the exact same value.
+  const $$identity = writable(list, { equals: "identity" });
+  const identityObserver = t.mock.fn();
+  const stopIdentity = observe($$identity, identityObserver);
+  $$identity.set(list);
+  assert.strictEqual(identityObserver.mock.callCount(), 1);
+  $$identity.set([...list]);
+  assert.strictEqual(identityObserver.mock.callCount(), 2);
+  stopIdentity();
+
+  // Shallow compares items by identity.
+  const $$shallow = writable(list, { equals: "shallow" });
+  const shallowObserver = t.mock.fn();
+  const stopShallow = observe($$shallow, shallowObserver);
+  $$shallow.set([...list]);
+  assert.strictEqual(shallowObserver.mock.callCount(), 1);
+  $$shallow.set([list[0], { id: 2 }]);
+  assert.strictEqual(shallowObserver.mock.callCount(), 2);
+  stopShallow();
+
+  // Custom functions take the previous and next values.
+  const $$date = writable(new Date(2000, 0, 1), { equals: (a, b) => a.getTime() === b.getTime() });
+  const $year = computed($$date, (date) => ({ year: date.getFullYear() }), { equals: (a, b) => a.year === b.year });
+  const $$month = proxy($$date, {
+    get: (source) => source.get().getMonth(),
+    set: (source, month) => source.update((date) => new Date(date.getFullYear(), month, date.getDate())),
+    equals: "identity",
+  });
+
+  const dateObserver = t.mock.fn();
+  const yearObserver = t.mock.fn();
+  const monthObserver = t.mock.fn();
+  const stopDate = observe($$date, dateObserver);
+  const stopYear = observe($year, yearObserver);
+  const stopMonth = observe($$month, monthObserver);
+
+  $$date.set(new Date(2000, 0, 1));
+  assert.strictEqual(dateObserver.mock.callCount(), 1);
+
+  $$month.set(5);
+  assert.strictEqual(dateObserver.mock.callCount(), 2);
+  assert.strictEqual(yearObserver.mock.callCount(), 1);
+  assert.strictEqual(monthObserver.mock.callCount(), 2);
+  assert.deepEqual(monthObserver.mock.calls[1].arguments, [5, 0]);
+
+  stopDate();
+  stopYear();
+  stopMonth();
+});
+
+test("writable: at returns a lens that only notifies when its slice changes", (t) => {
+  const original = { name: "Jimbo", address: { city: "Springfield", zip: "49007" }, tags: ["a", "b"] };
+  const $$user = writable(original);
+  const $$city = $$user.at("address.city");
+  const $$firstTag = $$user.at("tags.0");
+
+  assert.strictEqual($$city.get(), "Springfield");
+  assert.strictEqual($$firstTag.get(), "a");
+
+  const cityObserver = t.mock.fn();
+  const stop = observe($$city, cityObserver);
+
+  $$user.at("name").set("Dolph");
+  assert.strictEqual(cityObserver.mock.callCount(), 1); // City is unchanged.
+
+  $$city.set("Shelbyville");
+  assert.strictEqual(cityObserver.mock.callCount(), 2);
+  assert.deepEqual(cityObserver.mock.calls[1].arguments, ["Shelbyville", "Springfield"]);
+
+  const updated = $$user.get();
+  assert.deepEqual(updated, {
+    name: "Dolph",
+    address: { city: "Shelbyville", zip: "49007" },
+    tags: ["a", "b"],
+  });
+
+  // Values are copied along the path and reused elsewhere.
+  assert.strictEqual(original.address.city, "Springfield");
+  assert.notStrictEqual(updated.address, original.address);
+  assert.strictEqual(updated.tags, original.tags);
+
+  $$firstTag.set("z");
+  assert.deepEqual($$user.get().tags, ["z", "b"]);
+
+  stop();
+});
+
+test("writable: push, remove, patch and toggle", (t) => {
+  const $$list = writable([1, 2, 3]);
+
+  $$list.push(4, 5);
+  assert.deepEqual($$list.get(), [1, 2, 3, 4, 5]);
+
+  $$list.remove(2);
+  assert.deepEqual($$list.get(), [1, 3, 4, 5]);
+
+  $$list.remove((n) => n > 3);
+  assert.deepEqual($$list.get(), [1, 3]);
+
+  const $$settings = writable({ theme: "dark", open: false, items: [] });
+  const observer = t.mock.fn();
+  const stop = observe($$settings, observer);
+
+  $$settings.patch({ theme: "light" });
+  assert.deepEqual($$settings.get(), { theme: "light", open: false, items: [] });
+
+  $$settings.patch({ theme: "light" }); // No change, not observed.
+  assert.strictEqual(observer.mock.callCount(), 2);
+
+  $$settings.at("open").toggle();
+  $$settings.at("items").push("one");
+  assert.deepEqual($$settings.get(), { theme: "light", open: true, items: ["one"] });
+
+  assert.throws(() => $$list.toggle(), TypeError);
+  assert.throws(() => $$settings.push("nope"), TypeError);
+
+  stop();
+});
+
+function makeMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  const subscribers = new Map();
+
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => {
+      items.set(key, value);
+    },
+    subscribe(key, callback) {
+      subscribers.set(key, callback);
+      return () => subscribers.delete(key);
+    },
+    // Simulates a change made in another tab.
+    changeElsewhere(key, value) {
+      items.set(key, value);
+      subscribers.get(key)?.(value);
+    },
+  };
+}
+
+test("persisted: restores, stores and syncs values", (t) => {
+  const storage = makeMemoryStorage({ count: JSON.stringify({ version: 0, value: 5 }) });
+  const $$count = persisted("count", 0, { storage });
+
+  assert.strictEqual($$count.get(), 5);
+  assert.strictEqual($$count.$isLoaded.get(), true);
+
+  $$count.set(6);
+  assert.deepEqual(JSON.parse(storage.items.get("count")), { version: 0, value: 6 });
+
+  storage.changeElsewhere("count", JSON.stringify({ version: 0, value: 12 }));
+  assert.strictEqual($$count.get(), 12);
+
+  const $$date = persisted("date", new Date(2000, 0, 1), {
+    storage,
+    serialize: (date) => date.toISOString(),
+    deserialize: (iso) => new Date(iso),
+    equals: (a, b) => a.getTime() === b.getTime(),
+  });
+
+  $$date.set(new Date(2020, 5, 15));
+
+  const $$restored = persisted("date", new Date(), {
+    storage,
+    deserialize: (iso) => new Date(iso),
+  });
+
+  assert.strictEqual($$restored.get().getTime(), new Date(2020, 5, 15).getTime());
+});
+
+test("persisted: migrates values stored by other versions", (t) => {
+  const storage = makeMemoryStorage({ user: JSON.stringify({ version: 1, value: { name: "Jimbo Jones" } }) });
+
+  const $$user = persisted(
+    "user",
+    { first: "", last: "" },
+    {
+      storage,
+      version: 2,
+      migrate: (stored, version) => {
+        assert.strictEqual(version, 1);
+        const [first, last] = stored.name.split(" ");
+        return { first, last };
+      },
+    }
+  );
+
+  assert.deepEqual($$user.get(), { first: "Jimbo", last: "Jones" });
+  assert.deepEqual(JSON.parse(storage.items.get("user")), { version: 2, value: { first: "Jimbo", last: "Jones" } });
+});
+
+test("persisted: loads from asynchronous storage", async (t) => {
+  const storage = makeMemoryStorage({ name: JSON.stringify({ version: 0, value: "stored" }) });
+  const asyncStorage = {
+    getItem: async (key) => storage.getItem(key),
+    setItem: async (key, value) => storage.setItem(key, value),
+  };
+
+  const $$name = persisted("name", "initial", { storage: asyncStorage });
+
+  assert.strictEqual($$name.get(), "initial");
+  assert.strictEqual($$name.$isLoaded.get(), false);
+
+  await new Promise((resolve) => {
+    const stop = observe($$name.$isLoaded, (isLoaded) => {
+      if (isLoaded) {
+        setTimeout(stop);
+        resolve();
+      }
+    });
+  });
+
+  assert.strictEqual($$name.get(), "stored");
+
+  $$name.set("changed");
+  await Promise.resolve();
+  assert.deepEqual(JSON.parse(storage.items.get("name")), { version: 0, value: "changed" });
+});
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test("resource: loads when observed and ignores stale responses", async (t) => {
+  const requests = [];
+  const fetcher = t.mock.fn((id, { signal }) => {
+    const request = deferred();
+    requests.push({ id, signal, ...request });
+    return request.promise;
+  });
+
+  const $$id = writable(1);
+  const user = resource($$id, fetcher);
+
+  assert.strictEqual(fetcher.mock.callCount(), 0); // Nothing loads until observed.
+
+  const dataObserver = t.mock.fn();
+  const stopData = observe(user.$data, dataObserver);
+  const stopLoading = observe(user.$loading, () => {});
+
+  assert.strictEqual(fetcher.mock.callCount(), 1);
+  assert.strictEqual(user.$loading.get(), true);
+
+  $$id.set(2);
+
+  assert.strictEqual(fetcher.mock.callCount(), 2);
+  assert.strictEqual(requests[0].signal.aborted, true);
+
+  requests[1].resolve({ name: "Dolph" });
+  requests[0].resolve({ name: "Jimbo" }); // Stale; ignored.
+  await Promise.resolve();
+
+  assert.deepEqual(user.$data.get(), { name: "Dolph" });
+  assert.strictEqual(user.$loading.get(), false);
+  assert.strictEqual(dataObserver.mock.callCount(), 2);
+
+  // Errors are exposed through $error.
+  const refetched = user.refetch();
+  requests[2].reject(new Error("Nope"));
+  await refetched;
+
+  assert.strictEqual(user.$error.get().message, "Nope");
+  assert.deepEqual(user.$data.get(), { name: "Dolph" });
+
+  // In-flight requests are aborted when no longer observed.
+  $$id.set(3);
+  stopData();
+  stopLoading();
+
+  assert.strictEqual(requests[3].signal.aborted, true);
+  assert.strictEqual(user.$loading.get(), false);
+});
+
+test("resource: serves cached values while revalidating", async (t) => {
+  let fetches = 0;
+  const fetcher = async (id) => ({ id, fetchedAt: ++fetches });
+
+  const $$id = writable(1);
+  const item = resource($$id, fetcher);
+  const stop = observe(item.$data, () => {});
+
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.deepEqual(item.$data.get(), { id: 1, fetchedAt: 1 });
+
+  $$id.set(2);
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.deepEqual(item.$data.get(), { id: 2, fetchedAt: 2 });
+
+  // Cached value is shown immediately while a fresh one loads.
+  $$id.set(1);
+  assert.deepEqual(item.$data.get(), { id: 1, fetchedAt: 1 });
+  assert.strictEqual(item.$loading.get(), true);
+
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.deepEqual(item.$data.get(), { id: 1, fetchedAt: 3 });
+
+  item.mutate((current) => ({ ...current, fetchedAt: 0 }));
+  assert.deepEqual(item.$data.get(), { id: 1, fetchedAt: 0 });
+
+  stop();
+});
+
+test("resource: reports key errors and keeps mutated values over in-flight requests", async (t) => {
+  const requests = [];
+  const fetcher = (id, { signal }) => {
+    const request = deferred();
+    requests.push({ id, signal, ...request });
+    return request.promise;
+  };
+
+  const $$id = writable(1);
+  const item = resource($$id, fetcher, {
+    key: (id) => {
+      if (id < 0) throw new Error("Invalid ID");
+      return String(id);
+    },
+  });
+  const stop = observe(item.$data, () => {});
+
+  item.mutate({ id: 1, name: "Local" });
+  assert.strictEqual(requests[0].signal.aborted, true);
+  assert.strictEqual(item.$loading.get(), false);
+
+  requests[0].resolve({ id: 1, name: "Remote" });
+  await Promise.resolve();
+  assert.deepEqual(item.$data.get(), { id: 1, name: "Local" });
+
+  $$id.set(-1);
+  assert.strictEqual(item.$error.get().message, "Invalid ID");
+  assert.strictEqual(requests.length, 1);
+
+  stop();
+});
+
+test("debounced, throttled and delayed", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+
+  const $$value = writable(0);
+  const $debounced = debounced($$value, 100);
+  const $throttled = throttled($$value, 100);
+  const $delayed = delayed($$value, 100);
+
+  const debouncedObserver = t.mock.fn();
+  const throttledObserver = t.mock.fn();
+  const delayedObserver = t.mock.fn();
+
+  const stops = [
+    observe($debounced, debouncedObserver),
+    observe($throttled, throttledObserver),
+    observe($delayed, delayedObserver),
+  ];
+
+  $$value.set(1);
+  t.mock.timers.tick(50);
+  $$value.set(2);
+  t.mock.timers.tick(50);
+  $$value.set(3);
+
+  assert.strictEqual($debounced.get(), 0);
+  assert.strictEqual($throttled.get(), 2); // 1 immediately, then 2 at the end of the first window
+  assert.strictEqual($delayed.get(), 1);
+
+  t.mock.timers.tick(100);
+
+  assert.strictEqual($debounced.get(), 3);
+  assert.strictEqual($throttled.get(), 3);
+  assert.strictEqual($delayed.get(), 3);
+
+  assert.deepEqual(
+    debouncedObserver.mock.calls.map((c) => c.arguments[0]),
+    [0, 3]
+  );
+  assert.deepEqual(
+    throttledObserver.mock.calls.map((c) => c.arguments[0]),
+    [0, 1, 2, 3]
+  );
+  assert.deepEqual(
+    delayedObserver.mock.calls.map((c) => c.arguments[0]),
+    [0, 1, 2, 3]
+  );
+
+  // Pending timers are cancelled when the last observer stops.
+  $$value.set(4);
+  stops.forEach((stop) => stop());
+  t.mock.timers.tick(100);
+
+  assert.strictEqual(debouncedObserver.mock.callCount(), 2);
+  assert.strictEqual(delayedObserver.mock.callCount(), 4);
+
+  // Unobserved operators hold the current value of their source.
+  assert.strictEqual($debounced.get(), 4);
+});
+
+test("sampledPerFrame and previous", (t) => {
+  const frames = new Map();
+  let nextFrame = 1;
+
+  globalThis.requestAnimationFrame = (callback) => {
+    frames.set(nextFrame, callback);
+    return nextFrame++;
+  };
+  globalThis.cancelAnimationFrame = (id) => frames.delete(id);
+
+  t.after(() => {
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+
+  function runFrames() {
+    const callbacks = [...frames.values()];
+    frames.clear();
+    callbacks.forEach((callback) => callback());
+  }
+
+  const $$scroll = writable(0);
+  const $sampled = sampledPerFrame($$scroll);
+  const $previous = previous($$scroll);
+
+  const sampledObserver = t.mock.fn();
+  const stopSampled = observe($sampled, sampledObserver);
+  const stopPrevious = observe($previous, () => {});
+
+  assert.strictEqual($previous.get(), undefined);
+
+  $$scroll.set(10);
+  $$scroll.set(20);
+  $$scroll.set(30);
+
+  assert.strictEqual($sampled.get(), 0);
+  assert.strictEqual($previous.get(), 20);
+  assert.strictEqual(frames.size, 1);
+
+  runFrames();
+
+  assert.strictEqual($sampled.get(), 30);
+  assert.strictEqual(sampledObserver.mock.callCount(), 2);
+
+  $$scroll.set(40);
+  stopSampled();
+  stopPrevious();
+
+  assert.strictEqual(frames.size, 0);
+  assert.strictEqual($previous.get(), undefined);
+});
+
+test("fromObservable, fromEvent and fromPromise", async (t) => {
+  const subscribers = new Set();
+  const observable = {
+    subscribe(observer) {
+      subscribers.add(observer);
+      return { unsubscribe: () => subscribers.delete(observer) };
+    },
+  };
+
+  const $fromObservable = fromObservable(observable, "initial");
+  assert.strictEqual(subscribers.size, 0); // Subscribes only while observed.
+
+  const observer = t.mock.fn();
+  const stop = observe($fromObservable, observer);
+  assert.strictEqual(subscribers.size, 1);
+
+  subscribers.forEach((s) => s.next("next"));
+  assert.strictEqual($fromObservable.get(), "next");
+
+  stop();
+  assert.strictEqual(subscribers.size, 0);
+  assert.deepEqual(
+    observer.mock.calls.map((c) => c.arguments[0]),
+    ["initial", "next"]
+  );
+
+  const target = new EventTarget();
+  const $event = fromEvent(target, "ping");
+  const stopEvent = observe($event, () => {});
+  const event = new Event("ping");
+  target.dispatchEvent(event);
+  assert.strictEqual($event.get(), event);
+  stopEvent();
+
+  const $fromPromise = fromPromise(Promise.resolve(5), 0);
+  assert.strictEqual($fromPromise.get(), 0);
+  await Promise.resolve();
+  assert.strictEqual($fromPromise.get(), 5);
+});
+
+test("fromAsyncIterable", async () => {
+  async function* generate() {
+    yield 1;
+    yield 2;
+  }
+
+  const $value = fromAsyncIterable(generate(), 0);
+  const values = [];
+  const stop = observe($value, (value) => values.push(value));
+
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.deepEqual(values, [0, 1, 2]);
+
+  stop();
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.strictEqual($value.get(), 2);
+});
+
+test("fromPromise, fromAsyncIterable, fromObservable: log errors and keep their value", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+
+  const $config = fromPromise(Promise.reject(new Error("Offline")), { theme: "light" });
+
+  async function* failing() {
+    yield 1;
+    throw new Error("Closed");
+  }
+
+  const $value = fromAsyncIterable(failing(), 0);
+  const stop = observe($value, () => {});
+
+  const $stream = fromObservable(
+    {
+      subscribe(observer) {
+        observer.next("a");
+        observer.error(new Error("Disconnected"));
+        return { unsubscribe() {} };
+      },
+    },
+    ""
+  );
+  const stopStream = observe($stream, () => {});
+
+  await new Promise((resolve) => setTimeout(resolve));
+
+  assert.deepEqual($config.get(), { theme: "light" });
+  assert.strictEqual($value.get(), 1);
+  assert.strictEqual($stream.get(), "a");
+  assert.deepEqual(
+    logged.mock.calls.map((call) => call.arguments[1].message),
+    ["Disconnected", "Offline", "Closed"]
+  );
+
+  stop();
+  stopStream();
+});
+
+test("toObservable and toAsyncIterable", async () => {
+  const $$count = writable(1);
+
+  const observable = toObservable($$count);
+  const received = [];
+  const subscription = observable.subscribe({ next: (value) => received.push(value) });
+  $$count.set(2);
+  subscription.unsubscribe();
+  $$count.set(3);
+
+  assert.deepEqual(received, [1, 2]);
+
+  const interop = typeof Symbol.observable === "symbol" ? Symbol.observable : "@@observable";
+  assert.strictEqual(observable[interop](), observable);
+
+  const iterated = [];
+  setTimeout(() => $$count.set(4));
+
+  for await (const count of toAsyncIterable($$count)) {
+    iterated.push(count);
+    if (count === 4) break;
+  }
+
+  assert.deepEqual(iterated, [3, 4]);
+});
+
+test("history: undo, redo and transactions", () => {
+  const $$doc = history(writable({ title: "Untitled", body: "" }));
+
+  assert.strictEqual($$doc.$canUndo.get(), false);
+
+  $$doc.patch({ title: "Notes" });
+  $$doc.patch({ title: "Notes" }); // no-op; not recorded
+
+  $$doc.transaction(() => {
+    $$doc.at("body").set("Line one");
+    $$doc.at("title").set("My Notes");
+  });
+
+  assert.strictEqual($$doc.$canUndo.get(), true);
+
+  $$doc.undo();
+  assert.deepEqual($$doc.get(), { title: "Notes", body: "" });
+  assert.strictEqual($$doc.$canRedo.get(), true);
+
+  $$doc.undo();
+  assert.deepEqual($$doc.get(), { title: "Untitled", body: "" });
+  assert.strictEqual($$doc.$canUndo.get(), false);
+
+  $$doc.redo();
+  $$doc.redo();
+  assert.deepEqual($$doc.get(), { title: "My Notes", body: "Line one" });
+  assert.strictEqual($$doc.$canRedo.get(), false);
+
+  // A new change after undoing discards the redo stack.
+  $$doc.undo();
+  $$doc.at("body").set("Something else");
+  assert.strictEqual($$doc.$canRedo.get(), false);
+});
+
+test("history: coalesces quick changes and respects limit", (t) => {
+  t.mock.timers.enable({ apis: ["Date"] });
+
+  const $$text = history(writable(""), { coalesceMs: 500, limit: 2 });
+
+  $$text.set("h");
+  t.mock.timers.tick(100);
+  $$text.set("hi");
+  t.mock.timers.tick(1000);
+  $$text.set("hi!");
+  t.mock.timers.tick(1000);
+  $$text.set("hi!!");
+
+  $$text.undo();
+  assert.strictEqual($$text.get(), "hi!");
+  $$text.undo();
+  assert.strictEqual($$text.get(), "hi");
+  $$text.undo(); // limit reached; the entry before "hi" was forgotten
+  assert.strictEqual($$text.get(), "hi");
+});
+
+test("history: records changes after undoing to an unchanged value", (t) => {
+  t.mock.timers.enable({ apis: ["Date"] });
+
+  const $$text = history(writable("a"), { coalesceMs: 500 });
+
+  // Coalesced back to where it started, so undoing doesn't change the value.
+  $$text.set("ab");
+  $$text.set("a");
+  $$text.undo();
+  assert.strictEqual($$text.get(), "a");
+
+  t.mock.timers.tick(1000);
+  $$text.set("x");
+  t.mock.timers.tick(1000);
+  $$text.set("a");
+
+  $$text.undo();
+  assert.strictEqual($$text.get(), "x");
+});
+
+test("history: rejects a limit below 1", () => {
+  assert.throws(() => history(writable(""), { limit: 0 }), TypeError);
+  assert.throws(() => history(writable(""), { limit: NaN }), TypeError);
+  assert.doesNotThrow(() => history(writable(""), { limit: Infinity }));
+});
+
+test("getStateGraph: dumps observed values and their sources", () => {
+  makeApp({ mode: "development" }); // records observers in development mode
+
+  const $$first = writable("Jimbo");
+  const $$last = writable("Jones");
+  const $full = computed([$$first, $$last], ([first, last]) => `${first} ${last}`);
+  const $shout = computed($full, (full) => full.toUpperCase());
+
+  const stop = observe($shout, () => {});
+
+  const [observer] = getActiveObservers().filter((o) => o.readables[0] === $shout);
+  assert.ok(observer);
+  assert.match(observer.stack, /state\.test\.js/);
+
+  const graph = getStateGraph();
+  const shout = graph.nodes.find((n) => n.value === "JIMBO JONES");
+  const full = graph.nodes.find((n) => n.value === "Jimbo Jones");
+  const first = graph.nodes.find((n) => n.value === "Jimbo");
+
+  assert.strictEqual(shout.type, "computed");
+  assert.strictEqual(first.type, "writable");
+  assert.ok(graph.edges.some((e) => e.from === full.id && e.to === shout.id));
+  assert.ok(graph.edges.some((e) => e.from === first.id && e.to === full.id));
+  assert.ok(graph.observers.some((o) => o.nodes.includes(shout.id)));
+
+  stop();
+
+  assert.strictEqual(
+    getActiveObservers().some((o) => o.readables[0] === $shout),
+    false
+  );
+});
+
+test("stores: stop ctx.observe observers on disconnect and warn about ones left running", async (t) => {
+  makeApp({ mode: "development" }); // records observers in development mode
+
+  const warn = t.mock.method(console, "warn", () => {});
+  const $$count = writable(0);
+  const observed = [];
+  let stopLeaked;
+
+  function CounterStore(ctx) {
+    ctx.observe($$count, (count) => observed.push(count));
+
+    ctx.onConnected(() => {
+      stopLeaked = observe($$count, () => {});
+    });
+
+    return {};
+  }
+
+  await renderToString(m("p", {}, "Hello"), { stores: [CounterStore], mode: "development" });
+
+  $$count.set(1);
+  assert.deepEqual(observed, [0]);
+
+  const warnings = warn.mock.calls.map((call) => call.arguments.join(" "));
+  assert.ok(warnings.some((message) => message.includes("still active after it disconnected")));
+
+  stopLeaked();
+});
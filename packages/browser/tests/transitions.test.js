@@ -0,0 +1,175 @@
+import test from "node:test";
+import assert from "node:assert";
+import { mount } from "./dom.js";
+import { cond, cssTransition, m, repeat, writable } from "../lib/internals.js";
+
+/**
+ * A transition that records each hook it plays. Leave animations last until `finishLeaving` is called.
+ */
+function makeTransition(options) {
+  const played = [];
+  let pending = [];
+
+  const transition = {
+    ...options,
+    enter: (element) => {
+      played.push(["enter", element.textContent]);
+    },
+    leave: (element) => {
+      played.push(["leave", element.textContent]);
+      return new Promise((resolve) => pending.push(resolve));
+    },
+    move: (element, from) => {
+      played.push(["move", element.textContent, from.top, element.getBoundingClientRect().top]);
+    },
+  };
+
+  const finishLeaving = async () => {
+    for (const resolve of pending) resolve();
+    pending = [];
+    await new Promise((resolve) => setTimeout(resolve));
+  };
+
+  return { transition, played, finishLeaving };
+}
+
+function getTexts(root) {
+  return root.children.map((child) => child.textContent);
+}
+
+test("transitions: repeat plays enter, leave and move and keeps leaving items until they're done", async () => {
+  const { transition, played, finishLeaving } = makeTransition();
+  const $$items = writable(["a", "b", "c"]);
+
+  const { root } = mount(
+    repeat(
+      $$items,
+      (item) => item,
+      ($item) => m("p", {}, $item),
+      { transition }
+    )
+  );
+
+  // Items shown when the repeat connects don't play enter without `appear`.
+  assert.deepStrictEqual(getTexts(root), ["a", "b", "c"]);
+  assert.deepStrictEqual(played, []);
+
+  $$items.set(["c", "a", "d"]);
+
+  assert.deepStrictEqual(played, [
+    ["leave", "b"],
+    ["enter", "d"],
+    ["move", "c", 40, 0],
+    ["move", "a", 0, 20],
+  ]);
+  assert.deepStrictEqual(getTexts(root), ["c", "a", "d", "b"]);
+
+  await finishLeaving();
+  assert.deepStrictEqual(getTexts(root), ["c", "a", "d"]);
+});
+
+test("transitions: cond plays enter on appear and removes leaving content when disconnected", async () => {
+  const { transition, played, finishLeaving } = makeTransition({ appear: true });
+  const $$show = writable(true);
+
+  const { root, handles } = mount(cond($$show, m("p", {}, "Yes"), m("p", {}, "No"), { transition }));
+
+  assert.deepStrictEqual(played, [["enter", "Yes"]]);
+
+  // The old content stays while it leaves and the new content enters.
+  $$show.set(false);
+  assert.deepStrictEqual(played.slice(1), [
+    ["leave", "Yes"],
+    ["enter", "No"],
+  ]);
+  assert.deepStrictEqual(getTexts(root).sort(), ["No", "Yes"]);
+
+  await finishLeaving();
+  assert.deepStrictEqual(getTexts(root), ["No"]);
+
+  // Disconnecting doesn't wait for leave animations.
+  $$show.set(true);
+  assert.deepStrictEqual(getTexts(root).sort(), ["No", "Yes"]);
+
+  handles[0].disconnect();
+  assert.deepStrictEqual(getTexts(root), []);
+});
+
+test("transitions: cssTransition applies its classes in order and waits for the CSS transition to end", async () => {
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity",
+    transitionDuration: "1s",
+    transitionDelay: "0s",
+    animationDuration: "0s",
+    animationDelay: "0s",
+  });
+
+  const $$show = writable(false);
+  const { root } = mount(cond($$show, m("p", {}, "Hello"), null, { transition: cssTransition("fade") }));
+
+  $$show.set(true);
+  const element = root.querySelector("p");
+  assert.strictEqual(element.className, "fade-enter-from fade-enter-active");
+
+  // The starting classes are swapped out two frames later.
+  await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  await null;
+  assert.strictEqual(element.className, "fade-enter-active fade-enter-to");
+
+  element.dispatchEvent(new Event("transitionend"));
+  await null;
+  assert.strictEqual(element.className, "");
+
+  // Leaving keeps the element until its transition ends.
+  $$show.set(false);
+  assert.strictEqual(element.className, "fade-leave-from fade-leave-active");
+
+  await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  await null;
+  assert.strictEqual(element.parentNode, root);
+
+  element.dispatchEvent(new Event("transitionend"));
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.strictEqual(element.parentNode, null);
+});
+
+test("transitions: reports hooks that fail and still removes leaving items", async () => {
+  const transition = {
+    enter: () => {
+      throw new Error("Enter failed");
+    },
+    leave: (element) => (element.textContent === "a" ? Promise.reject(new Error("Leave rejected")) : Promise.resolve()),
+    move: async () => {
+      throw new Error("Move rejected");
+    },
+  };
+  const $$items = writable(["a", "b", "c"]);
+
+  const { root, errors } = mount(
+    repeat(
+      $$items,
+      (item) => item,
+      ($item) => m("p", {}, $item),
+      { transition }
+    )
+  );
+
+  $$items.set(["c", "d"]);
+
+  // A leave hook that throws right away is reported too.
+  transition.leave = () => {
+    throw new Error("Leave threw");
+  };
+  $$items.set(["d"]);
+
+  await new Promise((resolve) => setTimeout(resolve));
+
+  assert.deepStrictEqual(getTexts(root), ["d"]);
+  assert.deepStrictEqual(errors.map((error) => error.message).sort(), [
+    "Enter failed",
+    "Leave rejected",
+    "Leave threw",
+    "Move rejected",
+    "Move rejected",
+  ]);
+});
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert";
+import { mount } from "./dom.js";
+import { m } from "../lib/internals.js";
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+test("view: ignores async views and suspended promises that settle after the view was disconnected", async () => {
+  const loading = deferred();
+  const suspended = deferred();
+
+  function AsyncView() {
+    return loading.promise.then(() => m("p", {}, "Loaded"));
+  }
+
+  function SuspendingView(_, ctx) {
+    ctx.suspend(suspended.promise);
+    return m("p", {}, "Waiting");
+  }
+
+  const { root, errors, handles } = mount([m(AsyncView), m(SuspendingView)]);
+
+  for (const handle of handles) {
+    handle.disconnect();
+  }
+
+  // Without an ErrorBoundary these would crash the app if the views were still showing.
+  loading.reject(new Error("Failed to load"));
+  suspended.reject(new Error("Failed to suspend"));
+  await settle();
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(root.textContent, "");
+});
@@ -0,0 +1,128 @@
+import test from "node:test";
+import assert from "node:assert";
+import { mount } from "./dom.js";
+import { computed, m, virtualRepeat, writable } from "../lib/internals.js";
+
+function nextFrame() {
+  return new Promise((resolve) => requestAnimationFrame(resolve));
+}
+
+function makeList(count, options) {
+  const $$items = writable(Array.from({ length: count }, (_, i) => ({ id: i, label: `Item ${i}` })));
+  const rendered = [];
+
+  const list = virtualRepeat(
+    $$items,
+    (item) => item.id,
+    ($item) => {
+      rendered.push($item.get().id);
+      return m(
+        "p",
+        {},
+        computed($item, (item) => item.label)
+      );
+    },
+    options
+  );
+
+  const { root } = mount(list);
+  const container = root.firstChild;
+
+  return { $$items, list, container, rendered };
+}
+
+function getLabels(container) {
+  return container.getElementsByTagName("p").map((p) => p.textContent);
+}
+
+/**
+ * The item wrappers between the two spacers.
+ */
+function getSlots(container) {
+  return container.children.slice(1, -1);
+}
+
+async function scrollTo(container, scrollTop) {
+  container.scrollTop = scrollTop;
+  container.dispatchEvent(new Event("scroll"));
+  await nextFrame();
+}
+
+test("virtualRepeat: renders the items in view and reuses their views while scrolling", async () => {
+  const { container, rendered } = makeList(1000, { itemHeight: 20, overscan: 1 });
+
+  container.clientHeight = 100;
+  await scrollTo(container, 0);
+
+  // Five items fill the view, plus the one after it and one more for overscan.
+  assert.deepStrictEqual(getLabels(container), ["Item 0", "Item 1", "Item 2", "Item 3", "Item 4", "Item 5", "Item 6"]);
+  assert.strictEqual(rendered.length, 7);
+
+  const slots = getSlots(container);
+  await scrollTo(container, 400);
+
+  assert.deepStrictEqual(getLabels(container), [
+    "Item 19",
+    "Item 20",
+    "Item 21",
+    "Item 22",
+    "Item 23",
+    "Item 24",
+    "Item 25",
+    "Item 26",
+  ]);
+
+  // The seven views that scrolled out were given new items, and only one more was rendered.
+  assert.strictEqual(rendered.length, 8);
+  assert.strictEqual(getSlots(container).filter((slot) => slots.includes(slot)).length, 7);
+
+  // The spacers stand in for the items that aren't rendered.
+  const [top, ...rest] = container.children;
+  const bottom = rest[rest.length - 1];
+  assert.strictEqual(top.style.height, `${19 * 20}px`);
+  assert.strictEqual(bottom.style.height, `${(1000 - 27) * 20}px`);
+});
+
+test("virtualRepeat: keeps slots with their keys when items change", async () => {
+  const { $$items, container, rendered } = makeList(10, { itemHeight: 20, overscan: 0 });
+
+  container.clientHeight = 40;
+  await scrollTo(container, 0);
+
+  const [first, second] = getSlots(container);
+  assert.deepStrictEqual(getLabels(container), ["Item 0", "Item 1", "Item 2"]);
+
+  // Item 1 moves to the top and item 0 out of view. Item 1 keeps its slot and item 0's goes to the new item.
+  $$items.update((items) => [items[1], { id: 99, label: "New" }, ...items.slice(2), items[0]]);
+
+  assert.deepStrictEqual(getLabels(container), ["Item 1", "New", "Item 2"]);
+  assert.strictEqual(getSlots(container)[0], second);
+  assert.strictEqual(getSlots(container)[1], first);
+  assert.strictEqual(rendered.length, 3);
+});
+
+test("virtualRepeat: scrolls to items by index and key and keeps the header of the view stuck", async () => {
+  const { list, container } = makeList(1000, {
+    itemHeight: 20,
+    overscan: 0,
+    isHeader: (item) => item.id % 100 === 0,
+  });
+
+  container.clientHeight = 100;
+  list.scrollToKey(250);
+
+  assert.strictEqual(container.scrollTop, 250 * 20);
+
+  const [header, ...items] = getSlots(container);
+  assert.strictEqual(header.textContent, "Item 200");
+  assert.strictEqual(header.style.position, "sticky");
+  assert.deepStrictEqual(
+    items.map((slot) => slot.textContent),
+    ["Item 250", "Item 251", "Item 252", "Item 253", "Item 254", "Item 255"]
+  );
+  assert.ok(items.every((slot) => slot.style.position === ""));
+
+  list.scrollToIndex(999, { align: "end" });
+  assert.strictEqual(container.scrollTop, 1000 * 20 - 100);
+  assert.strictEqual(getSlots(container).at(-1).textContent, "Item 999");
+});
@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert";
+import { mount } from "./dom.js";
+import { m, virtual, writable } from "../lib/internals.js";
+
+function getItems(root) {
+  return root.getElementsByTagName("li");
+}
+
+test("virtual: moves keyed elements instead of recreating them", () => {
+  const $$users = writable([
+    { id: 1, name: "Ada" },
+    { id: 2, name: "Grace" },
+    { id: 3, name: "Linus" },
+  ]);
+
+  const { root } = mount(
+    virtual($$users, (users) =>
+      m(
+        "ul",
+        {},
+        users.map((user) => m("li", { key: user.id, class: user.name === "Grace" ? "active" : "" }, user.name))
+      )
+    )
+  );
+
+  const list = root.querySelector("ul");
+  const [ada, grace, linus] = getItems(root);
+  assert.deepStrictEqual(
+    getItems(root).map((li) => li.textContent),
+    ["Ada", "Grace", "Linus"]
+  );
+  assert.strictEqual(grace.className, "active");
+
+  // Reorder, rename one and drop another.
+  $$users.set([
+    { id: 3, name: "Linus" },
+    { id: 1, name: "Grace" },
+  ]);
+
+  assert.strictEqual(root.querySelector("ul"), list);
+  assert.deepStrictEqual(getItems(root), [linus, ada]);
+  assert.deepStrictEqual(
+    getItems(root).map((li) => li.textContent),
+    ["Linus", "Grace"]
+  );
+  assert.strictEqual(ada.className, "active");
+  assert.strictEqual(grace.parentNode, null);
+
+  // New keys get new elements and old ones stay.
+  $$users.set([
+    { id: 4, name: "Barbara" },
+    { id: 3, name: "Linus" },
+    { id: 1, name: "Grace" },
+  ]);
+
+  const items = getItems(root);
+  assert.strictEqual(items.length, 3);
+  assert.ok(![ada, grace, linus].includes(items[0]));
+  assert.deepStrictEqual(items.slice(1), [linus, ada]);
+});
+
+test("virtual: matches unkeyed nodes by type and order", () => {
+  const $$mode = writable("text");
+
+  const { root } = mount(
+    virtual($$mode, (mode) =>
+      m("div", {}, mode === "text" ? [m("p", {}, "One"), m("p", {}, "Two")] : [m("p", {}, "One"), m("span", {}, "Two")])
+    )
+  );
+
+  const div = root.querySelector("div");
+  const [one, two] = div.children;
+
+  $$mode.set("mixed");
+
+  // The first paragraph is patched and the second is recreated as a span.
+  assert.strictEqual(div.children[0], one);
+  assert.strictEqual(div.children[1].nodeName, "SPAN");
+  assert.strictEqual(two.parentNode, null);
+  assert.strictEqual(div.textContent, "OneTwo");
+});
+
+test("virtual: keeps views whose props are unchanged and calls their latest callbacks", () => {
+  const setups = [];
+
+  function Row({ label, onSelect }) {
+    setups.push(label);
+    return m("button", { onClick: () => onSelect(label) }, label);
+  }
+
+  const selected = [];
+  const $$state = writable({ rows: ["a", "b"], round: 1 });
+
+  const { root } = mount(
+    virtual($$state, ({ rows, round }) =>
+      m(
+        "div",
+        {},
+        rows.map((label) => m(Row, { key: label, label, onSelect: (label) => selected.push(`${label}${round}`) }))
+      )
+    )
+  );
+
+  assert.deepStrictEqual(setups, ["a", "b"]);
+  const [a, b] = root.getElementsByTagName("button");
+
+  // A new callback alone doesn't recreate the view, but the view calls the new one.
+  $$state.set({ rows: ["b", "a"], round: 2 });
+  assert.deepStrictEqual(setups, ["a", "b"]);
+  assert.deepStrictEqual(root.getElementsByTagName("button"), [b, a]);
+
+  a.dispatchEvent(new Event("click"));
+  assert.deepStrictEqual(selected, ["a2"]);
+
+  // A changed prop does recreate it.
+  $$state.set({ rows: ["b", "c"], round: 3 });
+  assert.deepStrictEqual(setups, ["a", "b", "c"]);
+  assert.strictEqual(a.parentNode, null);
+  assert.strictEqual(root.getElementsByTagName("button")[0], b);
+});
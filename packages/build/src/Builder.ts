@@ -23,7 +23,7 @@ import getPort from "get-port";
 
 import log from "./log.js";
 import { Timer } from "./Timer.js";
-import { makeConfig } from "./esbuildConfig.js";
+import { makeConfig, splittingOptions } from "./esbuildConfig.js";
 import { generateScopedClassName } from "./generateScopedClassName.js";
 import { makeTimeoutTrigger } from "./makeTimeoutTrigger.js";
 import { makeExposedPromise } from "./makeExposedPromise.js";
@@ -58,6 +58,13 @@ export interface BuilderConfig {
      * Options for PostCSS, which runs as part of the build.
      */
     postcss?: any; // TODO: Obtain proper types
+
+    /**
+     * Bundles the client as ES modules and splits dynamic imports, such as views loaded with `lazy()`,
+     * into their own chunks that are downloaded when first needed. The entry script is added to `index.html`
+     * as a `<script type="module">`, which browsers run deferred and in strict mode. Defaults to false.
+     */
+    splitting?: boolean;
   };
 
   /**
@@ -172,6 +179,7 @@ export class Builder {
       const ctx = await esbuild.context(
         makeConfig({
           entryPoints: [this.#browserEntryPath],
+          ...(browserConfig.splitting ? splittingOptions : {}),
           entryNames: "[dir]/client.[hash]",
           outdir: path.join(this.#outputPath, "static"),
           minify: buildOptions.minify,
@@ -197,6 +205,7 @@ export class Builder {
         buildStaticPath: path.join(this.#outputPath, "static"),
         clientEntryPath: this.#browserEntryPath,
         buildOptions,
+        isModule: browserConfig.splitting,
       });
 
       log.client("built in", "%c" + timer.formatted);
@@ -329,12 +338,14 @@ export class Builder {
           clientEntryPath: this.#browserEntryPath!,
           buildOptions,
           isDevelopment: !isProduction,
+          isModule: this.#config.browser?.splitting,
         });
       };
 
       const buildContext = await esbuild.context(
         makeConfig({
           entryPoints: [this.#browserEntryPath!],
+          ...(this.#config.browser?.splitting ? splittingOptions : {}),
           entryNames: "[dir]/client.[hash]",
           outdir: path.join(this.#outputPath, "static"),
           minify: buildOptions.minify,
@@ -512,6 +523,11 @@ interface WriteClientFilesOptions {
     relativeBundlePaths?: boolean;
   };
   isDevelopment?: boolean;
+
+  /**
+   * Loads the entry script as an ES module. Set when the bundle is split into chunks.
+   */
+  isModule?: boolean;
 }
 
 export async function writeClientFiles({
@@ -522,6 +538,7 @@ export async function writeClientFiles({
   clientEntryPath,
   buildOptions,
   isDevelopment = false,
+  isModule = false,
 }: WriteClientFilesOptions) {
   const writtenFiles = [];
 
@@ -582,8 +599,11 @@ export async function writeClientFiles({
     const styles = writtenFiles.filter(
       (file) => path.extname(file.path) === ".css"
     );
+    // Only the entry is loaded by the page. It imports split chunks itself when it needs them.
     const scripts = writtenFiles.filter(
-      (file) => path.extname(file.path) === ".js"
+      (file) =>
+        path.extname(file.path) === ".js" &&
+        path.basename(file.path).startsWith("client.")
     );
 
     // Add styles to head.
@@ -622,7 +642,11 @@ export async function writeClientFiles({
         src = "." + src;
       }
 
-      $("body").append(`<script src="${src}"></script>`);
+      if (isModule) {
+        $("body").append(`<script type="module" src="${src}"></script>`);
+      } else {
+        $("body").append(`<script src="${src}"></script>`);
+      }
     }
 
     let html = $.html();
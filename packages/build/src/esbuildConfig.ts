@@ -27,3 +27,13 @@ export function makeConfig(options?: BuildOptions): BuildOptions {
 
   return merge(defaults, options);
 }
+
+/**
+ * Bundles the client as ES modules so esbuild can split dynamic imports, such as views loaded with `lazy()`,
+ * into their own chunks. Used when `browser.splitting` is enabled.
+ */
+export const splittingOptions: BuildOptions = {
+  format: "esm",
+  splitting: true,
+  chunkNames: "[dir]/chunk.[hash]",
+};